@@ -0,0 +1,92 @@
+/**
+ * AnalysisFrame - One analysis tick: spectrum, waveform, sample rate and timestamp,
+ * captured once so every feature of the tick sees the same data
+ */
+export class AnalysisFrame {
+    /**
+     * @param {Object} data
+     * @param {Float32Array} data.spectrum - Linear magnitude spectrum
+     * @param {Float32Array} data.samples - Time-domain samples in [-1, 1]
+     * @param {number} data.sampleRate - Sample rate in Hz
+     * @param {number} [data.time=0] - Media time in seconds
+     */
+    constructor({ spectrum, samples, sampleRate, time = 0 }) {
+        this.spectrum = spectrum;
+        this.samples = samples;
+        this.sampleRate = sampleRate;
+        this.time = time;
+
+        // Memoized intermediates and feature values
+        this.cache = new Map();
+    }
+
+    /**
+     * Snapshot the current analyser state of an engine
+     * @param {AudioEngine} engine - Anything exposing getMagnitudeSpectrum/getFloatTimeDomainData/getSampleRate
+     * @returns {AnalysisFrame}
+     */
+    static capture(engine) {
+        const spectrum = engine.getMagnitudeSpectrum();
+        const samples = engine.getFloatTimeDomainData();
+
+        // Copy: the engine reuses its buffers on the next pull
+        return new AnalysisFrame({
+            spectrum: spectrum ? Float32Array.from(spectrum) : new Float32Array(0),
+            samples: samples ? Float32Array.from(samples) : new Float32Array(0),
+            sampleRate: engine.getSampleRate(),
+            time: engine.getCurrentTime ? engine.getCurrentTime() : 0
+        });
+    }
+
+    /**
+     * Compute a value once per frame
+     * @param {string} key - Cache key
+     * @param {Function} compute - Producer called on first access
+     * @returns {*}
+     */
+    memo(key, compute) {
+        if (!this.cache.has(key)) {
+            this.cache.set(key, compute());
+        }
+        return this.cache.get(key);
+    }
+
+    get binCount() {
+        return this.spectrum.length;
+    }
+
+    /**
+     * Width of one spectrum bin in Hz
+     */
+    get freqPerBin() {
+        return this.sampleRate / (this.spectrum.length * 2);
+    }
+
+    /**
+     * Power spectrum (squared magnitudes)
+     * @returns {Float32Array}
+     */
+    get power() {
+        return this.memo('power', () => {
+            const power = new Float32Array(this.spectrum.length);
+            for (let i = 0; i < power.length; i++) {
+                power[i] = this.spectrum[i] * this.spectrum[i];
+            }
+            return power;
+        });
+    }
+
+    /**
+     * Sum of the magnitude spectrum
+     * @returns {number}
+     */
+    get magnitudeSum() {
+        return this.memo('magnitudeSum', () => {
+            let sum = 0;
+            for (let i = 0; i < this.spectrum.length; i++) {
+                sum += this.spectrum[i];
+            }
+            return sum;
+        });
+    }
+}
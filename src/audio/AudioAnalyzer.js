@@ -1,281 +1,379 @@
 /**
  * AudioAnalyzer - Real-time audio feature extraction
  */
-export class AudioAnalyzer {
-    constructor(audioEngine) {
+import { YIN } from '../utils/YIN.js';
+import { AnalysisFrame } from './AnalysisFrame.js';
+import { FeatureRegistry } from './FeatureRegistry.js';
+import { BUILTIN_FEATURES } from './builtinFeatures.js';
+import { RhythmTracker } from './RhythmTracker.js';
+import { computeChroma, estimateChord, KeyEstimator } from './Chroma.js';
+
+/**
+ * Dispatches 'onset' and 'beat' events (CustomEvent, details carry the frame time)
+ */
+export class AudioAnalyzer extends EventTarget {
+    /**
+     * @param {AudioEngine} audioEngine - Source of spectrum/waveform data
+     * @param {Object} [options]
+     * @param {FeatureRegistry} [options.registry] - Shared registry (defaults to one with the built-in features)
+     */
+    constructor(audioEngine, options = {}) {
+        super();
         this.engine = audioEngine;
         this.prevSpectrum = null;
 
+        // Feature extractors resolved by getAllFeatures
+        this.registry = options.registry;
+        if (!this.registry) {
+            this.registry = new FeatureRegistry();
+            BUILTIN_FEATURES.forEach(extractor => this.registry.register(extractor));
+        }
+
+        // Onsets, beats and tempo from spectral flux
+        this.rhythmTracker = new RhythmTracker();
+
+        // Key estimation over a sliding window of chroma
+        this.keyEstimator = new KeyEstimator({ window: 10 });
+
+        // Pitch tracking (vocal/instrument range by default)
+        this.pitchTracker = new YIN({ minFrequency: 50, maxFrequency: 1000 });
+
         // Mel filterbank setup (simplified)
         this.numMelFilters = 26;
         this.numMFCCs = 13;
     }
 
+    /**
+     * Capture the engine's current spectrum and waveform as one frame.
+     * Feature methods default to a fresh capture, but callers computing several
+     * features for one tick should capture once and pass the frame to each.
+     * @returns {AnalysisFrame}
+     */
+    captureFrame() {
+        return AnalysisFrame.capture(this.engine);
+    }
+
     /**
      * Calculate RMS (Root Mean Square) amplitude
+     * @param {AnalysisFrame} [frame]
      * @returns {number} RMS value between 0 and 1
      */
-    getRMS() {
-        const timeDomain = this.engine.getTimeDomainData();
-        if (!timeDomain || timeDomain.length === 0) return 0;
-
-        let sum = 0;
-        for (let i = 0; i < timeDomain.length; i++) {
-            const normalized = (timeDomain[i] - 128) / 128;
-            sum += normalized * normalized;
-        }
-        return Math.sqrt(sum / timeDomain.length);
+    getRMS(frame = this.captureFrame()) {
+        return frame.memo('rms', () => {
+            const samples = frame.samples;
+            if (samples.length === 0) return 0;
+
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            return Math.sqrt(sum / samples.length);
+        });
     }
 
     /**
      * Get peak amplitude
+     * @param {AnalysisFrame} [frame]
      * @returns {number} Peak value between 0 and 1
      */
-    getPeak() {
-        const timeDomain = this.engine.getTimeDomainData();
-        if (!timeDomain || timeDomain.length === 0) return 0;
-
-        let max = 0;
-        for (let i = 0; i < timeDomain.length; i++) {
-            const normalized = Math.abs(timeDomain[i] - 128) / 128;
-            if (normalized > max) max = normalized;
-        }
-        return max;
+    getPeak(frame = this.captureFrame()) {
+        return frame.memo('peak', () => {
+            const samples = frame.samples;
+
+            let max = 0;
+            for (let i = 0; i < samples.length; i++) {
+                const value = Math.abs(samples[i]);
+                if (value > max) max = value;
+            }
+            return max;
+        });
     }
 
     /**
      * Calculate Spectral Centroid (brightness)
+     * @param {AnalysisFrame} [frame]
      * @returns {number} Centroid frequency in Hz
      */
-    getSpectralCentroid() {
-        const spectrum = this.engine.getFrequencyData();
-        if (!spectrum || spectrum.length === 0) return 0;
-
-        const sampleRate = this.engine.getSampleRate();
-        const binCount = spectrum.length;
-        const freqPerBin = sampleRate / (binCount * 2);
-
-        let weightedSum = 0;
-        let sum = 0;
-
-        for (let i = 0; i < binCount; i++) {
-            const magnitude = spectrum[i];
-            const frequency = i * freqPerBin;
-            weightedSum += magnitude * frequency;
-            sum += magnitude;
-        }
+    getSpectralCentroid(frame = this.captureFrame()) {
+        return frame.memo('spectralCentroid', () => {
+            const spectrum = frame.spectrum;
+            const freqPerBin = frame.freqPerBin;
+            const sum = frame.magnitudeSum;
+            if (sum === 0) return 0;
+
+            let weightedSum = 0;
+            for (let i = 0; i < spectrum.length; i++) {
+                weightedSum += spectrum[i] * i * freqPerBin;
+            }
 
-        return sum > 0 ? weightedSum / sum : 0;
+            return weightedSum / sum;
+        });
     }
 
     /**
      * Calculate Spectral Spread (standard deviation around centroid)
+     * @param {AnalysisFrame} [frame]
      * @returns {number} Spread in Hz
      */
-    getSpectralSpread() {
-        const spectrum = this.engine.getFrequencyData();
-        if (!spectrum || spectrum.length === 0) return 0;
-
-        const centroid = this.getSpectralCentroid();
-        const sampleRate = this.engine.getSampleRate();
-        const binCount = spectrum.length;
-        const freqPerBin = sampleRate / (binCount * 2);
-
-        let weightedVariance = 0;
-        let sum = 0;
-
-        for (let i = 0; i < binCount; i++) {
-            const magnitude = spectrum[i];
-            const frequency = i * freqPerBin;
-            const diff = frequency - centroid;
-            weightedVariance += magnitude * diff * diff;
-            sum += magnitude;
-        }
+    getSpectralSpread(frame = this.captureFrame()) {
+        return frame.memo('spectralSpread', () => {
+            const spectrum = frame.spectrum;
+            const freqPerBin = frame.freqPerBin;
+            const sum = frame.magnitudeSum;
+            if (sum === 0) return 0;
+
+            const centroid = this.getSpectralCentroid(frame);
+            let weightedVariance = 0;
+
+            for (let i = 0; i < spectrum.length; i++) {
+                const diff = i * freqPerBin - centroid;
+                weightedVariance += spectrum[i] * diff * diff;
+            }
 
-        return sum > 0 ? Math.sqrt(weightedVariance / sum) : 0;
+            return Math.sqrt(weightedVariance / sum);
+        });
     }
 
     /**
-     * Calculate Spectral Flux (frame-to-frame change)
-     * @returns {number} Flux value
+     * Calculate Spectral Flux (frame-to-frame change).
+     * Advances the analyzer's previous-spectrum state once per frame.
+     * @param {AnalysisFrame} [frame]
+     * @returns {number} Rectified flux relative to the frame's total magnitude (0 = static, ~1 = new onset)
      */
-    getSpectralFlux() {
-        const spectrum = this.engine.getFrequencyData();
-        if (!spectrum || spectrum.length === 0) return 0;
-
-        // Create copy of current spectrum
-        const currentSpectrum = new Uint8Array(spectrum);
-
-        if (!this.prevSpectrum) {
-            this.prevSpectrum = currentSpectrum;
-            return 0;
-        }
-
-        let flux = 0;
-        for (let i = 0; i < currentSpectrum.length; i++) {
-            const diff = currentSpectrum[i] - this.prevSpectrum[i];
-            // Only count positive differences (onset detection)
-            flux += diff > 0 ? diff : 0;
-        }
+    getSpectralFlux(frame = this.captureFrame()) {
+        return frame.memo('spectralFlux', () => {
+            const spectrum = frame.spectrum;
+            if (spectrum.length === 0) return 0;
+
+            const prev = this.prevSpectrum;
+            this.prevSpectrum = spectrum;
+            if (!prev || prev.length !== spectrum.length) return 0;
+
+            let flux = 0;
+            for (let i = 0; i < spectrum.length; i++) {
+                const diff = spectrum[i] - prev[i];
+                // Only count positive differences (onset detection)
+                flux += diff > 0 ? diff : 0;
+            }
 
-        this.prevSpectrum = currentSpectrum;
-        return flux / currentSpectrum.length;
+            const total = frame.magnitudeSum;
+            return total > 0 ? flux / total : 0;
+        });
     }
 
     /**
      * Calculate Spectral Entropy (complexity/randomness)
+     * @param {AnalysisFrame} [frame]
      * @returns {number} Entropy value between 0 and 1
      */
-    getSpectralEntropy() {
-        const spectrum = this.engine.getFrequencyData();
-        if (!spectrum || spectrum.length === 0) return 0;
-
-        // Normalize spectrum to probability distribution
-        let sum = 0;
-        for (let i = 0; i < spectrum.length; i++) {
-            sum += spectrum[i] + 1; // Add 1 to avoid log(0)
-        }
+    getSpectralEntropy(frame = this.captureFrame()) {
+        return frame.memo('spectralEntropy', () => {
+            const power = frame.power;
+            if (power.length === 0) return 0;
 
-        if (sum === 0) return 0;
+            // Normalize power spectrum to probability distribution
+            let sum = 0;
+            for (let i = 0; i < power.length; i++) {
+                sum += power[i];
+            }
+
+            if (sum === 0) return 0;
 
-        let entropy = 0;
-        const maxEntropy = Math.log2(spectrum.length);
+            let entropy = 0;
+            const maxEntropy = Math.log2(power.length);
 
-        for (let i = 0; i < spectrum.length; i++) {
-            const p = (spectrum[i] + 1) / sum;
-            if (p > 0) {
-                entropy -= p * Math.log2(p);
+            for (let i = 0; i < power.length; i++) {
+                const p = power[i] / sum;
+                if (p > 0) {
+                    entropy -= p * Math.log2(p);
+                }
             }
-        }
 
-        return entropy / maxEntropy; // Normalize to 0-1
+            return entropy / maxEntropy; // Normalize to 0-1
+        });
     }
 
     /**
-     * Estimate Tonality (harmonic vs. noise ratio, simplified)
-     * @returns {number} Tonality value between 0 and 1
+     * Estimate Tonality from spectral flatness (Johnston's tonality coefficient)
+     * @param {AnalysisFrame} [frame]
+     * @returns {number} Tonality value between 0 (noise) and 1 (pure tone)
      */
-    getTonality() {
-        const spectrum = this.engine.getFrequencyData();
-        if (!spectrum || spectrum.length === 0) return 0;
+    getTonality(frame = this.captureFrame()) {
+        return frame.memo('tonality', () => {
+            const power = frame.power;
+            if (power.length < 2) return 0;
+
+            // Geometric vs. arithmetic mean of the power spectrum (DC bin excluded)
+            const epsilon = 1e-12;
+            let logSum = 0;
+            let sum = 0;
 
-        // Find peaks in spectrum (harmonic content)
-        let peakEnergy = 0;
-        let totalEnergy = 0;
+            for (let i = 1; i < power.length; i++) {
+                logSum += Math.log(power[i] + epsilon);
+                sum += power[i] + epsilon;
+            }
 
-        for (let i = 1; i < spectrum.length - 1; i++) {
-            const val = spectrum[i];
-            totalEnergy += val;
+            const count = power.length - 1;
+            const arithmeticMean = sum / count;
+            if (arithmeticMean <= epsilon * 2) return 0;
 
-            // Check if this is a local peak
-            if (val > spectrum[i - 1] && val > spectrum[i + 1] && val > 10) {
-                peakEnergy += val;
-            }
-        }
+            const flatnessDb = 10 * Math.log10(Math.exp(logSum / count) / arithmeticMean);
 
-        return totalEnergy > 0 ? Math.min(1, peakEnergy / totalEnergy * 3) : 0;
+            // -60 dB flatness corresponds to an entirely tonal signal
+            return Math.min(1, Math.max(0, flatnessDb / -60));
+        });
     }
 
     /**
-     * Detect fundamental frequency F0 (pitch) using autocorrelation
-     * @returns {number} Detected pitch in Hz
+     * Detect fundamental frequency F0 (pitch) using the YIN estimator
+     * @param {AnalysisFrame} [frame]
+     * @returns {{f0: number, confidence: number, voiced: boolean}} F0 in Hz (0 when unvoiced)
      */
-    getPitch() {
-        const timeDomain = this.engine.getTimeDomainData();
-        if (!timeDomain || timeDomain.length === 0) return 0;
-
-        const sampleRate = this.engine.getSampleRate();
-        const bufferSize = timeDomain.length;
+    getPitch(frame = this.captureFrame()) {
+        return frame.memo('pitch', () => {
+            if (frame.samples.length === 0) {
+                return { f0: 0, confidence: 0, voiced: false };
+            }
 
-        // Normalize the signal
-        const signal = new Float32Array(bufferSize);
-        for (let i = 0; i < bufferSize; i++) {
-            signal[i] = (timeDomain[i] - 128) / 128;
-        }
+            return this.pitchTracker.detect(frame.samples, frame.sampleRate);
+        });
+    }
 
-        // Autocorrelation
-        const minPeriod = Math.floor(sampleRate / 1000); // 1000 Hz max
-        const maxPeriod = Math.floor(sampleRate / 50);   // 50 Hz min
+    /**
+     * Set the frequency range searched by the pitch tracker
+     * @param {number} minFrequency - Lowest F0 in Hz
+     * @param {number} maxFrequency - Highest F0 in Hz
+     */
+    setPitchRange(minFrequency, maxFrequency) {
+        this.pitchTracker.minFrequency = minFrequency;
+        this.pitchTracker.maxFrequency = maxFrequency;
+    }
 
-        let bestPeriod = 0;
-        let bestCorrelation = 0;
+    /**
+     * Forget the state carried between frames (previous spectrum, rhythm and
+     * key history), e.g. when the source changes or the playhead jumps
+     */
+    reset() {
+        this.prevSpectrum = null;
+        this.rhythmTracker.reset();
+        this.keyEstimator.reset();
+    }
 
-        for (let period = minPeriod; period < Math.min(maxPeriod, bufferSize / 2); period++) {
-            let correlation = 0;
-            for (let i = 0; i < bufferSize - period; i++) {
-                correlation += signal[i] * signal[i + period];
+    /**
+     * Calculate amplitude modulation (variation in amplitude over short window)
+     * @param {AnalysisFrame} [frame]
+     * @returns {number} Modulation value between 0 and 1
+     */
+    getAmplitudeModulation(frame = this.captureFrame()) {
+        return frame.memo('amplitudeModulation', () => {
+            const samples = frame.samples;
+
+            // Calculate envelope variation
+            const windowSize = 64;
+            const envelopes = [];
+
+            for (let i = 0; i < samples.length - windowSize; i += windowSize) {
+                let max = 0;
+                for (let j = 0; j < windowSize; j++) {
+                    max = Math.max(max, Math.abs(samples[i + j]));
+                }
+                envelopes.push(max);
             }
 
-            if (correlation > bestCorrelation) {
-                bestCorrelation = correlation;
-                bestPeriod = period;
-            }
-        }
+            if (envelopes.length < 2) return 0;
+
+            // Calculate variance of envelope
+            const mean = envelopes.reduce((a, b) => a + b, 0) / envelopes.length;
+            const variance = envelopes.reduce((acc, val) => acc + (val - mean) ** 2, 0) / envelopes.length;
 
-        return bestPeriod > 0 ? sampleRate / bestPeriod : 0;
+            // An envelope deviation of half full scale saturates
+            return Math.min(1, Math.sqrt(variance) * 2);
+        });
     }
 
     /**
-     * Calculate amplitude modulation (variation in amplitude over short window)
+     * Calculate frequency modulation (vibrato/wobble)
+     * @param {AnalysisFrame} [frame]
      * @returns {number} Modulation value between 0 and 1
      */
-    getAmplitudeModulation() {
-        const timeDomain = this.engine.getTimeDomainData();
-        if (!timeDomain || timeDomain.length === 0) return 0;
-
-        // Calculate envelope variation
-        const windowSize = 64;
-        const envelopes = [];
+    getFrequencyModulation(frame = this.captureFrame()) {
+        // Simplified: use spectral flux as proxy
+        return Math.min(1, this.getSpectralFlux(frame) / 0.5);
+    }
 
-        for (let i = 0; i < timeDomain.length - windowSize; i += windowSize) {
-            let max = 0;
-            for (let j = 0; j < windowSize; j++) {
-                max = Math.max(max, Math.abs(timeDomain[i + j] - 128));
+    /**
+     * Detect onsets and beats and estimate tempo. Advances the rhythm tracker
+     * once per frame and dispatches 'onset' / 'beat' events.
+     * @param {AnalysisFrame} [frame]
+     * @returns {{onset: boolean, onsetStrength: number, beat: boolean, tempo: number, tempoConfidence: number}}
+     */
+    getRhythm(frame = this.captureFrame()) {
+        return frame.memo('rhythm', () => {
+            const rhythm = this.rhythmTracker.process(this.getSpectralFlux(frame), frame.time);
+
+            if (rhythm.onset) {
+                this.dispatchEvent(new CustomEvent('onset', {
+                    detail: { time: frame.time, strength: rhythm.onsetStrength }
+                }));
+            }
+            if (rhythm.beat) {
+                this.dispatchEvent(new CustomEvent('beat', {
+                    detail: { time: frame.time, tempo: rhythm.tempo, confidence: rhythm.tempoConfidence }
+                }));
             }
-            envelopes.push(max);
-        }
 
-        if (envelopes.length < 2) return 0;
+            return rhythm;
+        });
+    }
 
-        // Calculate variance of envelope
-        const mean = envelopes.reduce((a, b) => a + b, 0) / envelopes.length;
-        const variance = envelopes.reduce((acc, val) => acc + (val - mean) ** 2, 0) / envelopes.length;
+    /**
+     * Get the 12-bin chromagram (pitch-class energy, C first)
+     * @param {AnalysisFrame} [frame]
+     * @returns {Float32Array} Chroma normalized to a maximum of 1
+     */
+    getChroma(frame = this.captureFrame()) {
+        return frame.memo('chroma', () => computeChroma(frame.spectrum, frame.sampleRate));
+    }
 
-        return Math.min(1, Math.sqrt(variance) / 64);
+    /**
+     * Estimate the musical key over the recent window. Advances the key
+     * estimator once per frame.
+     * @param {AnalysisFrame} [frame]
+     * @returns {{tonic: string, mode: string, label: string, confidence: number}}
+     */
+    getKey(frame = this.captureFrame()) {
+        return frame.memo('key', () => this.keyEstimator.process(this.getChroma(frame), frame.time));
     }
 
     /**
-     * Calculate frequency modulation (vibrato/wobble)
-     * @returns {number} Modulation value between 0 and 1
+     * Label the frame's chord (major/minor triads, 'N' for none)
+     * @param {AnalysisFrame} [frame]
+     * @returns {{label: string, confidence: number}}
      */
-    getFrequencyModulation() {
-        // Simplified: use spectral flux as proxy
-        return Math.min(1, this.getSpectralFlux() / 10);
+    getChord(frame = this.captureFrame()) {
+        return frame.memo('chord', () => estimateChord(this.getChroma(frame)));
     }
 
     /**
      * Get simplified MFCCs (Mel-Frequency Cepstral Coefficients)
+     * @param {AnalysisFrame} [frame]
      * @returns {Float32Array} Array of MFCC values
      */
-    getMFCCs() {
-        const spectrum = this.engine.getFrequencyData();
-        if (!spectrum || spectrum.length === 0) {
-            return new Float32Array(this.numMFCCs);
-        }
-
-        const sampleRate = this.engine.getSampleRate();
-        const binCount = spectrum.length;
-
-        // Convert to mel scale and apply filterbank
-        const melSpectrum = this._applyMelFilterbank(spectrum, sampleRate, binCount);
+    getMFCCs(frame = this.captureFrame()) {
+        return frame.memo('mfccs', () => {
+            if (frame.binCount === 0) {
+                return new Float32Array(this.numMFCCs);
+            }
 
-        // Apply log compression
-        const logMelSpectrum = melSpectrum.map(val => Math.log(val + 1));
+            // Convert to mel scale and apply filterbank
+            const melSpectrum = this._applyMelFilterbank(frame.power, frame.sampleRate, frame.binCount);
 
-        // Apply DCT to get MFCCs
-        const mfccs = this._dct(logMelSpectrum, this.numMFCCs);
+            // Apply log compression (floor at -100 dB)
+            const logMelSpectrum = melSpectrum.map(val => Math.log(val + 1e-10));
 
-        return mfccs;
+            // Apply DCT to get MFCCs
+            return this._dct(logMelSpectrum, this.numMFCCs);
+        });
     }
 
     /**
@@ -322,7 +420,7 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Apply Discrete Cosine Transform
+     * Apply orthonormal Discrete Cosine Transform (DCT-II)
      * @private
      */
     _dct(input, numCoeffs) {
@@ -334,29 +432,57 @@ export class AudioAnalyzer {
             for (let n = 0; n < N; n++) {
                 sum += input[n] * Math.cos(Math.PI * k * (n + 0.5) / N);
             }
-            output[k] = sum;
+            output[k] = sum * Math.sqrt((k === 0 ? 1 : 2) / N);
         }
 
         return output;
     }
 
     /**
-     * Get all features as an object
-     * @returns {Object} All computed features
+     * Register a custom feature extractor (see FeatureRegistry for the shape)
+     * @param {Object} extractor
      */
-    getAllFeatures() {
-        return {
-            rms: this.getRMS(),
-            peak: this.getPeak(),
-            spectralCentroid: this.getSpectralCentroid(),
-            spectralSpread: this.getSpectralSpread(),
-            spectralFlux: this.getSpectralFlux(),
-            spectralEntropy: this.getSpectralEntropy(),
-            tonality: this.getTonality(),
-            pitch: this.getPitch(),
-            amplitudeModulation: this.getAmplitudeModulation(),
-            frequencyModulation: this.getFrequencyModulation(),
-            mfccs: this.getMFCCs()
-        };
+    registerFeature(extractor) {
+        this.registry.register(extractor);
+    }
+
+    /**
+     * Describe the registered features
+     * @param {Object} [filter] - See FeatureRegistry.list
+     * @returns {Object[]}
+     */
+    listFeatures(filter) {
+        return this.registry.list(filter);
+    }
+
+    /**
+     * Compute a single registered feature (and its dependencies)
+     * @param {string} name - Feature name
+     * @param {AnalysisFrame} [frame]
+     * @returns {*}
+     */
+    getFeature(name, frame = this.captureFrame()) {
+        return this._compute(this.registry.resolve([name]), frame)[name];
+    }
+
+    /**
+     * Get all registered features as an object, computed from a single captured frame
+     * @param {AnalysisFrame} [frame]
+     * @returns {Object} All computed features, keyed by extractor name
+     */
+    getAllFeatures(frame = this.captureFrame()) {
+        return this._compute(this.registry.resolve(), frame);
+    }
+
+    /**
+     * Run extractors in the given (dependency-sorted) order
+     * @private
+     */
+    _compute(order, frame) {
+        const features = {};
+        for (const name of order) {
+            features[name] = this.registry.get(name).compute(frame, features, this);
+        }
+        return features;
     }
 }
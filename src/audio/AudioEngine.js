@@ -2,18 +2,36 @@
  * AudioEngine - Web Audio API wrapper for audio/video file playback and analysis
  */
 export class AudioEngine {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {MediaDevices} [options.mediaDevices] - Device API used for live input (injectable for testing)
+     */
+    constructor(options = {}) {
         this.audioContext = null;
         this.analyser = null;
+        this.outputGain = null;
         this.source = null;
         this.mediaElement = null;
         this.isPlaying = false;
         this.duration = 0;
         this.fftSize = 2048;
+        // No analyser smoothing: features are computed from the raw spectrum of each frame
+        this.smoothingTimeConstant = 0;
+
+        // Source mode: 'file' (media element) or 'live' (media stream)
+        this.sourceType = null;
+        this.stream = null;
+        this.ownsStream = false;
+        this.liveStartTime = 0;
+        this.monitor = true;
+        this.mediaDevices = options.mediaDevices || (typeof navigator !== 'undefined' ? navigator.mediaDevices : null);
 
         // Data arrays
         this.frequencyData = null;
         this.timeDomainData = null;
+        this.floatTimeDomainData = null;
+        this.floatFrequencyData = null;
+        this.magnitudeSpectrum = null;
     }
 
     /**
@@ -23,14 +41,20 @@ export class AudioEngine {
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = this.fftSize;
-        this.analyser.smoothingTimeConstant = 0.8;
+        this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
 
-        // Connect analyser to destination (speakers)
-        this.analyser.connect(this.audioContext.destination);
+        // Connect analyser to destination (speakers) through a gain stage
+        // so live input can be analysed without looping back to the speakers
+        this.outputGain = this.audioContext.createGain();
+        this.analyser.connect(this.outputGain);
+        this.outputGain.connect(this.audioContext.destination);
 
         // Initialize data arrays
         this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
         this.timeDomainData = new Uint8Array(this.analyser.fftSize);
+        this.floatTimeDomainData = new Float32Array(this.analyser.fftSize);
+        this.floatFrequencyData = new Float32Array(this.analyser.frequencyBinCount);
+        this.magnitudeSpectrum = new Float32Array(this.analyser.frequencyBinCount);
     }
 
     /**
@@ -49,13 +73,7 @@ export class AudioEngine {
         }
 
         // Clean up previous source
-        if (this.source) {
-            this.source.disconnect();
-        }
-        if (this.mediaElement) {
-            this.mediaElement.pause();
-            this.mediaElement.remove();
-        }
+        this.unload();
 
         // Create media element based on file type
         const isVideo = file.type.startsWith('video/');
@@ -63,6 +81,15 @@ export class AudioEngine {
         this.mediaElement.src = URL.createObjectURL(file);
         this.mediaElement.crossOrigin = 'anonymous';
 
+        // Also paused by the browser (media keys, end of file), not only through
+        // pause(). The events are queued, so a play() may already have followed.
+        const element = this.mediaElement;
+        ['pause', 'ended'].forEach(type => {
+            element.addEventListener(type, () => {
+                if (element.paused) this.isPlaying = false;
+            });
+        });
+
         // Wait for metadata to load
         await new Promise((resolve, reject) => {
             this.mediaElement.onloadedmetadata = resolve;
@@ -74,14 +101,157 @@ export class AudioEngine {
         // Create source and connect to analyser
         this.source = this.audioContext.createMediaElementSource(this.mediaElement);
         this.source.connect(this.analyser);
+        this.sourceType = 'file';
+        this.setMonitor(true);
 
         return this.mediaElement;
     }
 
+    /**
+     * List available audio input devices
+     * @returns {Promise<MediaDeviceInfo[]>}
+     */
+    async getInputDevices() {
+        if (!this.mediaDevices || !this.mediaDevices.enumerateDevices) return [];
+
+        const devices = await this.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
+    /**
+     * Open a microphone / line-in device and use it as the analysis source
+     * @param {Object} [options]
+     * @param {string} [options.deviceId] - Input device to open (default device if omitted)
+     * @param {boolean} [options.monitor=false] - Route the input to the speakers
+     * @returns {Promise<MediaStream>}
+     */
+    async loadLiveInput({ deviceId, monitor = false } = {}) {
+        if (!this.mediaDevices || !this.mediaDevices.getUserMedia) {
+            throw new Error('Live input is not supported in this browser');
+        }
+
+        // Disable voice-call processing so the analysed signal is the raw input
+        const stream = await this.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+
+        try {
+            await this.loadStream(stream, { monitor });
+        } catch (error) {
+            // Not connected: close the device rather than leave the microphone open
+            stream.getTracks().forEach(track => track.stop());
+            throw error;
+        }
+        this.ownsStream = true;
+
+        return stream;
+    }
+
+    /**
+     * Use an existing MediaStream (microphone, WebRTC or synthetic) as the analysis source
+     * @param {MediaStream} stream - Stream with at least one audio track
+     * @param {Object} [options]
+     * @param {boolean} [options.monitor=false] - Route the input to the speakers
+     * @returns {Promise<MediaStreamAudioSourceNode>}
+     */
+    async loadStream(stream, { monitor = false } = {}) {
+        if (!this.audioContext) {
+            await this.init();
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.unload();
+
+        this.stream = stream;
+        this.ownsStream = false;
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+        this.sourceType = 'live';
+        this.duration = 0;
+        this.liveStartTime = this.audioContext.currentTime;
+        this.isPlaying = true;
+        this.setMonitor(monitor);
+
+        return this.source;
+    }
+
+    /**
+     * Enable or disable routing of the analysed signal to the speakers
+     * @param {boolean} enabled
+     */
+    setMonitor(enabled) {
+        this.monitor = enabled;
+        if (this.outputGain) {
+            this.outputGain.gain.value = enabled ? 1 : 0;
+        }
+    }
+
+    /**
+     * Tap the analysed signal (before the monitor gain) into a MediaStream, e.g. for recording
+     * @returns {MediaStreamAudioDestinationNode|null} null before a source has been loaded
+     */
+    createStreamDestination() {
+        if (!this.audioContext) return null;
+        const destination = this.audioContext.createMediaStreamDestination();
+        this.analyser.connect(destination);
+        return destination;
+    }
+
+    /**
+     * Disconnect a destination created by createStreamDestination
+     * @param {MediaStreamAudioDestinationNode} destination
+     */
+    releaseStreamDestination(destination) {
+        this.analyser.disconnect(destination);
+    }
+
+    /**
+     * Whether the current source is a live stream
+     * @returns {boolean}
+     */
+    isLive() {
+        return this.sourceType === 'live';
+    }
+
+    /**
+     * Disconnect the current source and release its media element or stream
+     */
+    unload() {
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.mediaElement) {
+            this.mediaElement.pause();
+            this.mediaElement.remove();
+            this.mediaElement = null;
+        }
+        if (this.stream && this.ownsStream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.ownsStream = false;
+        this.sourceType = null;
+        this.isPlaying = false;
+    }
+
     /**
      * Play audio
      */
     async play() {
+        if (this.isLive()) {
+            await this.audioContext.resume();
+            this.isPlaying = true;
+            return;
+        }
         if (this.mediaElement && this.audioContext) {
             if (this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
@@ -95,6 +265,11 @@ export class AudioEngine {
      * Pause audio
      */
     pause() {
+        if (this.isLive()) {
+            this.audioContext.suspend();
+            this.isPlaying = false;
+            return;
+        }
         if (this.mediaElement) {
             this.mediaElement.pause();
             this.isPlaying = false;
@@ -127,6 +302,9 @@ export class AudioEngine {
      * @returns {number}
      */
     getCurrentTime() {
+        if (this.isLive()) {
+            return this.audioContext.currentTime - this.liveStartTime;
+        }
         return this.mediaElement ? this.mediaElement.currentTime : 0;
     }
 
@@ -152,6 +330,29 @@ export class AudioEngine {
         return this.timeDomainData;
     }
 
+    /**
+     * Get time domain data as float samples
+     * @returns {Float32Array} Samples in [-1, 1]
+     */
+    getFloatTimeDomainData() {
+        if (this.analyser) {
+            this.analyser.getFloatTimeDomainData(this.floatTimeDomainData);
+        }
+        return this.floatTimeDomainData;
+    }
+
+    /**
+     * Get linear magnitude spectrum (unclamped, from the analyser's float dB data)
+     * @returns {Float32Array}
+     */
+    getMagnitudeSpectrum() {
+        if (this.analyser) {
+            this.analyser.getFloatFrequencyData(this.floatFrequencyData);
+            toLinearMagnitude(this.floatFrequencyData, this.magnitudeSpectrum);
+        }
+        return this.magnitudeSpectrum;
+    }
+
     /**
      * Get sample rate
      * @returns {number}
@@ -168,3 +369,16 @@ export class AudioEngine {
         return this.analyser ? this.analyser.frequencyBinCount : 0;
     }
 }
+
+/**
+ * Convert analyser dB values to linear magnitudes (-Infinity dB becomes 0)
+ * @param {Float32Array} decibels - Source dB values
+ * @param {Float32Array} output - Destination array of the same length
+ * @returns {Float32Array} output
+ */
+export function toLinearMagnitude(decibels, output) {
+    for (let i = 0; i < decibels.length; i++) {
+        output[i] = Math.pow(10, decibels[i] / 20);
+    }
+    return output;
+}
@@ -0,0 +1,235 @@
+/**
+ * Chroma - Pitch-class profiles, key estimation and chord labelling
+ */
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Fractional MIDI note number of a frequency (69 = A4)
+ * @param {number} frequency - Hz
+ * @param {number} [tuning=440] - Reference A4 in Hz
+ * @returns {number}
+ */
+export function frequencyToMidi(frequency, tuning = 440) {
+    return 69 + 12 * Math.log2(frequency / tuning);
+}
+
+/**
+ * Frequency of a (fractional) MIDI note number
+ * @param {number} midi
+ * @param {number} [tuning=440] - Reference A4 in Hz
+ * @returns {number} Hz
+ */
+export function midiToFrequency(midi, tuning = 440) {
+    return tuning * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Scientific pitch name of a MIDI note, e.g. 61 -> "C#4"
+ * @param {number} midi - Integer note number
+ * @returns {string}
+ */
+export function noteName(midi) {
+    const pitchClass = ((midi % 12) + 12) % 12;
+    return PITCH_CLASSES[pitchClass] + (Math.floor(midi / 12) - 1);
+}
+
+/**
+ * Parse a note name such as "A4", "C#3" or "Bb2"
+ * @param {string} name
+ * @returns {number|null} MIDI note number, or null if the name is not a note
+ */
+export function parseNoteName(name) {
+    const match = /^\s*([A-Ga-g])([#b]?)(-?\d+)\s*$/.exec(name || '');
+    if (!match) return null;
+
+    const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+    const pitchClass = PITCH_CLASSES.indexOf(match[1].toUpperCase()) + accidental;
+    return (parseInt(match[3], 10) + 1) * 12 + pitchClass;
+}
+
+/**
+ * Nearest equal-tempered note to a frequency and the deviation from it
+ * @param {number} frequency - Hz (> 0)
+ * @param {number} [tuning=440] - Reference A4 in Hz
+ * @returns {{midi: number, name: string, cents: number}} cents in [-50, 50]
+ */
+export function nearestNote(frequency, tuning = 440) {
+    const exact = frequencyToMidi(frequency, tuning);
+    const midi = Math.round(exact);
+    return { midi, name: noteName(midi), cents: (exact - midi) * 100 };
+}
+
+// Krumhansl-Kessler key profiles (tonic first)
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Triad templates (root first)
+const CHORD_TYPES = [
+    { suffix: '', intervals: [0, 4, 7] },   // Major
+    { suffix: 'm', intervals: [0, 3, 7] }   // Minor
+];
+
+/**
+ * Fold a magnitude spectrum into 12 pitch classes
+ * @param {Float32Array} spectrum - Linear magnitude spectrum
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {number} [options.minFrequency=55] - Ignore bins below (A1)
+ * @param {number} [options.maxFrequency=5000] - Ignore bins above
+ * @param {number} [options.tuning=440] - Reference A4 in Hz
+ * @returns {Float32Array} Chroma vector normalized to a maximum of 1 (all zeros for silence)
+ */
+export function computeChroma(spectrum, sampleRate, options = {}) {
+    const minFrequency = options.minFrequency || 55;
+    const maxFrequency = options.maxFrequency || 5000;
+    const tuning = options.tuning || 440;
+
+    const chroma = new Float32Array(12);
+    const freqPerBin = sampleRate / (spectrum.length * 2);
+    const firstBin = Math.max(1, Math.ceil(minFrequency / freqPerBin));
+    const lastBin = Math.min(spectrum.length - 1, Math.floor(maxFrequency / freqPerBin));
+
+    for (let k = firstBin; k <= lastBin; k++) {
+        const midi = 69 + 12 * Math.log2(k * freqPerBin / tuning);
+        const pitchClass = ((Math.round(midi) % 12) + 12) % 12;
+        chroma[pitchClass] += spectrum[k] * spectrum[k];
+    }
+
+    let max = 0;
+    for (let i = 0; i < 12; i++) {
+        if (chroma[i] > max) max = chroma[i];
+    }
+    if (max > 0) {
+        for (let i = 0; i < 12; i++) chroma[i] /= max;
+    }
+
+    return chroma;
+}
+
+/**
+ * Label the triad that best matches a chroma vector
+ * @param {Float32Array} chroma - 12-bin chroma
+ * @param {number} [minConfidence=0.6] - Below this cosine similarity the frame is 'N' (no chord)
+ * @returns {{label: string, confidence: number}}
+ */
+export function estimateChord(chroma, minConfidence = 0.6) {
+    let norm = 0;
+    for (let i = 0; i < 12; i++) norm += chroma[i] * chroma[i];
+    if (norm === 0) return { label: 'N', confidence: 0 };
+    norm = Math.sqrt(norm);
+
+    let best = { label: 'N', confidence: 0 };
+    const templateNorm = Math.sqrt(3);
+
+    for (let root = 0; root < 12; root++) {
+        for (const type of CHORD_TYPES) {
+            let dot = 0;
+            for (const interval of type.intervals) {
+                dot += chroma[(root + interval) % 12];
+            }
+
+            const similarity = dot / (norm * templateNorm);
+            if (similarity > best.confidence) {
+                best = { label: PITCH_CLASSES[root] + type.suffix, confidence: similarity };
+            }
+        }
+    }
+
+    if (best.confidence < minConfidence) {
+        return { label: 'N', confidence: best.confidence };
+    }
+    return best;
+}
+
+/**
+ * KeyEstimator - Krumhansl-Schmuckler key finding over a sliding time window
+ */
+export class KeyEstimator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.window=10] - Seconds of chroma to accumulate
+     */
+    constructor(options = {}) {
+        this.window = options.window || 10;
+        this.reset();
+    }
+
+    reset() {
+        this.history = []; // { time, chroma }
+        this.sum = new Float32Array(12);
+        this.lastTime = -Infinity;
+    }
+
+    /**
+     * Add a frame's chroma and re-estimate the key
+     * @param {Float32Array} chroma - 12-bin chroma
+     * @param {number} time - Frame time in seconds
+     * @returns {{tonic: string, mode: string, label: string, confidence: number}}
+     */
+    process(chroma, time) {
+        if (time < this.lastTime) {
+            this.reset();
+        }
+        this.lastTime = time;
+
+        this.history.push({ time, chroma });
+        for (let i = 0; i < 12; i++) this.sum[i] += chroma[i];
+
+        while (this.history.length > 0 && this.history[0].time < time - this.window) {
+            const old = this.history.shift();
+            for (let i = 0; i < 12; i++) this.sum[i] -= old.chroma[i];
+        }
+
+        return this.estimate(this.sum);
+    }
+
+    /**
+     * Correlate a pitch-class distribution with all 24 rotated key profiles
+     * @param {Float32Array} distribution - Accumulated chroma
+     * @returns {{tonic: string, mode: string, label: string, confidence: number}}
+     */
+    estimate(distribution) {
+        let best = { tonic: '', mode: '', label: '', confidence: 0 };
+
+        for (let tonic = 0; tonic < 12; tonic++) {
+            const major = correlate(distribution, MAJOR_PROFILE, tonic);
+            const minor = correlate(distribution, MINOR_PROFILE, tonic);
+
+            if (major > best.confidence) {
+                best = { tonic: PITCH_CLASSES[tonic], mode: 'major', label: `${PITCH_CLASSES[tonic]} major`, confidence: major };
+            }
+            if (minor > best.confidence) {
+                best = { tonic: PITCH_CLASSES[tonic], mode: 'minor', label: `${PITCH_CLASSES[tonic]} minor`, confidence: minor };
+            }
+        }
+
+        return best;
+    }
+}
+
+/**
+ * Pearson correlation between a distribution and a profile rotated to a tonic
+ */
+function correlate(distribution, profile, tonic) {
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < 12; i++) {
+        meanX += distribution[i];
+        meanY += profile[i];
+    }
+    meanX /= 12;
+    meanY /= 12;
+
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < 12; i++) {
+        const dx = distribution[(i + tonic) % 12] - meanX;
+        const dy = profile[i] - meanY;
+        cov += dx * dy;
+        varX += dx * dx;
+        varY += dy * dy;
+    }
+
+    return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : 0;
+}
@@ -0,0 +1,104 @@
+/**
+ * FeatureDistribution - Running per-dimension statistics of analyzer frames,
+ * used to score how alike two recordings are
+ */
+
+// Timbre features compared by default; MFCC 0 (overall level) is left out so
+// the same performance at a different gain still scores as similar
+const DEFAULT_FEATURES = ['mfccs', 'spectralCentroid', 'spectralSpread', 'spectralEntropy', 'tonality'];
+
+export class FeatureDistribution {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.features] - Feature names (scalars or vectors)
+     * @param {number} [options.minRMS=0.01] - Frames quieter than this are ignored
+     */
+    constructor(options = {}) {
+        this.features = options.features || DEFAULT_FEATURES;
+        this.minRMS = options.minRMS ?? 0.01;
+        this.reset();
+    }
+
+    reset() {
+        this.count = 0;
+        this.means = null;
+        this.m2 = null;
+    }
+
+    /**
+     * Add one frame (Welford update)
+     * @param {Object} features - Result of AudioAnalyzer.getAllFeatures()
+     */
+    add(features) {
+        if (features.rms < this.minRMS) return;
+
+        const sample = this.flatten(features);
+        if (!this.means) {
+            this.means = new Float64Array(sample.length);
+            this.m2 = new Float64Array(sample.length);
+        }
+
+        this.count++;
+        for (let i = 0; i < sample.length; i++) {
+            const delta = sample[i] - this.means[i];
+            this.means[i] += delta / this.count;
+            this.m2[i] += delta * (sample[i] - this.means[i]);
+        }
+    }
+
+    /**
+     * Add every frame of a timeline (FeatureTrack or FeatureRecorder)
+     */
+    addAll(timeline) {
+        timeline.frames.forEach(features => this.add(features));
+    }
+
+    /**
+     * Sample variance per dimension
+     * @returns {Float64Array|null}
+     */
+    getVariances() {
+        if (this.count < 2) return null;
+        return this.m2.map(value => value / (this.count - 1));
+    }
+
+    flatten(features) {
+        const sample = [];
+        for (const name of this.features) {
+            const value = features[name];
+            if (value && value.length !== undefined) {
+                for (let i = name === 'mfccs' ? 1 : 0; i < value.length; i++) sample.push(value[i]);
+            } else {
+                sample.push(Number(value) || 0);
+            }
+        }
+        return sample;
+    }
+}
+
+/**
+ * Similarity of two distributions from the Bhattacharyya distance between
+ * diagonal Gaussians, averaged per dimension so the score does not shrink
+ * as features are added
+ * @param {FeatureDistribution} a
+ * @param {FeatureDistribution} b
+ * @returns {{similarity: number, distance: number}|null} similarity in 0-1 (1 = identical), null until both have 2+ frames
+ */
+export function compareDistributions(a, b) {
+    const varA = a.getVariances();
+    const varB = b.getVariances();
+    if (!varA || !varB || varA.length !== varB.length) return null;
+
+    let distance = 0;
+    for (let i = 0; i < varA.length; i++) {
+        // Floor keeps dimensions that never change finite
+        const va = varA[i] + 1e-9;
+        const vb = varB[i] + 1e-9;
+        const v = (va + vb) / 2;
+        const diff = a.means[i] - b.means[i];
+        distance += (diff * diff) / (8 * v) + 0.5 * Math.log(v / Math.sqrt(va * vb));
+    }
+    distance /= varA.length;
+
+    return { similarity: Math.exp(-distance), distance };
+}
@@ -0,0 +1,196 @@
+/**
+ * FeatureExport - Serialize a feature timeline to CSV, JSON, .npy or .npz
+ *
+ * A timeline is anything with parallel `times` and `frames` arrays
+ * (FeatureRecorder, FeatureTrack). Columns follow the registry's
+ * registration order, so they are stable across exports:
+ *   time               seconds of media time
+ *   <feature>          scalar features (booleans as 0/1)
+ *   <feature>_<i>      vector features, zero-based (mfccs_0..mfccs_12, chroma_0..chroma_11 = C..B)
+ * Label features (key, chord) are text: included in CSV/JSON and as
+ * separate string arrays in .npz, left out of the numeric .npy matrix.
+ * A bare .npy has no room for column names, so they go in a sidecar
+ * JSON file (exportNPYColumns).
+ */
+import { encodeNPY, encodeNPZ, encodeStringNPY } from '../utils/NumPy.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    npy: { extension: 'npy', mimeType: 'application/octet-stream' },
+    npz: { extension: 'npz', mimeType: 'application/zip' }
+};
+
+/**
+ * Flattened column layout for a registry
+ * @param {FeatureRegistry} registry
+ * @returns {{name: string, feature: string|null, index: number, label: string, unit: string, type: string}[]}
+ */
+export function describeColumns(registry) {
+    const columns = [
+        { name: 'time', feature: null, index: -1, label: 'Media Time', unit: 's', type: 'number' }
+    ];
+
+    for (const { name, label, type, shape, unit } of registry.list()) {
+        if (shape.length === 0) {
+            columns.push({ name, feature: name, index: -1, label, unit, type });
+            continue;
+        }
+
+        const labels = registry.get(name).labels;
+        for (let i = 0; i < shape[0]; i++) {
+            columns.push({
+                name: `${name}_${i}`,
+                feature: name,
+                index: i,
+                label: `${label} ${labels ? labels[i] : i}`,
+                unit,
+                type
+            });
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Serialize a timeline
+ * @param {{times: number[], frames: Object[]}} timeline
+ * @param {FeatureRegistry} registry
+ * @param {string} format - 'csv', 'json', 'npy' or 'npz'
+ * @param {Object} [metadata] - Extra fields (source file, sample rate, ...)
+ * @returns {Blob}
+ */
+export function exportTimeline(timeline, registry, format, metadata = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+
+    const columns = describeColumns(registry);
+    const info = describeExport(timeline, metadata);
+
+    let data;
+    if (format === 'csv') data = toCSV(timeline, columns, info);
+    else if (format === 'json') data = toJSON(timeline, columns, info);
+    else if (format === 'npy') data = toNPY(timeline, columns);
+    else data = toNPZ(timeline, columns, info);
+
+    return new Blob([data], { type: spec.mimeType });
+}
+
+/**
+ * Columns of the .npy matrix, to be saved next to it
+ * @param {{times: number[], frames: Object[]}} timeline
+ * @param {FeatureRegistry} registry
+ * @param {Object} [metadata] - Same as for exportTimeline
+ * @returns {Blob} JSON: { metadata, columns }, columns in matrix order
+ */
+export function exportNPYColumns(timeline, registry, metadata = {}) {
+    const numeric = describeColumns(registry).filter(column => column.type !== 'label');
+    const data = JSON.stringify({ metadata: describeExport(timeline, metadata), columns: numeric }, null, 2);
+    return new Blob([data], { type: 'application/json' });
+}
+
+function describeExport(timeline, metadata) {
+    return {
+        version: EXPORT_FORMAT_VERSION,
+        frames: timeline.times.length,
+        exportedAt: new Date().toISOString(),
+        ...metadata
+    };
+}
+
+/**
+ * Value of one column in one frame (NaN when missing)
+ */
+function cellValue(column, time, features) {
+    if (!column.feature) return time;
+
+    let value = features[column.feature];
+    if (column.index >= 0) value = value ? value[column.index] : undefined;
+
+    if (column.type === 'label') return value ?? '';
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return typeof value === 'number' ? value : NaN;
+}
+
+function toCSV(timeline, columns, info) {
+    // '#' comment lines: read_csv(comment='#') in pandas, read.csv(comment.char='#') in R
+    const lines = Object.entries(info).map(([key, value]) => `# ${key}: ${value}`);
+    lines.push('# columns (name, unit, description):');
+    for (const column of columns) {
+        lines.push(`#   ${column.name}, ${column.unit || '-'}, ${column.label}`);
+    }
+
+    lines.push(columns.map(column => column.name).join(','));
+
+    for (let f = 0; f < timeline.times.length; f++) {
+        const row = columns.map(column => {
+            const value = cellValue(column, timeline.times[f], timeline.frames[f]);
+            if (column.type === 'label') return `"${String(value).replace(/"/g, '""')}"`;
+            return Number.isFinite(value) ? value : 'NaN';
+        });
+        lines.push(row.join(','));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function toJSON(timeline, columns, info) {
+    const frames = [];
+    for (let f = 0; f < timeline.times.length; f++) {
+        const row = {};
+        for (const column of columns) {
+            const value = cellValue(column, timeline.times[f], timeline.frames[f]);
+            row[column.name] = typeof value === 'number' && !Number.isFinite(value) ? null : value;
+        }
+        frames.push(row);
+    }
+
+    return JSON.stringify({ metadata: info, columns, frames });
+}
+
+/**
+ * Numeric matrix (frames x numeric columns) and the columns it holds
+ */
+function toMatrix(timeline, columns) {
+    const numeric = columns.filter(column => column.type !== 'label');
+    const values = new Float64Array(timeline.times.length * numeric.length);
+
+    for (let f = 0; f < timeline.times.length; f++) {
+        for (let c = 0; c < numeric.length; c++) {
+            values[f * numeric.length + c] = cellValue(numeric[c], timeline.times[f], timeline.frames[f]);
+        }
+    }
+
+    return { numeric, values, shape: [timeline.times.length, numeric.length] };
+}
+
+function toNPY(timeline, columns) {
+    const { values, shape } = toMatrix(timeline, columns);
+    return encodeNPY(values, shape);
+}
+
+function toNPZ(timeline, columns, info) {
+    const { numeric, values, shape } = toMatrix(timeline, columns);
+
+    const arrays = {
+        features: encodeNPY(values, shape),
+        columns: encodeStringNPY(numeric.map(column => column.name)),
+        units: encodeStringNPY(numeric.map(column => column.unit)),
+        metadata: encodeStringNPY([JSON.stringify(info)], [])
+    };
+
+    // Label features as parallel string arrays
+    for (const column of columns) {
+        if (column.type !== 'label') continue;
+        arrays[column.name] = encodeStringNPY(
+            timeline.frames.map((features, f) => cellValue(column, timeline.times[f], features))
+        );
+    }
+
+    return encodeNPZ(arrays);
+}
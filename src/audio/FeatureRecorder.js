@@ -0,0 +1,49 @@
+/**
+ * FeatureRecorder - Keeps every analyzed frame so the whole timeline can be exported
+ */
+export class FeatureRecorder {
+    constructor() {
+        this.times = [];
+        this.frames = [];
+        // Whether each frame was a history sample (see FrameContext.sample)
+        this.samples = [];
+        this.enabled = true;
+    }
+
+    /**
+     * Record a frame. Seeking backwards discards the frames after the new
+     * position, so the recording stays a single monotonic timeline.
+     * @param {number} time - Media time in seconds
+     * @param {Object} features - Result of AudioAnalyzer.getAllFeatures()
+     * @param {boolean} [sample=true] - Whether the frame was added to the history views
+     */
+    record(time, features, sample = true) {
+        if (!this.enabled) return;
+
+        let end = this.times.length;
+        while (end > 0 && this.times[end - 1] >= time) end--;
+        if (end < this.times.length) {
+            this.times.length = end;
+            this.frames.length = end;
+            this.samples.length = end;
+        }
+
+        this.times.push(time);
+        this.frames.push(features);
+        this.samples.push(sample);
+    }
+
+    clear() {
+        this.times = [];
+        this.frames = [];
+        this.samples = [];
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    get duration() {
+        return this.times.length > 0 ? this.times[this.times.length - 1] : 0;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * FeatureRegistry - Named feature extractors resolved in dependency order
+ *
+ * An extractor is a plain object:
+ * {
+ *   name: 'spectralSpread',          // Key in the features object
+ *   label: 'Spectral Spread',        // Human-readable name for pickers
+ *   dependencies: ['spectralCentroid'],
+ *   type: 'number',                  // 'number', 'boolean' or 'label' (categorical string)
+ *   shape: [],                       // [] for scalars, [n] for vectors
+ *   range: [0, 5000],                // Typical output range (for normalization/axes)
+ *   unit: 'Hz',
+ *   compute(frame, features, analyzer) { ... } // features holds resolved dependencies
+ * }
+ */
+export class FeatureRegistry {
+    constructor() {
+        this.extractors = new Map();
+        this.order = null;
+    }
+
+    /**
+     * Register (or replace) an extractor
+     * @param {Object} extractor
+     * @returns {FeatureRegistry} this
+     */
+    register(extractor) {
+        if (!extractor || typeof extractor.name !== 'string' || !extractor.name) {
+            throw new Error('Feature extractor needs a name');
+        }
+        if (typeof extractor.compute !== 'function') {
+            throw new Error(`Feature extractor "${extractor.name}" needs a compute function`);
+        }
+
+        this.extractors.set(extractor.name, {
+            label: extractor.name,
+            dependencies: [],
+            type: 'number',
+            shape: [],
+            range: [0, 1],
+            unit: '',
+            ...extractor
+        });
+        this.order = null;
+        return this;
+    }
+
+    /**
+     * Remove an extractor
+     * @param {string} name
+     */
+    unregister(name) {
+        this.extractors.delete(name);
+        this.order = null;
+    }
+
+    has(name) {
+        return this.extractors.has(name);
+    }
+
+    get(name) {
+        return this.extractors.get(name) || null;
+    }
+
+    /**
+     * Describe every registered feature
+     * @param {Object} [filter]
+     * @param {boolean} [filter.scalar] - Only numeric scalar features (e.g. for axis pickers)
+     * @returns {{name: string, label: string, type: string, shape: number[], range: number[], unit: string, dependencies: string[]}[]}
+     */
+    list({ scalar = false } = {}) {
+        const result = [];
+        for (const { name, label, type, shape, range, unit, dependencies } of this.extractors.values()) {
+            if (scalar && (shape.length > 0 || type === 'label')) continue;
+            result.push({ name, label, type, shape, range, unit, dependencies });
+        }
+        return result;
+    }
+
+    /**
+     * Map a feature value into 0-1 using its declared range
+     * @param {string} name
+     * @param {number} value
+     * @returns {number}
+     */
+    normalize(name, value) {
+        const extractor = this.get(name);
+        if (!extractor) return 0;
+
+        const [min, max] = extractor.range;
+        return max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0;
+    }
+
+    /**
+     * Extractor names in dependency order (dependencies first)
+     * @param {string[]} [names] - Only these features and what they depend on
+     * @returns {string[]}
+     */
+    resolve(names) {
+        if (!names && this.order) return this.order;
+
+        const order = [];
+        const state = new Map(); // name -> 'visiting' | 'done'
+
+        const visit = (name, from) => {
+            const extractor = this.extractors.get(name);
+            if (!extractor) {
+                throw new Error(from
+                    ? `Feature "${from}" depends on unknown feature "${name}"`
+                    : `Unknown feature "${name}"`);
+            }
+
+            const status = state.get(name);
+            if (status === 'done') return;
+            if (status === 'visiting') {
+                throw new Error(`Circular feature dependency involving "${name}"`);
+            }
+
+            state.set(name, 'visiting');
+            extractor.dependencies.forEach(dep => visit(dep, name));
+            state.set(name, 'done');
+            order.push(name);
+        };
+
+        (names || Array.from(this.extractors.keys())).forEach(name => visit(name));
+
+        if (!names) this.order = order;
+        return order;
+    }
+}
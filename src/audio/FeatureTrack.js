@@ -0,0 +1,107 @@
+/**
+ * FeatureTrack - Time-indexed sequence of analyzer feature frames
+ */
+
+// Stored spectra are quantized to 8-bit dB over this range
+const SPECTRUM_MIN_DB = -120;
+const SPECTRUM_MAX_DB = 0;
+
+export class FeatureTrack {
+    /**
+     * @param {number} frameRate - Nominal frames per second
+     * @param {number} [sampleRate=0] - Sample rate of the analysed audio (for stored spectra)
+     */
+    constructor(frameRate, sampleRate = 0) {
+        this.frameRate = frameRate;
+        this.sampleRate = sampleRate;
+        this.times = [];
+        this.frames = [];
+        this.spectra = [];
+        // Whether each frame is a history sample (see FrameContext.sample)
+        this.samples = [];
+    }
+
+    /**
+     * Append a frame (times must be non-decreasing)
+     * @param {number} time - Media time in seconds
+     * @param {Object} features - Result of AudioAnalyzer.getAllFeatures()
+     * @param {Float32Array} [spectrum] - Linear magnitude spectrum, kept at 8-bit dB precision
+     * @param {boolean} [sample=true] - Whether the frame is added to the history views
+     */
+    push(time, features, spectrum, sample = true) {
+        this.times.push(time);
+        this.frames.push(features);
+        this.spectra.push(spectrum ? quantizeSpectrum(spectrum) : null);
+        this.samples.push(sample);
+    }
+
+    /**
+     * Get the stored spectrum of a frame
+     * @param {number} index - Frame index
+     * @returns {Float32Array|null} Linear magnitudes, or null if none was stored
+     */
+    getSpectrum(index) {
+        const quantized = this.spectra[index];
+        if (!quantized) return null;
+
+        const spectrum = new Float32Array(quantized.length);
+        const range = SPECTRUM_MAX_DB - SPECTRUM_MIN_DB;
+        for (let i = 0; i < quantized.length; i++) {
+            spectrum[i] = quantized[i] === 0
+                ? 0
+                : Math.pow(10, (SPECTRUM_MIN_DB + (quantized[i] / 255) * range) / 20);
+        }
+        return spectrum;
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    get duration() {
+        return this.times.length > 0 ? this.times[this.times.length - 1] : 0;
+    }
+
+    /**
+     * Index of the last frame at or before the given time
+     * @param {number} time - Media time in seconds
+     * @returns {number} Frame index, or -1 if time precedes the first frame
+     */
+    indexAt(time) {
+        let lo = 0;
+        let hi = this.times.length - 1;
+        let result = -1;
+
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.times[mid] <= time) {
+                result = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the frame at or before the given time
+     * @param {number} time - Media time in seconds
+     * @returns {Object|null}
+     */
+    frameAt(time) {
+        const index = this.indexAt(time);
+        return index >= 0 ? this.frames[index] : null;
+    }
+}
+
+function quantizeSpectrum(spectrum) {
+    const quantized = new Uint8Array(spectrum.length);
+    const range = SPECTRUM_MAX_DB - SPECTRUM_MIN_DB;
+    for (let i = 0; i < spectrum.length; i++) {
+        const db = spectrum[i] > 0 ? 20 * Math.log10(spectrum[i]) : SPECTRUM_MIN_DB;
+        quantized[i] = Math.max(0, Math.min(255, Math.round((db - SPECTRUM_MIN_DB) / range * 255)));
+    }
+    return quantized;
+}
@@ -0,0 +1,197 @@
+/**
+ * OfflineAnalyzer - Whole-file feature extraction using OfflineAudioContext
+ */
+import { AudioAnalyzer } from './AudioAnalyzer.js';
+import { toLinearMagnitude } from './AudioEngine.js';
+import { FeatureTrack } from './FeatureTrack.js';
+
+/**
+ * Minimal engine-compatible wrapper around an AnalyserNode, so AudioAnalyzer
+ * can read from an offline graph exactly as it reads from AudioEngine
+ */
+class AnalyserTap {
+    constructor(context, analyser) {
+        this.context = context;
+        this.analyser = analyser;
+        this.sampleRate = context.sampleRate;
+        this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        this.timeDomainData = new Uint8Array(analyser.fftSize);
+        this.floatTimeDomainData = new Float32Array(analyser.fftSize);
+        this.floatFrequencyData = new Float32Array(analyser.frequencyBinCount);
+        this.magnitudeSpectrum = new Float32Array(analyser.frequencyBinCount);
+    }
+
+    getFrequencyData() {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        return this.frequencyData;
+    }
+
+    getTimeDomainData() {
+        this.analyser.getByteTimeDomainData(this.timeDomainData);
+        return this.timeDomainData;
+    }
+
+    getFloatTimeDomainData() {
+        this.analyser.getFloatTimeDomainData(this.floatTimeDomainData);
+        return this.floatTimeDomainData;
+    }
+
+    getMagnitudeSpectrum() {
+        this.analyser.getFloatFrequencyData(this.floatFrequencyData);
+        return toLinearMagnitude(this.floatFrequencyData, this.magnitudeSpectrum);
+    }
+
+    getSampleRate() {
+        return this.sampleRate;
+    }
+
+    getCurrentTime() {
+        return this.context.currentTime;
+    }
+
+    getBinCount() {
+        return this.analyser.frequencyBinCount;
+    }
+}
+
+// Frames an OfflineAudioContext renders between suspend points
+const RENDER_QUANTUM = 128;
+
+export class OfflineAnalyzer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.frameRate=20] - Analysis frames per second
+     * @param {number} [options.fftSize=2048] - Analyser FFT size (matches AudioEngine)
+     * @param {number} [options.smoothingTimeConstant=0] - Analyser smoothing (matches AudioEngine)
+     * @param {number} [options.sampleRate=44100] - Decode sample rate
+     * @param {FeatureRegistry} [options.registry] - Feature extractors to run (defaults to the built-ins)
+     * @param {number[]} [options.pitchRange] - [minFrequency, maxFrequency] of the pitch tracker in Hz
+     */
+    constructor(options = {}) {
+        this.frameRate = options.frameRate || 20;
+        this.fftSize = options.fftSize || 2048;
+        this.smoothingTimeConstant = options.smoothingTimeConstant ?? 0;
+        this.sampleRate = options.sampleRate || 44100;
+        this.registry = options.registry || null;
+        this.pitchRange = options.pitchRange || null;
+    }
+
+    /**
+     * Set the frequency range searched by the pitch tracker in later analyses
+     * @param {number} minFrequency - Lowest F0 in Hz
+     * @param {number} maxFrequency - Highest F0 in Hz
+     */
+    setPitchRange(minFrequency, maxFrequency) {
+        this.pitchRange = [minFrequency, maxFrequency];
+    }
+
+    /**
+     * Decode a file and analyze it
+     * @param {File} file - Audio or video file
+     * @param {Function} [onProgress] - Called with completion ratio 0-1
+     * @returns {Promise<FeatureTrack>}
+     */
+    async analyzeFile(file, onProgress) {
+        const buffer = await this.decode(file);
+        return this.analyzeBuffer(buffer, onProgress);
+    }
+
+    /**
+     * Decode a file into an AudioBuffer
+     * @param {File} file - Audio or video file
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decode(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const context = new OfflineAudioContext(1, 1, this.sampleRate);
+        return context.decodeAudioData(arrayBuffer);
+    }
+
+    /**
+     * Decode a file and render it through an OfflineAudioContext at another
+     * sample rate, e.g. for an encoder that only takes 48 kHz
+     * @param {File} file - Audio or video file
+     * @param {number} sampleRate - Output sample rate
+     * @param {number} [channels=2] - Output channels (mono is upmixed)
+     * @returns {Promise<AudioBuffer>}
+     */
+    async render(file, sampleRate, channels = 2) {
+        const buffer = await this.decode(file);
+        const context = new OfflineAudioContext(channels, Math.ceil(buffer.duration * sampleRate), sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start(0);
+        return context.startRendering();
+    }
+
+    /**
+     * Run the AudioAnalyzer feature set over every hop of a buffer
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {Function} [onProgress] - Called with completion ratio 0-1
+     * @returns {Promise<FeatureTrack>}
+     */
+    async analyzeBuffer(buffer, onProgress) {
+        const context = new OfflineAudioContext(
+            buffer.numberOfChannels,
+            buffer.length,
+            buffer.sampleRate
+        );
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        const analyser = context.createAnalyser();
+        analyser.fftSize = this.fftSize;
+        analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+
+        source.connect(analyser);
+        analyser.connect(context.destination);
+
+        const analyzer = new AudioAnalyzer(new AnalyserTap(context, analyser), {
+            registry: this.registry || undefined
+        });
+        if (this.pitchRange) analyzer.setPitchRange(...this.pitchRange);
+        const track = new FeatureTrack(this.frameRate, buffer.sampleRate);
+
+        // Suspend the render at every hop and sample the analyser there. Suspends
+        // fall on render quanta after the start and before the end, so frame 0 is
+        // sampled after the first quantum and hops in the last one are left to
+        // the final frame.
+        const frames = [];
+        for (let i = 0; i / this.frameRate < buffer.duration; i++) {
+            const time = i / this.frameRate;
+            const quantum = Math.max(1, Math.ceil(time * buffer.sampleRate / RENDER_QUANTUM)) * RENDER_QUANTUM;
+            if (quantum >= buffer.length) break;
+            frames.push({ time, suspendAt: quantum / buffer.sampleRate });
+        }
+
+        const capture = (time) => {
+            const frame = analyzer.captureFrame();
+            track.push(time, analyzer.getAllFeatures(frame), frame.spectrum);
+            if (onProgress) onProgress(track.length / (frames.length + 1));
+        };
+
+        await new Promise((resolve, reject) => {
+            frames.forEach(({ time, suspendAt }) => {
+                context.suspend(suspendAt)
+                    .then(() => {
+                        capture(time);
+                        return context.resume();
+                    })
+                    // A failed frame would leave the render suspended for good
+                    .catch(reject);
+            });
+
+            source.start(0);
+            context.startRendering().then(resolve, reject);
+        });
+
+        // The partial hop after the last frame, up to the end of the file
+        capture(buffer.duration);
+
+        if (onProgress) onProgress(1);
+        return track;
+    }
+}
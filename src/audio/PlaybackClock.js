@@ -0,0 +1,58 @@
+/**
+ * PlaybackClock - Wall-clock transport for replaying a timeline without audio.
+ * Mirrors the playback subset of AudioEngine (play, pause, seek, getCurrentTime, duration).
+ */
+export class PlaybackClock {
+    /**
+     * @param {number} duration - Length in seconds
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Millisecond clock (defaults to performance.now)
+     */
+    constructor(duration, options = {}) {
+        this.duration = duration;
+        this.now = options.now || (() => performance.now());
+        this.isPlaying = false;
+        this.offset = 0;
+        this.startedAt = 0;
+    }
+
+    async play() {
+        if (this.isPlaying) return;
+        if (this.offset >= this.duration) this.offset = 0;
+        this.startedAt = this.now();
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.offset = this.getCurrentTime();
+        this.isPlaying = false;
+    }
+
+    async toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            await this.play();
+        }
+    }
+
+    /**
+     * @param {number} time - Time in seconds
+     */
+    seek(time) {
+        this.offset = Math.max(0, Math.min(time, this.duration));
+        this.startedAt = this.now();
+    }
+
+    /**
+     * @returns {number} Seconds, stopping at the end
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) return this.offset;
+        return Math.min(this.duration, this.offset + (this.now() - this.startedAt) / 1000);
+    }
+
+    isLive() {
+        return false;
+    }
+}
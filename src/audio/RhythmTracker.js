@@ -0,0 +1,171 @@
+/**
+ * RhythmTracker - Onset detection, beat tracking and tempo estimation from spectral flux
+ */
+export class RhythmTracker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minBPM=60] - Lower bound of the tempo octave
+     * @param {number} [options.maxBPM=180] - Upper bound of the tempo octave
+     * @param {number} [options.thresholdWindow=1.5] - Seconds of flux history for the adaptive threshold
+     * @param {number} [options.thresholdMultiplier=1.5] - Onset threshold as a multiple of the median flux
+     * @param {number} [options.thresholdOffset=0.02] - Constant added to the threshold (rejects noise in silence)
+     * @param {number} [options.minOnsetInterval=0.1] - Refractory period between onsets in seconds
+     * @param {number} [options.tempoWindow=8] - Seconds of onsets used for tempo estimation
+     */
+    constructor(options = {}) {
+        this.minBPM = options.minBPM || 60;
+        this.maxBPM = options.maxBPM || 180;
+        this.thresholdWindow = options.thresholdWindow || 1.5;
+        this.thresholdMultiplier = options.thresholdMultiplier || 1.5;
+        this.thresholdOffset = options.thresholdOffset ?? 0.02;
+        this.minOnsetInterval = options.minOnsetInterval || 0.1;
+        this.tempoWindow = options.tempoWindow || 8;
+
+        this.reset();
+    }
+
+    reset() {
+        this.fluxHistory = []; // { time, flux }
+        this.onsetTimes = [];
+        this.prevFlux = 0;
+        this.lastTime = -Infinity;
+        this.lastOnsetTime = -Infinity;
+
+        this.tempo = 0;
+        this.tempoConfidence = 0;
+        this.nextBeatTime = null;
+    }
+
+    /**
+     * Advance the tracker by one analysis frame
+     * @param {number} flux - Half-wave rectified spectral flux of the frame
+     * @param {number} time - Frame time in seconds
+     * @returns {{onset: boolean, onsetStrength: number, beat: boolean, tempo: number, tempoConfidence: number}}
+     */
+    process(flux, time) {
+        // Time went backwards (seek or new source): start over
+        if (time < this.lastTime) {
+            this.reset();
+        }
+        this.lastTime = time;
+
+        // Adaptive threshold from the median of recent flux
+        this.fluxHistory.push({ time, flux });
+        while (this.fluxHistory.length > 0 && this.fluxHistory[0].time < time - this.thresholdWindow) {
+            this.fluxHistory.shift();
+        }
+        const threshold = median(this.fluxHistory.map(h => h.flux)) * this.thresholdMultiplier + this.thresholdOffset;
+
+        // Onset on a rising flux edge above threshold, outside the refractory period
+        const onset = flux > threshold && flux >= this.prevFlux &&
+            time - this.lastOnsetTime >= this.minOnsetInterval;
+        const onsetStrength = threshold > 0 ? Math.max(0, flux - threshold) / threshold : 0;
+        this.prevFlux = flux;
+
+        if (onset) {
+            this.lastOnsetTime = time;
+            this.onsetTimes.push(time);
+            while (this.onsetTimes.length > 0 && this.onsetTimes[0] < time - this.tempoWindow) {
+                this.onsetTimes.shift();
+            }
+            this.estimateTempo();
+        }
+
+        const beat = this.trackBeat(time, onset);
+
+        return {
+            onset,
+            onsetStrength,
+            beat,
+            tempo: this.tempo,
+            tempoConfidence: this.tempoConfidence
+        };
+    }
+
+    /**
+     * Tempo from a histogram of inter-onset intervals folded into one tempo octave
+     * @private
+     */
+    estimateTempo() {
+        const onsets = this.onsetTimes;
+        if (onsets.length < 4) return;
+
+        const bins = new Float32Array(this.maxBPM - this.minBPM + 1);
+        let total = 0;
+
+        for (let i = 0; i < onsets.length; i++) {
+            // Compare each onset with the next few, so skipped beats still count
+            for (let j = i + 1; j < Math.min(onsets.length, i + 5); j++) {
+                let bpm = 60 / (onsets[j] - onsets[i]);
+                while (bpm < this.minBPM) bpm *= 2;
+                while (bpm > this.maxBPM) bpm /= 2;
+
+                // Spread each vote over neighbouring bins
+                const center = bpm - this.minBPM;
+                for (let b = Math.floor(center) - 2; b <= Math.ceil(center) + 2; b++) {
+                    if (b < 0 || b >= bins.length) continue;
+                    const weight = Math.exp(-((b - center) ** 2) / 2);
+                    bins[b] += weight;
+                    total += weight;
+                }
+            }
+        }
+
+        if (total === 0) return;
+
+        let best = 0;
+        for (let b = 1; b < bins.length; b++) {
+            if (bins[b] > bins[best]) best = b;
+        }
+
+        // Confidence: share of votes within ±3 BPM of the peak
+        let peakMass = 0;
+        for (let b = Math.max(0, best - 3); b <= Math.min(bins.length - 1, best + 3); b++) {
+            peakMass += bins[b];
+        }
+
+        this.tempo = best + this.minBPM;
+        this.tempoConfidence = peakMass / total;
+    }
+
+    /**
+     * Predict beats from the tempo and lock their phase to nearby onsets
+     * @private
+     */
+    trackBeat(time, onset) {
+        if (this.tempo <= 0) return false;
+
+        const period = 60 / this.tempo;
+        const tolerance = period * 0.2;
+
+        if (this.nextBeatTime === null) {
+            if (!onset) return false;
+            this.nextBeatTime = time + period;
+            return true;
+        }
+
+        // Onset close to the predicted beat: fire now and re-anchor the phase
+        if (onset && Math.abs(time - this.nextBeatTime) <= tolerance) {
+            this.nextBeatTime = time + period;
+            return true;
+        }
+
+        if (time >= this.nextBeatTime) {
+            // Skip whole periods if frames were dropped
+            while (this.nextBeatTime <= time) {
+                this.nextBeatTime += period;
+            }
+            return true;
+        }
+
+        return false;
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,52 @@
+/**
+ * TransportGroup - Drives several transports (AudioEngine, PlaybackClock) together.
+ * The first one is the master: time, duration and live state come from it.
+ */
+export class TransportGroup {
+    /**
+     * @param {Object[]} transports - Objects with play, pause, seek, getCurrentTime, duration
+     */
+    constructor(transports) {
+        this.transports = transports;
+        this.master = transports[0];
+    }
+
+    get duration() {
+        return this.master.duration;
+    }
+
+    get isPlaying() {
+        return this.master.isPlaying;
+    }
+
+    async play() {
+        await Promise.all(this.transports.map(transport => transport.play()));
+    }
+
+    pause() {
+        this.transports.forEach(transport => transport.pause());
+    }
+
+    async toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            await this.play();
+        }
+    }
+
+    /**
+     * @param {number} time - Time in seconds (each transport clamps to its own length)
+     */
+    seek(time) {
+        this.transports.forEach(transport => transport.seek(time));
+    }
+
+    getCurrentTime() {
+        return this.master.getCurrentTime();
+    }
+
+    isLive() {
+        return this.master.isLive();
+    }
+}
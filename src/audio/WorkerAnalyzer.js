@@ -0,0 +1,153 @@
+/**
+ * WorkerAnalyzer - Real-time feature extraction in a Web Worker
+ *
+ * Each analyze() captures the engine's spectrum and waveform (a copy of the
+ * analyser buffers, cheap) and transfers them to analysisWorker.js, which runs
+ * the pitch tracker, filterbank, DCT and the other extractors. Results come
+ * back as 'features' events stamped with the frame's media time and capture
+ * timestamp, so the main thread only routes them to the visualizers.
+ *
+ * The worker knows only the built-in extractors (functions cannot be posted),
+ * so a registry with custom features is computed on the main thread instead,
+ * as is everything when workers are unavailable or the worker fails.
+ */
+import { AudioAnalyzer } from './AudioAnalyzer.js';
+import { BUILTIN_FEATURES } from './builtinFeatures.js';
+
+/**
+ * Dispatches 'features' (CustomEvent) with detail:
+ * { features, time, timestamp, spectrum, sampleRate, context }
+ * preceded by the frame's 'onset' and 'beat' events, as AudioAnalyzer dispatches them
+ */
+export class WorkerAnalyzer extends EventTarget {
+    /**
+     * @param {AudioEngine} audioEngine - Source of spectrum/waveform data
+     * @param {Object} [options]
+     * @param {FeatureRegistry} [options.registry] - Shared registry (defaults to the built-in features)
+     * @param {Function} [options.createWorker] - Returns the Worker (injectable for testing)
+     */
+    constructor(audioEngine, options = {}) {
+        super();
+        // Captures frames, and computes them when the worker can't
+        this.analyzer = new AudioAnalyzer(audioEngine, { registry: options.registry });
+        this.registry = this.analyzer.registry;
+        // Rhythm events of frames computed on the main thread
+        RHYTHM_EVENTS.forEach(type => {
+            this.analyzer.addEventListener(type, (e) => this.dispatchEvent(new CustomEvent(type, { detail: e.detail })));
+        });
+
+        // Frame posted to the worker and not answered yet: { id, sampleRate, context }
+        this.pending = null;
+        this.nextId = 0;
+        // Frames dropped because the previous one was still being analyzed
+        this.skippedFrames = 0;
+
+        this.worker = null;
+        if (typeof Worker !== 'undefined' && runsInWorker(this.registry)) {
+            try {
+                this.worker = (options.createWorker || createWorker)();
+                this.worker.addEventListener('message', (e) => this.handleResult(e.data));
+                this.worker.addEventListener('error', (e) => this.fallBack(e.message));
+            } catch (error) {
+                console.warn('Feature worker unavailable, analyzing on the main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Capture the current frame and analyze it. With a worker, the 'features'
+     * event follows asynchronously; without one, before this returns.
+     * @param {number} timestamp - Capture time (requestAnimationFrame timestamp)
+     * @param {Object} [context] - Passed through to the event (e.g. the FrameContext)
+     * @returns {boolean} False when the previous frame is still being analyzed and this one was dropped
+     */
+    analyze(timestamp, context = {}) {
+        if (this.pending) {
+            this.skippedFrames++;
+            return false;
+        }
+
+        const frame = this.analyzer.captureFrame();
+        if (!this.worker) {
+            this.emit(this.analyzer.getAllFeatures(frame), frame.time, timestamp, frame.spectrum, frame.sampleRate, context);
+            return true;
+        }
+
+        const { spectrum, samples, sampleRate, time } = frame;
+        const id = this.nextId++;
+        this.pending = { id, sampleRate, context };
+        this.worker.postMessage({ type: 'frame', id, spectrum, samples, sampleRate, time, timestamp }, [spectrum.buffer, samples.buffer]);
+        return true;
+    }
+
+    handleResult({ id, features, spectrum, time, timestamp, events, error }) {
+        // Answer to a cancelled frame
+        if (!this.pending || this.pending.id !== id) return;
+
+        const { sampleRate, context } = this.pending;
+        this.pending = null;
+        if (error) {
+            this.fallBack(error);
+            return;
+        }
+        events.forEach(({ type, detail }) => this.dispatchEvent(new CustomEvent(type, { detail })));
+        this.emit(features, time, timestamp, spectrum, sampleRate, context);
+    }
+
+    emit(features, time, timestamp, spectrum, sampleRate, context) {
+        this.dispatchEvent(new CustomEvent('features', {
+            detail: { features, time, timestamp, spectrum, sampleRate, context }
+        }));
+    }
+
+    /**
+     * Set the frequency range searched by the pitch tracker
+     * @param {number} minFrequency - Lowest F0 in Hz
+     * @param {number} maxFrequency - Highest F0 in Hz
+     */
+    setPitchRange(minFrequency, maxFrequency) {
+        this.analyzer.setPitchRange(minFrequency, maxFrequency);
+        if (this.worker) this.worker.postMessage({ type: 'config', pitchRange: [minFrequency, maxFrequency] });
+    }
+
+    /**
+     * Start over for a new source or playhead: drop the frame in flight (its
+     * result is ignored) and the state carried between frames
+     */
+    reset() {
+        this.pending = null;
+        this.analyzer.reset();
+        if (this.worker) this.worker.postMessage({ type: 'reset' });
+    }
+
+    /**
+     * Stop using a failed worker and compute on the main thread from now on
+     */
+    fallBack(reason) {
+        console.warn('Feature worker failed, analyzing on the main thread:', reason);
+        this.dispose();
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending = null;
+    }
+}
+
+const RHYTHM_EVENTS = ['onset', 'beat'];
+
+function createWorker() {
+    return new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Whether every extractor in the registry is a built-in one the worker also has
+ * @param {FeatureRegistry} registry
+ * @returns {boolean}
+ */
+function runsInWorker(registry) {
+    const builtins = new Map(BUILTIN_FEATURES.map(extractor => [extractor.name, extractor.compute]));
+    return registry.list().every(({ name }) => builtins.get(name) === registry.get(name).compute);
+}
@@ -0,0 +1,46 @@
+/**
+ * analysisWorker - Computes the built-in features of each posted frame off the main thread
+ *
+ * Messages in:
+ *   { type: 'frame', id, spectrum, samples, sampleRate, time, timestamp } (the two buffers transferred)
+ *   { type: 'config', pitchRange: [minFrequency, maxFrequency] }
+ *   { type: 'reset' } - new source or playhead: forget the state carried between frames
+ *
+ * Answers each frame with { id, features, spectrum, time, timestamp, events },
+ * where events are the 'onset' / 'beat' events the analyzer dispatched for it
+ * ({ type, detail }) and spectrum is a copy for the spectrogram. Frames arrive
+ * in order, so the stateful features (flux, rhythm, key) advance exactly as on
+ * the main thread.
+ */
+import { AudioAnalyzer } from './AudioAnalyzer.js';
+import { AnalysisFrame } from './AnalysisFrame.js';
+
+// No engine: frames come from the main thread
+const analyzer = new AudioAnalyzer(null);
+
+// Events of the frame being computed
+let events = [];
+['onset', 'beat'].forEach(type => {
+    analyzer.addEventListener(type, (e) => events.push({ type, detail: e.detail }));
+});
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'config') {
+        if (data.pitchRange) analyzer.setPitchRange(...data.pitchRange);
+        return;
+    }
+    if (data.type === 'reset') {
+        analyzer.reset();
+        return;
+    }
+
+    const { id, spectrum, samples, sampleRate, time, timestamp } = data;
+    events = [];
+    try {
+        const features = analyzer.getAllFeatures(new AnalysisFrame({ spectrum, samples, sampleRate, time }));
+        // Copied, not transferred: the flux keeps this spectrum for the next frame
+        self.postMessage({ id, features, spectrum, time, timestamp, events });
+    } catch (error) {
+        self.postMessage({ id, error: error.message, time, timestamp });
+    }
+});
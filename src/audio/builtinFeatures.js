@@ -0,0 +1,166 @@
+/**
+ * Built-in feature extractors, backed by the AudioAnalyzer feature methods
+ */
+import { PITCH_CLASSES } from './Chroma.js';
+
+export const BUILTIN_FEATURES = [
+    {
+        name: 'rms',
+        label: 'RMS Amplitude',
+        range: [0, 0.7],
+        compute: (frame, features, analyzer) => analyzer.getRMS(frame)
+    },
+    {
+        name: 'peak',
+        label: 'Peak Amplitude',
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getPeak(frame)
+    },
+    {
+        name: 'spectralCentroid',
+        label: 'Spectral Centroid',
+        range: [0, 15000],
+        unit: 'Hz',
+        compute: (frame, features, analyzer) => analyzer.getSpectralCentroid(frame)
+    },
+    {
+        name: 'spectralSpread',
+        label: 'Spectral Spread',
+        dependencies: ['spectralCentroid'],
+        range: [0, 5000],
+        unit: 'Hz',
+        compute: (frame, features, analyzer) => analyzer.getSpectralSpread(frame)
+    },
+    {
+        name: 'spectralFlux',
+        label: 'Spectral Flux',
+        range: [0, 0.5],
+        compute: (frame, features, analyzer) => analyzer.getSpectralFlux(frame)
+    },
+    {
+        name: 'spectralEntropy',
+        label: 'Spectral Entropy',
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getSpectralEntropy(frame)
+    },
+    {
+        name: 'tonality',
+        label: 'Tonality',
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getTonality(frame)
+    },
+    {
+        name: 'pitch',
+        label: 'Pitch (F0)',
+        range: [0, 1000],
+        unit: 'Hz',
+        compute: (frame, features, analyzer) => analyzer.getPitch(frame).f0
+    },
+    {
+        name: 'pitchConfidence',
+        label: 'Pitch Confidence',
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getPitch(frame).confidence
+    },
+    {
+        name: 'voiced',
+        label: 'Voiced',
+        type: 'boolean',
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getPitch(frame).voiced
+    },
+    {
+        name: 'amplitudeModulation',
+        label: 'Amplitude Modulation',
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getAmplitudeModulation(frame)
+    },
+    {
+        name: 'frequencyModulation',
+        label: 'Frequency Modulation',
+        dependencies: ['spectralFlux'],
+        range: [0, 1],
+        compute: (frame, features) => Math.min(1, features.spectralFlux / 0.5)
+    },
+    {
+        name: 'onset',
+        label: 'Onset',
+        type: 'boolean',
+        dependencies: ['spectralFlux'],
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getRhythm(frame).onset
+    },
+    {
+        name: 'onsetStrength',
+        label: 'Onset Strength',
+        dependencies: ['spectralFlux'],
+        range: [0, 5],
+        compute: (frame, features, analyzer) => analyzer.getRhythm(frame).onsetStrength
+    },
+    {
+        name: 'beat',
+        label: 'Beat',
+        type: 'boolean',
+        dependencies: ['spectralFlux'],
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getRhythm(frame).beat
+    },
+    {
+        name: 'tempo',
+        label: 'Tempo',
+        dependencies: ['spectralFlux'],
+        range: [60, 180],
+        unit: 'BPM',
+        compute: (frame, features, analyzer) => analyzer.getRhythm(frame).tempo
+    },
+    {
+        name: 'tempoConfidence',
+        label: 'Tempo Confidence',
+        dependencies: ['spectralFlux'],
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getRhythm(frame).tempoConfidence
+    },
+    {
+        name: 'chroma',
+        label: 'Chroma',
+        shape: [12],
+        range: [0, 1],
+        labels: PITCH_CLASSES,
+        compute: (frame, features, analyzer) => analyzer.getChroma(frame)
+    },
+    {
+        name: 'key',
+        label: 'Key',
+        type: 'label',
+        dependencies: ['chroma'],
+        compute: (frame, features, analyzer) => analyzer.getKey(frame).label
+    },
+    {
+        name: 'keyConfidence',
+        label: 'Key Confidence',
+        dependencies: ['chroma'],
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getKey(frame).confidence
+    },
+    {
+        name: 'chord',
+        label: 'Chord',
+        type: 'label',
+        dependencies: ['chroma'],
+        compute: (frame, features, analyzer) => analyzer.getChord(frame).label
+    },
+    {
+        name: 'chordConfidence',
+        label: 'Chord Confidence',
+        dependencies: ['chroma'],
+        range: [0, 1],
+        compute: (frame, features, analyzer) => analyzer.getChord(frame).confidence
+    },
+    {
+        name: 'mfccs',
+        label: 'MFCCs',
+        shape: [13],
+        range: [-40, 40],
+        compute: (frame, features, analyzer) => analyzer.getMFCCs(frame)
+    }
+];
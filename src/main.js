@@ -4,22 +4,87 @@
 import './style.css';
 
 import { AudioEngine } from './audio/AudioEngine.js';
-import { AudioAnalyzer } from './audio/AudioAnalyzer.js';
-import { ToneMap } from './visualizers/ToneMap.js';
-import { PitchMap } from './visualizers/PitchMap.js';
-import { VocalSignature } from './visualizers/VocalSignature.js';
-import { Manifold3D } from './visualizers/Manifold3D.js';
-import { ToneEvolution } from './visualizers/ToneEvolution.js';
-import { TimbreSpace } from './visualizers/TimbreSpace.js';
-
-class App {
+import { WorkerAnalyzer } from './audio/WorkerAnalyzer.js';
+import { OfflineAnalyzer } from './audio/OfflineAnalyzer.js';
+import { FeatureRecorder } from './audio/FeatureRecorder.js';
+import { PlaybackClock } from './audio/PlaybackClock.js';
+import { TransportGroup } from './audio/TransportGroup.js';
+import { FeatureDistribution, compareDistributions } from './audio/FeatureDistribution.js';
+import { exportTimeline, exportNPYColumns, EXPORT_FORMATS } from './audio/FeatureExport.js';
+import { downloadBlob } from './utils/Download.js';
+import { serializeSession, readSession } from './utils/Session.js';
+import { FingerprintLibrary, rankFingerprints } from './utils/FingerprintLibrary.js';
+import { PanelCompositor } from './utils/PanelCompositor.js';
+import { VideoRecorder } from './utils/VideoRecorder.js';
+import { TimelineVideoWriter, AUDIO_SAMPLE_RATE } from './utils/TimelineVideoWriter.js';
+import { exportPointCloud, POINT_CLOUD_FORMATS } from './utils/PointCloudExport.js';
+import { AxisPicker, describeMapping } from './utils/AxisPicker.js';
+import { LayoutManager } from './utils/LayoutManager.js';
+import { SharedRenderer } from './utils/SharedRenderer.js';
+import { createSettingRow, bindSettings, readSettings, writeSettings } from './utils/SettingsForm.js';
+import { visualizerRegistry } from './visualizers/VisualizerRegistry.js';
+
+// Plugin modules register extra panels on visualizerRegistry (see src/plugins/README.md)
+import.meta.glob('./plugins/*.js', { eager: true });
+
+// Timeline steps per second of TIMELINE video exports
+const VIDEO_FRAME_RATE = 30;
+
+// localStorage key of the shared 3D renderer switch ('on' / 'off')
+const SHARED_RENDERER_KEY = 'geometric-audio-shared-renderer';
+
+export class App {
   constructor() {
     // Core audio
     this.audioEngine = new AudioEngine();
-    this.analyzer = new AudioAnalyzer(this.audioEngine);
-
-    // Visualizers
+    this.transport = this.audioEngine; // Or a PlaybackClock when replaying a session without audio
+    this.analyzer = new WorkerAnalyzer(this.audioEngine); // Features are computed in a Web Worker
+    this.analyzer.addEventListener('features', (e) => this.handleFeatures(e.detail));
+    this.offlineAnalyzer = new OfflineAnalyzer({
+      frameRate: 20, // One frame per dataInterval
+      registry: this.analyzer.registry
+    });
+    // F₀ range from the Pitch Map settings; null keeps the pitch tracker's default
+    this.pitchRange = null;
+
+    // Precomputed features (offline mode) and the last frame fed to the visualizers
+    this.featureTrack = null;
+    this.trackIndex = -1;
+
+    // Every real-time frame, for export
+    this.recorder = new FeatureRecorder();
+    this.sourceName = '';
+    this.sourceMetadata = {};
+    this.mediaFile = null; // Loaded audio/video file, for the soundtrack of timeline exports
+
+    // A/B comparison: file B plays along on its own engine (sync) or is precomputed (offline)
+    this.compareFile = null;
+    this.compareEngine = null;
+    this.compareAnalyzer = null;
+    this.compare = null; // { mode, name, track, index, distributions, precomputed }
+
+    // Saved VocalSignature fingerprints (IndexedDB) and the live ranking against them
+    this.fingerprintLibrary = new FingerprintLibrary();
+    this.fingerprints = [];
+    this.fingerprintRows = new Map(); // fingerprint -> score element
+    this.lastMatchTime = 0;
+    this.matchInterval = 250;
+
+    // Dashboard video recording in progress: { mode, compositor, cancelled } plus
+    // { recorder, destination } for LIVE REC or { writer } for TIMELINE
+    this.videoExport = null;
+
+    // Window and document listeners, removed on dispose()
+    this.listeners = new AbortController();
+
+    // Visualizers, their panels ({ element, schema }) and axis pickers by registry name
+    this.visualizerRegistry = visualizerRegistry;
     this.visualizers = {};
+    this.panels = {};
+    this.axisPickers = {};
+
+    // One WebGL context for all 3D panels, or null for a renderer per panel
+    this.sharedRenderer = null;
 
     // State
     this.isPlaying = false;
@@ -28,7 +93,7 @@ class App {
     this.frameInterval = 1000 / 60; // 60 FPS
 
     // Throttle for data point additions
-    this.lastDataTime = 0;
+    this.lastDataTime = [0, 0]; // Per series: A and, in sync compare mode, B
     this.dataInterval = 50; // Add data every 50ms
 
     this.init();
@@ -38,9 +103,12 @@ class App {
     this.initDOMElements();
     this.initEventListeners();
     this.initVisualizers();
+    this.initAxisPickers();
+    this.initLayout();
+    this.loadFingerprints();
 
     // Handle window resize
-    window.addEventListener('resize', () => this.handleResize());
+    window.addEventListener('resize', () => this.handleResize(), { signal: this.listeners.signal });
   }
 
   initDOMElements() {
@@ -49,10 +117,40 @@ class App {
     this.dropzone = document.getElementById('dropzone');
     this.fileInput = document.getElementById('file-input');
     this.browseBtn = document.getElementById('browse-btn');
+    this.sessionBtn = document.getElementById('session-btn');
+    this.sessionInput = document.getElementById('session-input');
+    this.liveBtn = document.getElementById('live-btn');
+    this.liveOptions = document.getElementById('live-options');
+    this.inputDeviceSelect = document.getElementById('input-device-select');
+    this.liveMonitorToggle = document.getElementById('live-monitor');
+    this.analysisOptions = document.getElementById('analysis-options');
+    this.offlineToggle = document.getElementById('offline-toggle');
+    this.analysisStatus = document.getElementById('analysis-status');
+    this.compareOptions = document.getElementById('compare-options');
+    this.compareBtn = document.getElementById('compare-btn');
+    this.compareInput = document.getElementById('compare-input');
+    this.compareName = document.getElementById('compare-name');
+    this.compareClearBtn = document.getElementById('compare-clear');
+    this.compareModeSelect = document.getElementById('compare-mode');
 
     // Visualizer elements
     this.visualizerSection = document.getElementById('visualizer');
     this.newFileBtn = document.getElementById('new-file-btn');
+    this.exportBtn = document.getElementById('export-btn');
+    this.exportFormatSelect = document.getElementById('export-format');
+    this.saveSessionBtn = document.getElementById('save-session-btn');
+    this.recordBtn = document.getElementById('record-btn');
+    this.recordModeSelect = document.getElementById('record-mode');
+    this.recordStatus = document.getElementById('record-status');
+    this.layoutBtn = document.getElementById('layout-btn');
+    this.layoutMenu = document.getElementById('layout-menu');
+    this.layoutSelect = document.getElementById('layout-select');
+    this.layoutDeleteBtn = document.getElementById('layout-delete');
+    this.layoutNameInput = document.getElementById('layout-name');
+    this.layoutSaveBtn = document.getElementById('layout-save');
+    this.layoutPanelList = document.getElementById('layout-panels');
+    this.sharedRendererToggle = document.getElementById('shared-renderer-toggle');
+    this.panelGrid = document.getElementById('panel-grid');
     this.videoContainer = document.getElementById('video-container');
 
     // Playback controls
@@ -64,13 +162,17 @@ class App {
     this.currentTimeDisplay = document.getElementById('current-time');
     this.durationDisplay = document.getElementById('duration');
 
-    // Canvas elements
-    this.toneMapCanvas = document.getElementById('tone-map-canvas');
-    this.pitchMapCanvas = document.getElementById('pitch-map-canvas');
-    this.vocalSignatureCanvas = document.getElementById('vocal-signature-canvas');
-    this.manifoldContainer = document.getElementById('manifold-container');
-    this.toneEvolutionContainer = document.getElementById('tone-evolution-container');
-    this.timbreSpaceContainer = document.getElementById('timbre-space-container');
+    // Panel elements
+    this.compareScore = document.getElementById('compare-score');
+    this.fingerprintMatch = document.getElementById('fingerprint-match');
+    this.fingerprintBtn = document.getElementById('fingerprint-btn');
+    this.fingerprintPanel = document.getElementById('fingerprint-library');
+    this.fingerprintName = document.getElementById('fingerprint-name');
+    this.fingerprintStart = document.getElementById('fingerprint-start');
+    this.fingerprintEnd = document.getElementById('fingerprint-end');
+    this.fingerprintSaveBtn = document.getElementById('fingerprint-save');
+    this.fingerprintStatus = document.getElementById('fingerprint-status');
+    this.fingerprintList = document.getElementById('fingerprint-list');
 
     // MFCC Sidebar elements
     this.mfccBars = [];
@@ -96,8 +198,12 @@ class App {
     this.dropzone.addEventListener('drop', (e) => {
       e.preventDefault();
       this.dropzone.classList.remove('dragover');
-      const file = e.dataTransfer.files[0];
-      if (file) this.loadFile(file);
+      const files = Array.from(e.dataTransfer.files);
+      if (files.some(file => file.name.endsWith('.json'))) {
+        this.openSession(files);
+      } else if (files[0]) {
+        this.loadFile(files[0]);
+      }
     });
 
     // Click to browse
@@ -112,9 +218,57 @@ class App {
       if (file) this.loadFile(file);
     });
 
+    // Live input
+    this.liveBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.startLiveInput();
+    });
+
+    // Session files (optionally together with the original audio)
+    this.sessionBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.sessionInput.click();
+    });
+
+    this.sessionInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) this.openSession(Array.from(e.target.files));
+      e.target.value = '';
+    });
+
+    // Comparison file (B)
+    this.compareBtn.addEventListener('click', () => this.compareInput.click());
+
+    this.compareInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.setCompareFile(file);
+      e.target.value = '';
+    });
+
+    this.compareClearBtn.addEventListener('click', () => this.setCompareFile(null));
+
+    // Keep device picker clicks from opening the file browser
+    this.liveOptions.addEventListener('click', (e) => e.stopPropagation());
+    this.analysisOptions.addEventListener('click', (e) => e.stopPropagation());
+    this.compareOptions.addEventListener('click', (e) => e.stopPropagation());
+
+    this.populateInputDevices();
+
     // New file button
     this.newFileBtn.addEventListener('click', () => this.showUploadSection());
 
+    // Feature export
+    this.exportBtn.addEventListener('click', () => this.exportFeatures());
+    this.saveSessionBtn.addEventListener('click', () => this.saveSession());
+    this.recordBtn.addEventListener('click', () => this.toggleRecording());
+
+    // 3D point cloud export (manifold, tone evolution trail, timbre space)
+    document.querySelectorAll('[data-cloud-export]').forEach(button => {
+      button.addEventListener('click', () => {
+        const format = document.getElementById(button.dataset.cloudFormat).value;
+        this.exportPointCloud(button.dataset.cloudExport, format);
+      });
+    });
+
     // Playback controls
     this.playBtn.addEventListener('click', () => this.togglePlayback());
 
@@ -122,8 +276,7 @@ class App {
     this.progressContainer.addEventListener('click', (e) => {
       const rect = this.progressContainer.getBoundingClientRect();
       const percent = (e.clientX - rect.left) / rect.width;
-      const time = percent * this.audioEngine.duration;
-      this.audioEngine.seek(time);
+      this.seekTo(percent * this.transport.duration);
     });
 
     // Keyboard controls
@@ -132,81 +285,131 @@ class App {
         // Prevent page scroll
         return;
       }
+      if (e.target.matches('input[type="text"], input[type="number"]')) {
+        // Typing in a form field
+        return;
+      }
+      if (e.key === 'Escape' && this.layoutManager) {
+        this.layoutManager.restoreMaximized();
+        return;
+      }
       if (e.code === 'Space') {
         e.preventDefault();
         this.togglePlayback();
       }
-    });
+    }, { signal: this.listeners.signal });
 
     // Manifold settings panel
     const settingsBtn = document.getElementById('manifold-settings-btn');
     const settingsPanel = document.getElementById('manifold-settings');
 
     if (settingsBtn && settingsPanel) {
-      settingsBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        settingsPanel.classList.toggle('hidden');
-      });
-
-      // Close settings when clicking outside
-      document.addEventListener('click', (e) => {
-        if (!settingsPanel.contains(e.target) && e.target !== settingsBtn) {
-          settingsPanel.classList.add('hidden');
-        }
-      });
-
-      // Settings toggles
-      document.getElementById('toggle-glow')?.addEventListener('change', (e) => {
-        this.visualizers.manifold.toggleGlow(e.target.checked);
-      });
-
-      document.getElementById('toggle-lines')?.addEventListener('change', (e) => {
-        this.visualizers.manifold.toggleLines(e.target.checked);
-      });
-
-      document.getElementById('toggle-rotate')?.addEventListener('change', (e) => {
-        this.visualizers.manifold.toggleAutoRotate(e.target.checked);
-      });
+      this.bindPopover(settingsBtn, settingsPanel);
+    }
 
-      document.getElementById('toggle-grid')?.addEventListener('change', (e) => {
-        this.visualizers.manifold.toggleGrid(e.target.checked);
-      });
+    // Fingerprint library
+    this.bindPopover(this.fingerprintBtn, this.fingerprintPanel);
+    this.fingerprintSaveBtn.addEventListener('click', () => this.saveFingerprint());
 
-      document.getElementById('toggle-axes')?.addEventListener('change', (e) => {
-        this.visualizers.manifold.toggleAxes(e.target.checked);
-      });
+    // Tuning reference and target note
+    this.bindPopover(document.getElementById('pitch-map-tuning-btn'), document.getElementById('pitch-map-tuning'));
+  }
 
-      document.getElementById('particle-size')?.addEventListener('input', (e) => {
-        this.visualizers.manifold.setParticleSize(e.target.value);
-      });
+  /**
+   * Create every registered visualizer in its panel and wire its settings
+   */
+  initVisualizers() {
+    if (this.useSharedRenderer()) {
+      try {
+        this.sharedRenderer = new SharedRenderer(this.panelGrid);
+      } catch (error) {
+        // No WebGL context: each 3D panel tries its own
+        console.warn('Shared renderer unavailable, using a renderer per panel:', error);
+      }
+    }
+    const options = this.sharedRenderer
+      ? { createRenderer: () => this.sharedRenderer.createView() }
+      : {};
+
+    for (const descriptor of this.visualizerRegistry.list()) {
+      const visualizer = descriptor.create(options);
+      const schema = visualizer.getSettingsSchema();
+      const panel = this.panelGrid.querySelector(`.panel[data-panel="${descriptor.panel}"]`)
+        || this.createPanel(descriptor, schema);
+
+      visualizer.mount(panel.querySelector('[data-mount]'));
+      visualizer.addEventListener('seek', (e) => this.seekTo(e.detail.time));
+      visualizer.addEventListener('pitchrange', (e) => this.setPitchRange(e.detail.minFrequency, e.detail.maxFrequency));
+      bindSettings(panel, schema);
+      this.visualizers[descriptor.name] = visualizer;
+      this.panels[descriptor.name] = { element: panel, schema };
     }
   }
 
-  initVisualizers() {
-    // 2D visualizers
-    this.visualizers.toneMap = new ToneMap(this.toneMapCanvas);
-    this.visualizers.pitchMap = new PitchMap(this.pitchMapCanvas);
-    this.visualizers.vocalSignature = new VocalSignature(this.vocalSignatureCanvas);
+  /**
+   * Panel for a registered visualizer that index.html doesn't lay out:
+   * a title, a settings popover generated from its schema and the mount element
+   */
+  createPanel(descriptor, schema) {
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.dataset.panel = descriptor.panel;
+    panel.dataset.layoutHome = descriptor.area;
+
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    const title = document.createElement('span');
+    title.className = 'panel-title';
+    title.textContent = descriptor.title;
+    header.appendChild(title);
+
+    const surface = document.createElement(descriptor.surface === 'container' ? 'div' : 'canvas');
+    surface.dataset.mount = '';
+    panel.append(header, surface);
+
+    if (schema.length > 0) {
+      const controls = document.createElement('div');
+      controls.className = 'panel-controls';
+      const button = document.createElement('button');
+      button.className = 'panel-select';
+      button.textContent = 'SETTINGS';
+      controls.appendChild(button);
+      header.appendChild(controls);
+
+      const popover = document.createElement('div');
+      popover.className = 'settings-panel panel-popover hidden';
+      schema.forEach(setting => popover.appendChild(createSettingRow(setting)));
+      panel.appendChild(popover);
+      this.bindPopover(button, popover);
+    }
+
+    this.panelGrid.querySelector(`[data-layout-area="${descriptor.area}"]`).appendChild(panel);
+    return panel;
+  }
 
-    // 3D visualizers
-    this.visualizers.manifold = new Manifold3D(this.manifoldContainer);
-    this.visualizers.toneEvolution = new ToneEvolution(this.toneEvolutionContainer);
-    this.visualizers.timbreSpace = new TimbreSpace(this.timbreSpaceContainer);
+  /**
+   * A visualizer by registry name, or null when no such panel is registered
+   * (a plugin can unregister or replace the built-in ones)
+   */
+  getVisualizer(name) {
+    return this.visualizers[name] || null;
   }
 
   async loadFile(file) {
     try {
-      const mediaElement = await this.audioEngine.loadFile(file);
-
-      // Handle video
-      if (file.type.startsWith('video/')) {
-        this.videoContainer.innerHTML = '';
-        this.videoContainer.appendChild(mediaElement);
-        this.videoContainer.classList.remove('hidden');
-        mediaElement.muted = true; // Mute video element since audio comes from AudioContext
-      } else {
-        this.videoContainer.classList.add('hidden');
-      }
+      // Compare mode decides between real-time and offline analysis for both files
+      const compareMode = this.compareFile ? this.compareModeSelect.value : null;
+      const analyzeOffline = compareMode ? compareMode === 'offline' : this.offlineToggle.checked;
+
+      this.featureTrack = analyzeOffline ? await this.analyzeFile(file) : null;
+      this.trackIndex = -1;
+      this.recorder.clear();
+      this.resetAnalysis();
+
+      await this.attachMedia(file);
+      this.sourceName = file.name;
+      this.sourceMetadata = this.describeFile(file);
+      await this.setupCompare(compareMode);
 
       // Update UI
       this.durationDisplay.textContent = this.formatTime(this.audioEngine.duration);
@@ -215,7 +418,7 @@ class App {
       this.showVisualizerSection();
 
       // Start playback
-      await this.audioEngine.play();
+      await this.transport.play();
       this.isPlaying = true;
       this.updatePlayButton();
 
@@ -231,6 +434,169 @@ class App {
     }
   }
 
+  /**
+   * Load a media file as the playback and analysis source
+   */
+  async attachMedia(file) {
+    const mediaElement = await this.audioEngine.loadFile(file);
+    this.transport = this.audioEngine;
+    this.mediaFile = file;
+
+    // Handle video
+    if (file.type.startsWith('video/')) {
+      this.videoContainer.innerHTML = '';
+      this.videoContainer.appendChild(mediaElement);
+      this.videoContainer.classList.remove('hidden');
+      mediaElement.muted = true; // Mute video element since audio comes from AudioContext
+    } else {
+      this.videoContainer.classList.add('hidden');
+    }
+  }
+
+  setCompareFile(file) {
+    this.compareFile = file;
+    this.compareName.textContent = file ? file.name : '';
+    this.compareClearBtn.classList.toggle('hidden', !file);
+  }
+
+  /**
+   * Prepare A/B comparison against this.compareFile, or turn it off
+   * @param {string|null} mode - 'sync', 'offline' or null
+   */
+  async setupCompare(mode) {
+    if (this.compareEngine) this.compareEngine.unload();
+    this.compare = null;
+
+    const enabled = mode !== null;
+    Object.values(this.visualizers).forEach(v => v.setCompareMode && v.setCompareMode(enabled));
+    this.compareScore.textContent = '';
+    if (!enabled) return;
+
+    const compare = {
+      mode,
+      name: this.compareFile.name,
+      track: mode === 'offline' ? await this.analyzeFile(this.compareFile) : null,
+      index: -1,
+      distributions: [new FeatureDistribution(), new FeatureDistribution()],
+      precomputed: [false, false]
+    };
+
+    if (compare.track) {
+      // Whole-file statistics are known up front
+      compare.distributions[1].addAll(compare.track);
+      compare.precomputed[1] = true;
+      if (this.featureTrack) {
+        compare.distributions[0].addAll(this.featureTrack);
+        compare.precomputed[0] = true;
+      }
+    } else {
+      // Sync (or offline decoding failed): analyze B live, following A's transport
+      if (!this.compareEngine) {
+        this.compareEngine = new AudioEngine();
+        this.compareAnalyzer = new WorkerAnalyzer(this.compareEngine, { registry: this.analyzer.registry });
+        this.compareAnalyzer.addEventListener('features', (e) => this.handleCompareFeatures(e.detail));
+        if (this.pitchRange) this.compareAnalyzer.setPitchRange(...this.pitchRange);
+      }
+      await this.compareEngine.loadFile(this.compareFile);
+      this.compareEngine.setMonitor(false); // Only A is audible
+      this.transport = new TransportGroup([this.audioEngine, this.compareEngine]);
+      compare.mode = 'sync';
+    }
+
+    this.compare = compare;
+    this.updateCompareScore();
+  }
+
+  describeFile(file) {
+    return {
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      lastModified: file.lastModified,
+      duration: this.audioEngine.duration
+    };
+  }
+
+  async analyzeFile(file) {
+    try {
+      const track = await this.offlineAnalyzer.analyzeFile(file, (progress) => {
+        this.analysisStatus.textContent = `Analyzing… ${Math.round(progress * 100)}%`;
+      });
+      this.analysisStatus.textContent = '';
+      return track;
+    } catch (error) {
+      // Some containers (e.g. certain videos) cannot be decoded; fall back to real-time
+      console.warn('Offline analysis failed, using real-time analysis:', error);
+      this.analysisStatus.textContent = '';
+      return null;
+    }
+  }
+
+  async startLiveInput() {
+    this.featureTrack = null;
+    this.recorder.clear();
+    this.resetAnalysis();
+    this.sourceName = 'live-input';
+
+    try {
+      await this.audioEngine.loadLiveInput({
+        deviceId: this.inputDeviceSelect.value || undefined,
+        monitor: this.liveMonitorToggle.checked
+      });
+      this.transport = this.audioEngine;
+      this.mediaFile = null;
+      this.sourceMetadata = { name: this.sourceName, type: 'live' };
+      await this.setupCompare(null);
+
+      this.videoContainer.classList.add('hidden');
+
+      // Update UI
+      this.durationDisplay.textContent = 'LIVE';
+
+      // Show visualizer
+      this.showVisualizerSection();
+
+      this.isPlaying = true;
+      this.updatePlayButton();
+
+      // Clear previous data
+      this.clearVisualizers();
+
+      // Start animation loop
+      this.startAnimation();
+
+      // Device labels are only exposed once permission has been granted
+      this.populateInputDevices();
+
+    } catch (error) {
+      console.error('Error opening live input:', error);
+      alert('Could not open the audio input. Check microphone permissions and try again.');
+    }
+  }
+
+  async populateInputDevices() {
+    try {
+      const devices = await this.audioEngine.getInputDevices();
+      const selected = this.inputDeviceSelect.value;
+
+      this.inputDeviceSelect.innerHTML = '<option value="">Default Input</option>';
+      devices.forEach((device, i) => {
+        if (!device.deviceId || device.deviceId === 'default') return;
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label || `Input ${i + 1}`;
+        this.inputDeviceSelect.appendChild(option);
+      });
+
+      this.inputDeviceSelect.value = selected;
+      if (this.inputDeviceSelect.value !== selected) {
+        this.inputDeviceSelect.value = '';
+      }
+    } catch (error) {
+      console.error('Error listing input devices:', error);
+    }
+  }
+
   showVisualizerSection() {
     this.uploadSection.classList.add('hidden');
     this.visualizerSection.classList.remove('hidden');
@@ -242,8 +608,18 @@ class App {
   }
 
   showUploadSection() {
+    // Playback controls are locked until the export finishes or is stopped
+    if (this.isRenderingVideo()) return;
+    // The dashboard is going away: save what has been recorded
+    if (this.videoExport) this.finishRecording();
+
     this.stopAnimation();
-    this.audioEngine.pause();
+    if (this.audioEngine.isLive()) {
+      // Release the microphone rather than holding it while idle
+      this.audioEngine.unload();
+    } else {
+      this.transport.pause();
+    }
     this.isPlaying = false;
 
     this.visualizerSection.classList.add('hidden');
@@ -253,13 +629,43 @@ class App {
     this.fileInput.value = '';
   }
 
-  togglePlayback() {
+  /**
+   * Set the F₀ range of the pitch tracker, for the real-time analysis of A and
+   * B and for offline analyses from the next file on
+   */
+  setPitchRange(minFrequency, maxFrequency) {
+    this.pitchRange = [minFrequency, maxFrequency];
+    this.analyzer.setPitchRange(minFrequency, maxFrequency);
+    if (this.compareAnalyzer) this.compareAnalyzer.setPitchRange(minFrequency, maxFrequency);
+    this.offlineAnalyzer.setPitchRange(minFrequency, maxFrequency);
+  }
+
+  /**
+   * Jump playback to a media time (no-op for live input)
+   */
+  seekTo(time) {
+    if (this.transport.isLive() || this.isRenderingVideo()) return;
+    this.transport.seek(time);
+    this.resetAnalysis();
+    this.updateProgress();
+  }
+
+  async togglePlayback() {
+    if (this.isRenderingVideo()) return;
+
     if (this.isPlaying) {
-      this.audioEngine.pause();
+      this.transport.pause();
       this.isPlaying = false;
     } else {
-      this.audioEngine.play();
-      this.isPlaying = true;
+      try {
+        await this.transport.play();
+        this.isPlaying = true;
+      } catch (error) {
+        // Resume or autoplay refused: stop whatever did start and stay paused
+        console.error('Error resuming playback:', error);
+        this.transport.pause();
+        this.isPlaying = false;
+      }
     }
     this.updatePlayButton();
   }
@@ -288,12 +694,25 @@ class App {
       this.updateProgress();
 
       // Get audio features
-      if (this.isPlaying) {
+      if (this.featureTrack) {
+        // Offline mode scrubs the precomputed track, even while paused
+        this.syncToTrack();
+      } else if (this.isPlaying) {
         this.updateVisualizers(timestamp);
       }
 
+      // Rank saved fingerprints against the live radar
+      if (timestamp - this.lastMatchTime >= this.matchInterval) {
+        this.lastMatchTime = timestamp;
+        this.updateFingerprintMatches();
+      }
+
       // Render all visualizers
       this.render();
+
+      if (this.videoExport && this.videoExport.mode === 'realtime') {
+        this.captureVideoFrame();
+      }
     };
 
     this.animationId = requestAnimationFrame(animate);
@@ -307,61 +726,793 @@ class App {
   }
 
   updateProgress() {
-    const currentTime = this.audioEngine.getCurrentTime();
-    const duration = this.audioEngine.duration;
+    const currentTime = this.transport.getCurrentTime();
+    const duration = this.transport.duration;
 
-    if (duration > 0) {
+    if (this.transport.isLive()) {
+      this.progressFill.style.width = '100%';
+      this.currentTimeDisplay.textContent = this.formatTime(currentTime);
+    } else if (duration > 0) {
       const percent = (currentTime / duration) * 100;
       this.progressFill.style.width = `${percent}%`;
       this.currentTimeDisplay.textContent = this.formatTime(currentTime);
     }
   }
 
+  /**
+   * Send the current frame of A (and of B in sync compare mode) to be analyzed;
+   * handleFeatures and handleCompareFeatures feed the visualizers when the
+   * features come back. The two run independently, so a slow A never holds up B.
+   */
   updateVisualizers(timestamp) {
-    // Get all features
-    const features = this.analyzer.getAllFeatures();
+    this.analyzeSeries(this.analyzer, 0, timestamp);
+
+    // File B analyzed alongside in sync compare mode
+    if (this.compare && this.compare.mode === 'sync') {
+      this.analyzeSeries(this.compareAnalyzer, 1, timestamp);
+    }
+  }
 
-    // Always update real-time visualizers
-    this.visualizers.vocalSignature.update(features);
+  /**
+   * Send one series' current frame to its analyzer
+   */
+  analyzeSeries(analyzer, series, timestamp) {
+    // Throttle data point additions: history views only sample every dataInterval
+    const sample = timestamp - this.lastDataTime[series] >= this.dataInterval;
+
+    // Previous frame still in the worker: skip this one, and sample the next
+    if (analyzer.analyze(timestamp, { sample }) && sample) {
+      this.lastDataTime[series] = timestamp;
+    }
+  }
+
+  /**
+   * Features of file A (or the live input), timestamped with the frame they were captured from
+   */
+  handleFeatures({ features, time, spectrum, sampleRate, context }) {
+    // Paused, or switched to a precomputed track, while the frame was analyzed
+    if (!this.isPlaying || this.featureTrack) return;
+
+    this.recorder.record(time, features, context.sample);
+    this.feedFrame(features, time, { sample: context.sample, spectrum, sampleRate });
 
     // Update MFCC Sidebar
     this.updateMFCCSidebar(features);
 
-    // Throttle data point additions
-    if (timestamp - this.lastDataTime >= this.dataInterval) {
-      this.lastDataTime = timestamp;
+    if (context.sample && !(this.compare && this.compare.mode === 'sync')) {
+      this.replayCompare(time);
+    }
+  }
+
+  handleCompareFeatures({ features, time, context }) {
+    if (!this.isPlaying || !this.compare || this.compare.mode !== 'sync') return;
+    this.feedFrame(features, time, { series: 1, sample: context.sample });
+  }
+
+  /**
+   * Restart the analysis for a new source or playhead: drop the frames in
+   * flight and the flux, rhythm and key state of the previous position
+   */
+  resetAnalysis() {
+    this.analyzer.reset();
+    if (this.compareAnalyzer) this.compareAnalyzer.reset();
+  }
+
+  /**
+   * Pass one analysis frame to every visualizer
+   * @param {Object} features
+   * @param {number} time - Media time in seconds
+   * @param {Object} [context] - FrameContext (see Visualizer.js)
+   */
+  feedFrame(features, time, { series = 0, sample = true, spectrum = null, sampleRate = 0 } = {}) {
+    const context = { series, sample, spectrum, sampleRate };
+    for (const visualizer of Object.values(this.visualizers)) {
+      visualizer.onFrame(features, time, context);
+    }
+
+    if (sample && this.compare) this.addCompareStatistics(features, series);
+  }
+
+  /**
+   * Feed the precomputed track up to the playhead into the visualizers
+   * @param {number} [time] - Media time (defaults to the playhead)
+   */
+  syncToTrack(time = this.transport.getCurrentTime()) {
+    const track = this.featureTrack;
+    const target = track.indexAt(time);
+    if (target === this.trackIndex) return;
+
+    const replayLength = this.getReplayLength();
+    let start = this.trackIndex + 1;
+
+    // Seeked backwards or far ahead: rebuild the history ending at the playhead
+    if (target < this.trackIndex || target - this.trackIndex > replayLength) {
+      this.clearVisualizers();
+      start = this.historyStart(track, target, replayLength);
+
+      if (this.compare && this.compare.track) {
+        this.compare.index = start > 0 ? this.compare.track.indexAt(track.times[start - 1]) : -1;
+      }
+    }
+
+    // Same cadence as live: only the frames sampled when recorded add history points
+    for (let i = start; i <= target; i++) {
+      const sample = track.samples[i];
+      this.feedFrame(track.frames[i], track.times[i], { sample, spectrum: track.getSpectrum(i), sampleRate: track.sampleRate });
+      if (sample) this.replayCompare(track.times[i]);
+    }
 
-      // Add data points
-      this.visualizers.toneMap.addPoint(
-        features.spectralCentroid,
-        features.rms,
-        features.spectralFlux
-      );
+    this.trackIndex = target;
+    if (target >= 0) {
+      this.updateMFCCSidebar(track.frames[target]);
+    }
+  }
+
+  /**
+   * Longest visualizer history; older samples would be overwritten anyway
+   * @returns {number} History samples
+   */
+  getReplayLength() {
+    return Math.max(0, ...Object.values(this.visualizers).map(visualizer => visualizer.historyLength || 0));
+  }
+
+  /**
+   * First frame of a track whose replay up to `end` adds `length` history samples
+   * @returns {number} Frame index
+   */
+  historyStart(track, end, length) {
+    let start = end + 1;
+    let samples = 0;
+    while (start > 0 && samples < length) {
+      start--;
+      if (track.samples[start]) samples++;
+    }
+    return start;
+  }
 
-      this.visualizers.pitchMap.addData(
-        features.spectralCentroid,
-        features.pitch
-      );
+  /**
+   * Feed precomputed B frames up to a media time (offline compare mode)
+   */
+  replayCompare(time) {
+    const compare = this.compare;
+    if (!compare || !compare.track) return;
 
-      this.visualizers.manifold.addParticle(
-        features.mfccs,
-        features.spectralCentroid,
-        features.spectralSpread,
-        features.rms
-      );
+    const track = compare.track;
+    const target = track.indexAt(time);
 
-      this.visualizers.toneEvolution.addPoint(
-        features.spectralCentroid,
-        features.tonality,
-        features.rms
-      );
+    // Seeked backwards or far ahead: continue from the new position
+    const replayLength = this.getReplayLength();
+    if (target < compare.index || target - compare.index > replayLength) {
+      compare.index = Math.max(-1, target - replayLength);
+    }
 
-      this.visualizers.timbreSpace.addPoint(
-        features.spectralCentroid,
-        features.spectralSpread,
-        features.spectralEntropy,
-        features.rms
-      );
+    while (compare.index < target) {
+      compare.index++;
+      this.feedFrame(track.frames[compare.index], track.times[compare.index], { series: 1 });
+    }
+  }
+
+  addCompareStatistics(features, series) {
+    if (this.compare.precomputed[series]) return;
+    this.compare.distributions[series].add(features);
+    this.updateCompareScore();
+  }
+
+  updateCompareScore() {
+    const compare = this.compare;
+    const result = compareDistributions(compare.distributions[0], compare.distributions[1]);
+
+    this.compareScore.textContent = result
+      ? `A/B SIMILARITY ${(result.similarity * 100).toFixed(0)}%`
+      : 'A/B SIMILARITY —';
+    this.compareScore.title = `A: ${this.sourceName}\nB: ${compare.name}`;
+  }
+
+  async loadFingerprints() {
+    try {
+      this.fingerprints = await this.fingerprintLibrary.list();
+    } catch (error) {
+      console.warn('Fingerprint library unavailable:', error);
+      this.fingerprintStatus.textContent = 'Library unavailable';
+      this.fingerprintSaveBtn.disabled = true;
+    }
+    // Disposed while the library was opening
+    if (this.listeners.signal.aborted) return;
+    this.renderFingerprintList();
+    this.updateGhosts();
+  }
+
+  /**
+   * Average the radar over the chosen range of the timeline and store it.
+   * An empty end means the playhead, an empty start five seconds before the end.
+   */
+  async saveFingerprint() {
+    const timeline = this.featureTrack || this.recorder;
+    const endValue = parseFloat(this.fingerprintEnd.value);
+    const startValue = parseFloat(this.fingerprintStart.value);
+    const end = Number.isFinite(endValue) ? endValue : this.transport.getCurrentTime();
+    const start = Number.isFinite(startValue) ? startValue : Math.max(0, end - 5);
+
+    const frames = [];
+    for (let i = 0; i < timeline.length; i++) {
+      if (timeline.times[i] >= start && timeline.times[i] <= end) frames.push(timeline.frames[i]);
+    }
+
+    const signature = this.getVisualizer('vocalSignature');
+    if (!signature) return;
+
+    const values = signature.averageValues(frames);
+    if (!values) {
+      this.fingerprintStatus.textContent = `No frames in ${start.toFixed(1)}–${end.toFixed(1)} s`;
+      return;
+    }
+
+    const name = this.fingerprintName.value.trim() || `${this.sourceName || 'Fingerprint'} @ ${this.formatTime(start)}`;
+
+    try {
+      const fingerprint = await this.fingerprintLibrary.add({
+        name,
+        values,
+        start,
+        end,
+        frames: frames.length,
+        source: this.sourceName,
+        color: `hsl(${(this.fingerprints.length * 67 + 40) % 360}, 70%, 65%)`,
+        ghost: true
+      });
+      this.fingerprints.push(fingerprint);
+      this.fingerprintName.value = '';
+      this.fingerprintStatus.textContent = `Saved ${frames.length} frames`;
+    } catch (error) {
+      console.error('Error saving fingerprint:', error);
+      this.fingerprintStatus.textContent = 'Could not save fingerprint';
+      return;
+    }
+
+    this.renderFingerprintList();
+    this.updateGhosts();
+  }
+
+  async deleteFingerprint(fingerprint) {
+    try {
+      await this.fingerprintLibrary.remove(fingerprint.id);
+    } catch (error) {
+      console.error('Error deleting fingerprint:', error);
+      return;
+    }
+    this.fingerprints = this.fingerprints.filter(f => f !== fingerprint);
+    this.renderFingerprintList();
+    this.updateGhosts();
+  }
+
+  async setFingerprintGhost(fingerprint, ghost) {
+    fingerprint.ghost = ghost;
+    this.updateGhosts();
+    try {
+      await this.fingerprintLibrary.update(fingerprint);
+    } catch (error) {
+      console.error('Error updating fingerprint:', error);
+    }
+  }
+
+  updateGhosts() {
+    const signature = this.getVisualizer('vocalSignature');
+    if (signature) signature.setGhosts(this.fingerprints.filter(f => f.ghost));
+  }
+
+  renderFingerprintList() {
+    this.fingerprintList.innerHTML = '';
+    this.fingerprintRows = new Map();
+
+    for (const fingerprint of this.fingerprints) {
+      const row = document.createElement('li');
+      row.className = 'fingerprint-row';
+      row.title = `${fingerprint.source || ''} ${fingerprint.start.toFixed(1)}–${fingerprint.end.toFixed(1)} s`.trim();
+
+      const ghost = document.createElement('input');
+      ghost.type = 'checkbox';
+      ghost.checked = fingerprint.ghost;
+      ghost.title = 'Show as overlay';
+      ghost.style.accentColor = fingerprint.color;
+      ghost.addEventListener('change', () => this.setFingerprintGhost(fingerprint, ghost.checked));
+
+      const name = document.createElement('span');
+      name.className = 'fingerprint-name';
+      name.textContent = fingerprint.name;
+      name.style.color = fingerprint.color;
+
+      const score = document.createElement('span');
+      score.className = 'fingerprint-score';
+
+      const remove = document.createElement('button');
+      remove.className = 'fingerprint-delete';
+      remove.textContent = '×';
+      remove.title = 'Delete fingerprint';
+      remove.addEventListener('click', () => this.deleteFingerprint(fingerprint));
+
+      row.append(ghost, name, score, remove);
+      this.fingerprintList.appendChild(row);
+      this.fingerprintRows.set(fingerprint, score);
+    }
+
+    this.updateFingerprintMatches();
+  }
+
+  /**
+   * Rank the stored fingerprints against the current (smoothed) radar
+   */
+  updateFingerprintMatches() {
+    const signature = this.getVisualizer('vocalSignature');
+    if (this.fingerprints.length === 0 || !signature) {
+      this.fingerprintMatch.textContent = '';
+      return;
+    }
+
+    const ranking = rankFingerprints(signature.values, this.fingerprints);
+    const best = ranking[0];
+    this.fingerprintMatch.textContent = `≈ ${best.fingerprint.name} ${(best.similarity * 100).toFixed(0)}%`;
+
+    ranking.forEach((match, rank) => {
+      const score = this.fingerprintRows.get(match.fingerprint);
+      if (score) score.textContent = `#${rank + 1} · ${(match.similarity * 100).toFixed(0)}%`;
+    });
+  }
+
+  /**
+   * Download the feature timeline: the offline track when there is one,
+   * otherwise everything recorded in real time
+   */
+  exportFeatures() {
+    const format = this.exportFormatSelect.value;
+    const timeline = this.featureTrack || this.recorder;
+
+    if (timeline.length === 0) {
+      alert('No features recorded yet. Play some audio first.');
+      return;
+    }
+
+    const metadata = {
+      source: this.sourceName,
+      mode: this.featureTrack ? 'offline' : 'realtime',
+      sampleRate: this.featureTrack ? this.featureTrack.sampleRate : this.audioEngine.getSampleRate(),
+      fftSize: this.featureTrack ? this.offlineAnalyzer.fftSize : this.audioEngine.fftSize,
+      frameRate: this.featureTrack ? this.featureTrack.frameRate : null
+    };
+    const blob = exportTimeline(timeline, this.analyzer.registry, format, metadata);
+
+    const baseName = this.sourceName.replace(/\.[^.]+$/, '') || 'features';
+    downloadBlob(blob, `${baseName}-features.${EXPORT_FORMATS[format].extension}`);
+
+    // The matrix alone has no column names or units
+    if (format === 'npy') {
+      downloadBlob(exportNPYColumns(timeline, this.analyzer.registry, metadata), `${baseName}-features.columns.json`);
+    }
+  }
+
+  /**
+   * Toggle a settings popover from its button; clicks elsewhere close it
+   */
+  bindPopover(button, popover) {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      popover.classList.toggle('hidden');
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!popover.contains(e.target) && e.target !== button) {
+        popover.classList.add('hidden');
+      }
+    }, { signal: this.listeners.signal });
+  }
+
+  /**
+   * Feature pickers for the channels of every visualizer with axis mappings
+   */
+  initAxisPickers() {
+    const features = this.analyzer.registry.list({ scalar: true });
+
+    for (const [name, visualizer] of Object.entries(this.visualizers)) {
+      if (!visualizer.mappings || !visualizer.setMapping) continue;
+
+      const panel = this.panels[name].element;
+      const popover = panel.querySelector('.axis-panel') || this.createAxisPopover(panel);
+      // Header text showing the feature of a channel, e.g. the Tone Map's color
+      const labels = [...panel.querySelectorAll('[data-axis-label]')];
+
+      this.axisPickers[name] = new AxisPicker(popover, {
+        features,
+        mappings: visualizer.mappings,
+        optional: visualizer.optionalChannels || {},
+        onChange: (channel, mapping) => {
+          visualizer.setMapping(channel, mapping);
+          labels.filter(label => label.dataset.axisLabel === channel).forEach(label => {
+            label.textContent = mapping ? mapping.label.toUpperCase() : '';
+          });
+        }
+      });
+      this.bindPopover(panel.querySelector('[data-axes-toggle]'), popover);
+    }
+  }
+
+  /**
+   * AXES button and popover for a panel index.html doesn't give one
+   * @returns {HTMLElement} The popover
+   */
+  createAxisPopover(panel) {
+    const header = panel.querySelector('.panel-header');
+    let controls = header.querySelector('.panel-controls');
+    if (!controls) {
+      controls = document.createElement('div');
+      controls.className = 'panel-controls';
+      header.appendChild(controls);
+    }
+
+    const button = document.createElement('button');
+    button.className = 'panel-select';
+    button.dataset.axesToggle = '';
+    button.title = 'Choose features for each axis';
+    button.textContent = 'AXES';
+    controls.appendChild(button);
+
+    const popover = document.createElement('div');
+    popover.className = 'settings-panel panel-popover axis-panel hidden';
+    panel.appendChild(popover);
+    return popover;
+  }
+
+  /**
+   * Download a 3D visualizer's current points
+   * @param {string} name - Key in this.visualizers
+   * @param {string} format - Key of POINT_CLOUD_FORMATS
+   */
+  exportPointCloud(name, format) {
+    const cloud = this.visualizers[name].getPointCloud();
+    if (cloud.sizes.length === 0) {
+      alert('Nothing to export yet. Play some audio first.');
+      return;
+    }
+
+    const blob = exportPointCloud(cloud, format);
+    const baseName = this.sourceName.replace(/\.[^.]+$/, '') || 'audio';
+    downloadBlob(blob, `${baseName}-${cloud.name}.${POINT_CLOUD_FORMATS[format].extension}`);
+  }
+
+  /**
+   * Start or stop recording the dashboard to WebM.
+   * 'realtime' captures every rendered frame until stopped; 'offline' (TIMELINE)
+   * renders the precomputed timeline from the start, one frame per 1/VIDEO_FRAME_RATE s.
+   */
+  async toggleRecording() {
+    if (this.videoExport) {
+      if (this.videoExport.mode === 'offline') {
+        // The render loop notices and finishes with what it has
+        this.videoExport.cancelled = true;
+      } else {
+        await this.finishRecording();
+      }
+      return;
+    }
+
+    const mode = this.recordModeSelect.value;
+    if (mode === 'offline' && !this.featureTrack) {
+      alert('Timeline export needs a precomputed timeline. Enable offline analysis or open a session.');
+      return;
+    }
+
+    // Decoding the soundtrack takes a moment; don't start a second export meanwhile
+    this.recordBtn.disabled = true;
+    try {
+      if (mode === 'offline') {
+        await this.startTimelineExport();
+      } else {
+        this.startRecording();
+      }
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      alert(`Could not start recording: ${error.message}`);
+      return;
+    } finally {
+      this.recordBtn.disabled = false;
+    }
+
+    if (mode === 'offline') {
+      await this.renderVideoOffline();
+    }
+  }
+
+  /**
+   * LIVE REC: record the screen and the audio being analysed with MediaRecorder
+   */
+  startRecording() {
+    const compositor = new PanelCompositor(this.panelGrid, { backdrop: this.sharedRenderer?.domElement });
+
+    // Record the audio being analysed; sessions replayed without media have none
+    const destination = this.audioEngine.sourceType ? this.audioEngine.createStreamDestination() : null;
+    const recorder = new VideoRecorder(compositor.canvas, {
+      audioStream: destination ? destination.stream : null
+    });
+
+    try {
+      recorder.start();
+    } catch (error) {
+      if (destination) this.audioEngine.releaseStreamDestination(destination);
+      throw error;
+    }
+
+    this.videoExport = { mode: 'realtime', compositor, recorder, destination, cancelled: false };
+    this.showRecording('REC');
+  }
+
+  /**
+   * TIMELINE: encode frames and the file's audio with WebCodecs, see renderVideoOffline()
+   */
+  async startTimelineExport() {
+    const compositor = new PanelCompositor(this.panelGrid, { backdrop: this.sharedRenderer?.domElement });
+
+    // Rendered at the encoder's rate; sessions replayed without media have no audio
+    let audio = null;
+    if (this.mediaFile) {
+      try {
+        audio = await this.offlineAnalyzer.render(this.mediaFile, AUDIO_SAMPLE_RATE);
+      } catch (error) {
+        console.warn('Could not decode the soundtrack, exporting video only:', error);
+      }
+    }
+
+    const writer = new TimelineVideoWriter(compositor.canvas, { frameRate: VIDEO_FRAME_RATE, audio });
+    await writer.start();
+
+    this.videoExport = { mode: 'offline', compositor, writer, cancelled: false };
+    this.showRecording('0%');
+  }
+
+  showRecording(status) {
+    this.recordBtn.classList.add('recording');
+    this.recordModeSelect.disabled = true;
+    this.recordStatus.textContent = status;
+  }
+
+  captureVideoFrame() {
+    this.videoExport.compositor.draw();
+    this.videoExport.recorder.captureFrame();
+  }
+
+  isRenderingVideo() {
+    return this.videoExport !== null && this.videoExport.mode === 'offline';
+  }
+
+  /**
+   * Timeline export: frame i shows the timeline at exactly i / VIDEO_FRAME_RATE
+   * and is encoded with that timestamp, so the video is frame-accurate however
+   * long each frame takes to render. Nothing plays meanwhile; the soundtrack is
+   * encoded from the decoded file when the export finishes.
+   */
+  async renderVideoOffline() {
+    const videoExport = this.videoExport;
+    const frameCount = Math.ceil(this.transport.duration * VIDEO_FRAME_RATE);
+
+    // The export drives rendering instead of the animation loop
+    this.stopAnimation();
+    this.transport.pause();
+    this.isPlaying = false;
+    this.updatePlayButton();
+    this.clearVisualizers();
+    this.trackIndex = -1;
+
+    let time = 0;
+    try {
+      for (let i = 0; i < frameCount; i++) {
+        // Stopped with the record button, or discarded by dispose()
+        if (videoExport.cancelled || this.videoExport !== videoExport) break;
+
+        time = i / VIDEO_FRAME_RATE;
+        this.syncToTrack(time);
+        this.render();
+        videoExport.compositor.draw();
+        await videoExport.writer.addFrame(time);
+
+        this.recordStatus.textContent = `${Math.round(((i + 1) / frameCount) * 100)}%`;
+        // Let the page show the progress and take clicks on the record button
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    } catch (error) {
+      if (this.videoExport !== videoExport) return;
+      console.error('Error encoding video:', error);
+      alert(`Video export failed: ${error.message}`);
+      this.discardRecording();
+      this.startAnimation();
+      return;
+    }
+
+    if (this.videoExport !== videoExport) return;
+
+    // The dashboard stays at the last frame
+    this.transport.seek(time);
+    this.updateProgress();
+    await this.finishRecording();
+    this.startAnimation();
+  }
+
+  async finishRecording() {
+    const { recorder, destination, writer } = this.videoExport;
+    this.hideRecording();
+
+    try {
+      const blob = writer ? await writer.finish() : await recorder.stop();
+      const baseName = this.sourceName.replace(/\.[^.]+$/, '') || 'dashboard';
+      downloadBlob(blob, `${baseName}.webm`);
+    } catch (error) {
+      console.error('Error finishing recording:', error);
+      alert('Recording failed.');
+    } finally {
+      if (destination) this.audioEngine.releaseStreamDestination(destination);
+    }
+  }
+
+  /**
+   * Stop recording without saving
+   */
+  discardRecording() {
+    const { recorder, destination, writer } = this.videoExport;
+    this.hideRecording();
+
+    if (writer) {
+      writer.close();
+    } else {
+      recorder.stop().catch(() => {});
+    }
+    if (destination) this.audioEngine.releaseStreamDestination(destination);
+  }
+
+  hideRecording() {
+    this.videoExport = null;
+    this.recordBtn.classList.remove('recording');
+    this.recordModeSelect.disabled = false;
+    this.recordStatus.textContent = '';
+  }
+
+  /**
+   * Download the timeline, settings and camera poses as a session file
+   */
+  saveSession() {
+    const timeline = this.featureTrack || this.recorder;
+
+    if (timeline.length === 0) {
+      alert('Nothing to save yet. Play some audio first.');
+      return;
+    }
+
+    // Real-time recordings have no fixed rate; store the average
+    const frameRate = this.featureTrack
+      ? this.featureTrack.frameRate
+      : (timeline.length - 1) / Math.max(timeline.duration - timeline.times[0], 1e-3);
+
+    const blob = serializeSession({
+      timeline,
+      frameRate,
+      sampleRate: this.featureTrack ? this.featureTrack.sampleRate : this.audioEngine.getSampleRate(),
+      position: this.transport.getCurrentTime(),
+      metadata: this.sourceMetadata,
+      settings: this.getSettings(),
+      axes: this.getAxisMappings(),
+      cameras: this.getCameraPoses()
+    });
+
+    const baseName = this.sourceName.replace(/\.[^.]+$/, '') || 'session';
+    downloadBlob(blob, `${baseName}.session.json`);
+  }
+
+  /**
+   * Restore a saved session. Plays along with the original audio when it is
+   * among the selected files, otherwise replays on a silent clock.
+   * @param {File[]} files - The session file and optionally its media file
+   */
+  async openSession(files) {
+    const sessionFile = files.find(file => file.name.endsWith('.json') || file.type === 'application/json');
+    const mediaFile = files.find(file => file !== sessionFile);
+
+    if (!sessionFile) {
+      alert('Choose a .session.json file (optionally together with its audio).');
+      return;
+    }
+
+    try {
+      const session = await readSession(sessionFile);
+
+      this.featureTrack = session.track;
+      this.trackIndex = -1;
+      this.recorder.clear();
+      this.resetAnalysis();
+      this.sourceName = session.metadata.name || sessionFile.name;
+      this.sourceMetadata = session.metadata;
+
+      if (mediaFile) {
+        await this.attachMedia(mediaFile);
+      } else {
+        this.audioEngine.unload();
+        this.mediaFile = null;
+        this.videoContainer.classList.add('hidden');
+        this.transport = new PlaybackClock(session.metadata.duration || session.track.duration);
+      }
+
+      await this.setupCompare(null);
+      this.durationDisplay.textContent = this.formatTime(this.transport.duration);
+      this.showVisualizerSection();
+
+      // Start paused at the saved playhead; the animation loop replays the track up to it
+      this.clearVisualizers();
+      this.applySettings(session.settings);
+      this.applyAxisMappings(session.axes);
+      this.transport.seek(session.position);
+      this.isPlaying = false;
+      this.updatePlayButton();
+
+      for (const [name, visualizer] of Object.entries(this.visualizers)) {
+        if (visualizer.setCameraPose) visualizer.setCameraPose(session.cameras[name]);
+      }
+
+      this.startAnimation();
+
+    } catch (error) {
+      console.error('Error opening session:', error);
+      alert(`Could not open the session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Camera of every 3D visualizer, by visualizer name
+   */
+  getCameraPoses() {
+    const cameras = {};
+    for (const [name, visualizer] of Object.entries(this.visualizers)) {
+      if (visualizer.getCameraPose) cameras[name] = visualizer.getCameraPose();
+    }
+    return cameras;
+  }
+
+  /**
+   * Every visualizer's settings, by visualizer name and setting key
+   */
+  getSettings() {
+    const settings = {};
+    for (const [name, panel] of Object.entries(this.panels)) {
+      settings[name] = readSettings(panel.element, panel.schema);
+    }
+    return settings;
+  }
+
+  /**
+   * Set the settings controls and fire their events, so the usual listeners apply them.
+   * Visualizers missing from the session keep their current settings.
+   */
+  applySettings(settings) {
+    for (const [name, panel] of Object.entries(this.panels)) {
+      if (settings[name]) writeSettings(panel.element, panel.schema, settings[name]);
+    }
+  }
+
+  /**
+   * Feature mapping of every axis picker channel, by visualizer name and channel
+   */
+  getAxisMappings() {
+    const axes = {};
+    for (const name of Object.keys(this.axisPickers)) {
+      axes[name] = {};
+      for (const [channel, mapping] of Object.entries(this.visualizers[name].mappings)) {
+        axes[name][channel] = describeMapping(mapping);
+      }
+    }
+    return axes;
+  }
+
+  /**
+   * Restore saved mappings through the pickers, so their rows show them too
+   */
+  applyAxisMappings(axes) {
+    for (const [name, picker] of Object.entries(this.axisPickers)) {
+      for (const [channel, spec] of Object.entries(axes[name] || {})) {
+        picker.setMapping(channel, spec);
+      }
     }
   }
 
@@ -378,8 +1529,8 @@ class App {
     }
 
     // Update emission fill (time progress)
-    if (this.emissionFill && this.audioEngine) {
-      const percent = (this.audioEngine.getCurrentTime() / this.audioEngine.duration) * 100;
+    if (this.emissionFill && this.transport.duration > 0) {
+      const percent = (this.transport.getCurrentTime() / this.transport.duration) * 100;
       this.emissionFill.style.width = `${percent}%`;
     }
 
@@ -395,144 +1546,126 @@ class App {
   }
 
   render() {
-    // 2D visualizers
-    this.visualizers.toneMap.render();
-    this.visualizers.pitchMap.render();
-    this.visualizers.vocalSignature.render();
-
-    // 3D visualizers
-    this.visualizers.manifold.render();
-    this.visualizers.toneEvolution.render();
-    this.visualizers.timbreSpace.render();
+    Object.values(this.visualizers).forEach(v => v.render());
+    // The 3D visualizers only queued their scenes
+    if (this.sharedRenderer) this.sharedRenderer.render();
   }
 
   clearVisualizers() {
-    Object.values(this.visualizers).forEach(v => v.clear && v.clear());
+    Object.values(this.visualizers).forEach(v => v.clear());
   }
 
   handleResize() {
-    // Resize 2D canvases
-    this.visualizers.toneMap.resize();
-    this.visualizers.pitchMap.resize();
-    this.visualizers.vocalSignature.resize();
-
-    // Resize 3D renderers
-    this.visualizers.manifold.resize();
-    this.visualizers.toneEvolution.resize();
-    this.visualizers.timbreSpace.resize();
-  }
-
-  initResize() {
-    const leftColumn = document.getElementById('left-column');
-    const columnResize = document.getElementById('column-resize');
-    const panelGrid = document.getElementById('panel-grid');
-
-    // Column width resize
-    if (columnResize && leftColumn) {
-      let isResizing = false;
-      let startX = 0;
-      let startWidth = 0;
-
-      columnResize.addEventListener('mousedown', (e) => {
-        isResizing = true;
-        startX = e.clientX;
-        startWidth = leftColumn.offsetWidth;
-        document.body.classList.add('resizing');
-        e.preventDefault();
-      });
+    Object.values(this.visualizers).forEach(v => v.resize());
+  }
 
-      document.addEventListener('mousemove', (e) => {
-        if (!isResizing) return;
-        const delta = e.clientX - startX;
-        const newWidth = Math.min(Math.max(startWidth + delta, 200), window.innerWidth * 0.5);
-        leftColumn.style.width = `${newWidth}px`;
-        leftColumn.style.flex = 'none';
-        // Update grid
-        if (panelGrid) {
-          panelGrid.style.gridTemplateColumns = `${newWidth}px 1fr`;
-        }
-      });
+  /**
+   * Panel layout: resizing, drag reordering, collapse/maximize, shown panels and named layouts
+   */
+  initLayout() {
+    this.layoutManager = new LayoutManager(document.getElementById('panel-grid'), {
+      onChange: () => {
+        this.handleResize();
+        this.renderLayoutMenu();
+      }
+    });
+    this.layoutManager.load();
 
-      document.addEventListener('mouseup', () => {
-        if (isResizing) {
-          isResizing = false;
-          document.body.classList.remove('resizing');
-          this.handleResize();
-        }
-      });
+    this.bindPopover(this.layoutBtn, this.layoutMenu);
+    this.layoutSelect.addEventListener('change', () => {
+      this.layoutManager.useLayout(this.layoutSelect.value);
+    });
+    this.layoutSaveBtn.addEventListener('click', () => this.saveLayout());
+    this.layoutDeleteBtn.addEventListener('click', () => {
+      this.layoutManager.deleteLayout(this.layoutSelect.value);
+      this.layoutManager.useLayout(this.layoutManager.layoutName);
+    });
+
+    // The renderers are created with the visualizers, so a switch applies on the next load
+    this.sharedRendererToggle.checked = this.sharedRenderer !== null;
+    this.sharedRendererToggle.addEventListener('change', () => {
+      try {
+        localStorage.setItem(SHARED_RENDERER_KEY, this.sharedRendererToggle.checked ? 'on' : 'off');
+      } catch (error) {
+        console.warn('Could not save the renderer setting:', error);
+      }
+    });
+  }
+
+  /**
+   * Whether the 3D panels share one renderer (opt-in) or get one each (the default)
+   */
+  useSharedRenderer() {
+    try {
+      return localStorage.getItem(SHARED_RENDERER_KEY) === 'on';
+    } catch (error) {
+      return false;
     }
+  }
 
-    // Panel height resize within left column
-    const leftPanels = leftColumn?.querySelectorAll('.panel.resizable');
-    if (leftPanels) {
-      leftPanels.forEach((panel) => {
-        const handle = panel.querySelector('.resize-handle.resize-bottom');
-        if (!handle) return;
-
-        let isResizing = false;
-        let startY = 0;
-        let startHeight = 0;
-
-        handle.addEventListener('mousedown', (e) => {
-          isResizing = true;
-          startY = e.clientY;
-          startHeight = panel.offsetHeight;
-          document.body.classList.add('resizing');
-          e.preventDefault();
-        });
-
-        document.addEventListener('mousemove', (e) => {
-          if (!isResizing) return;
-          const delta = e.clientY - startY;
-          const newHeight = Math.max(startHeight + delta, 80);
-          panel.style.height = `${newHeight}px`;
-          panel.style.flex = 'none';
-        });
-
-        document.addEventListener('mouseup', () => {
-          if (isResizing) {
-            isResizing = false;
-            document.body.classList.remove('resizing');
-            this.handleResize();
-          }
-        });
-      });
+  saveLayout() {
+    try {
+      this.layoutManager.saveAs(this.layoutNameInput.value);
+    } catch (error) {
+      this.layoutNameInput.classList.add('invalid');
+      this.layoutNameInput.title = error.message;
+      return;
     }
+    this.layoutNameInput.classList.remove('invalid');
+    this.layoutNameInput.title = '';
+    this.layoutNameInput.value = '';
+    this.renderLayoutMenu();
+  }
 
-    // Bottom row panel width resize
-    const bottomRow = document.querySelector('.bottom-row');
-    const toneEvolutionPanel = document.getElementById('tone-evolution-panel');
-    const toneEvolutionHandle = toneEvolutionPanel?.querySelector('.resize-handle.resize-right');
+  /**
+   * Named layouts and a checkbox per panel to add or remove it
+   */
+  renderLayoutMenu() {
+    const manager = this.layoutManager;
 
-    if (toneEvolutionHandle && bottomRow) {
-      let isResizing = false;
-      let startX = 0;
-      let startWidth = 0;
+    this.layoutSelect.innerHTML = '';
+    for (const { name, label, builtin } of manager.listLayouts()) {
+      this.layoutSelect.add(new Option(builtin ? label.toUpperCase() : label, name));
+    }
+    this.layoutSelect.value = manager.layoutName;
+    const current = manager.listLayouts().find(entry => entry.name === manager.layoutName);
+    this.layoutDeleteBtn.disabled = !current || current.builtin;
+
+    this.layoutPanelList.innerHTML = '';
+    manager.panels.forEach(({ title }, id) => {
+      const row = document.createElement('li');
+      const label = document.createElement('label');
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = manager.isVisible(id);
+      toggle.addEventListener('change', () => manager.showPanel(id, toggle.checked));
+      label.append(toggle, title);
+      row.appendChild(label);
+      this.layoutPanelList.appendChild(row);
+    });
+  }
 
-      toneEvolutionHandle.addEventListener('mousedown', (e) => {
-        isResizing = true;
-        startX = e.clientX;
-        startWidth = toneEvolutionPanel.offsetWidth;
-        document.body.classList.add('resizing');
-        e.preventDefault();
-      });
+  /**
+   * Tear the app down: stop rendering, playback and the analysis workers, remove
+   * the window and document listeners and free every visualizer (and its WebGL context)
+   */
+  dispose() {
+    this.stopAnimation();
+    this.listeners.abort();
+    if (this.videoExport) this.discardRecording();
 
-      document.addEventListener('mousemove', (e) => {
-        if (!isResizing) return;
-        const delta = e.clientX - startX;
-        const containerWidth = bottomRow.offsetWidth;
-        const newWidth = Math.min(Math.max(startWidth + delta, 200), containerWidth - 200);
-        const percent = (newWidth / containerWidth) * 100;
-        bottomRow.style.gridTemplateColumns = `${percent}% 1fr`;
-      });
+    this.audioEngine.unload();
+    if (this.compareEngine) this.compareEngine.unload();
+    this.analyzer.dispose();
+    if (this.compareAnalyzer) this.compareAnalyzer.dispose();
 
-      document.addEventListener('mouseup', () => {
-        if (isResizing) {
-          isResizing = false;
-          document.body.classList.remove('resizing');
-          this.handleResize();
-        }
-      });
+    Object.values(this.visualizers).forEach(v => v.dispose());
+    this.visualizers = {};
+    this.panels = {};
+    this.axisPickers = {};
+    if (this.sharedRenderer) {
+      this.sharedRenderer.dispose();
+      this.sharedRenderer = null;
     }
   }
 
@@ -0,0 +1,244 @@
+/**
+ * AxisMapping - Maps one analyzer feature onto a visual channel (x, y, z, color, size)
+ *
+ * The range is either manual (min/max, defaulting to the feature's registry range)
+ * or automatic, following the values observed since the last reset or fitted
+ * to robust percentiles of a buffer of values.
+ */
+export class AxisMapping {
+    /**
+     * @param {Object} feature - Registry descriptor: { name, label, range, unit }
+     * @param {Object} [options]
+     * @param {string} [options.scale='linear'] - 'linear' or 'log'
+     * @param {boolean} [options.auto=false] - Follow observed values instead of min/max
+     * @param {number} [options.min] - Manual minimum (defaults to feature.range[0])
+     * @param {number} [options.max] - Manual maximum (defaults to feature.range[1])
+     */
+    constructor(feature, options = {}) {
+        this.feature = feature.name;
+        this.label = feature.label || feature.name;
+        this.unit = feature.unit || '';
+
+        const range = feature.range || [0, 1];
+        this.scale = options.scale || 'linear';
+        this.auto = options.auto || false;
+        this.min = options.min ?? range[0];
+        this.max = options.max ?? range[1];
+
+        this.resetObserved();
+    }
+
+    /**
+     * Read this mapping's value from a features object (booleans become 0/1)
+     * @returns {number}
+     */
+    read(features) {
+        return Number(features[this.feature]) || 0;
+    }
+
+    /**
+     * Widen the observed range (used when auto is on)
+     */
+    observe(value) {
+        if (!Number.isFinite(value)) return;
+        if (this.scale === 'log' && value <= 0) return;
+        if (value < this.observedMin) this.observedMin = value;
+        if (value > this.observedMax) this.observedMax = value;
+    }
+
+    /**
+     * Ease the observed range toward the robust percentile range of the given values,
+     * so a few outliers neither stretch the axis nor make it jump every frame
+     * @param {number[]} values
+     * @param {number} [smoothing=0.15] - Fraction of the way to move per call (1 = snap)
+     */
+    fitTo(values, smoothing = 0.15) {
+        const log = this.scale === 'log';
+        const usable = [];
+        for (const value of values) {
+            if (Number.isFinite(value) && (!log || value > 0)) usable.push(log ? Math.log10(value) : value);
+        }
+
+        const target = robustRange(usable);
+        if (!target) return;
+        if (log) {
+            target.min = Math.pow(10, target.min);
+            target.max = Math.pow(10, target.max);
+        } else if (target.min < 0 && usable.every(value => value >= 0)) {
+            // Don't pad non-negative features (levels, frequencies) below zero
+            target.min = 0;
+        }
+
+        if (!(this.observedMax > this.observedMin)) {
+            this.observedMin = target.min;
+            this.observedMax = target.max;
+            return;
+        }
+        this.observedMin += (target.min - this.observedMin) * smoothing;
+        this.observedMax += (target.max - this.observedMax) * smoothing;
+    }
+
+    resetObserved() {
+        this.observedMin = Infinity;
+        this.observedMax = -Infinity;
+    }
+
+    /**
+     * Effective range: observed values when auto and at least two distinct values were seen
+     * @returns {{min: number, max: number}}
+     */
+    getRange() {
+        if (this.auto && this.observedMax > this.observedMin) {
+            return { min: this.observedMin, max: this.observedMax };
+        }
+        return { min: this.min, max: this.max };
+    }
+
+    /**
+     * Position of a value within the range
+     * @returns {number} 0 at min, 1 at max (not clamped)
+     */
+    normalize(value) {
+        const { min, max } = this.getRange();
+        const lo = this.transform(min);
+        const hi = this.transform(max);
+        if (hi === lo) return 0;
+        return (this.transform(value) - lo) / (hi - lo);
+    }
+
+    /**
+     * Inverse of normalize()
+     */
+    denormalize(t) {
+        const { min, max } = this.getRange();
+        const lo = this.transform(min);
+        const hi = this.transform(max);
+        const v = lo + t * (hi - lo);
+        return this.scale === 'log' ? Math.pow(10, v) : v;
+    }
+
+    transform(value) {
+        if (this.scale !== 'log') return value;
+        // Log axes start at the smallest positive value the range allows
+        return Math.log10(Math.max(value, this.logFloor()));
+    }
+
+    logFloor() {
+        const { min, max } = this.getRange();
+        if (min > 0) return min;
+        return max > 0 ? max / 1000 : 1e-6;
+    }
+
+    /**
+     * Tick values for axis labels
+     * @param {number} [count=5] - Approximate number of intervals
+     * @param {{min: number, max: number}} [range] - Visible part of the axis (defaults to the whole range)
+     * @returns {number[]}
+     */
+    ticks(count = 5, range = this.getRange()) {
+        const { min, max } = range;
+
+        if (this.scale === 'log') {
+            const lo = this.transform(min);
+            const hi = this.transform(max);
+            const ticks = [];
+            for (let exp = Math.ceil(lo); exp <= Math.floor(hi); exp++) {
+                ticks.push(Math.pow(10, exp));
+            }
+            // Short ranges have at most one decade line; add 2x and 5x steps
+            if (ticks.length < 3) {
+                for (let exp = Math.floor(lo); exp <= Math.ceil(hi); exp++) {
+                    [2, 5].forEach(m => {
+                        const v = m * Math.pow(10, exp);
+                        if (v >= Math.pow(10, lo) && v <= Math.pow(10, hi)) ticks.push(v);
+                    });
+                }
+                ticks.sort((a, b) => a - b);
+            }
+            return ticks;
+        }
+
+        return niceTicks(min, max, count);
+    }
+
+    /**
+     * Tick label text (Hz above 1 kHz in kHz)
+     */
+    formatTick(value) {
+        if (this.unit === 'Hz' && Math.abs(value) >= 1000) {
+            return `${(value / 1000).toFixed(1)} KHz`;
+        }
+        if (value === 0) return '0';
+        const magnitude = Math.abs(value);
+        if (magnitude >= 10) return value.toFixed(0);
+        if (magnitude >= 1) return value.toFixed(1);
+        return value.toFixed(magnitude >= 0.01 ? 2 : 3);
+    }
+
+    /**
+     * Axis title, e.g. "SPECTRAL CENTROID (Hz, LOG)"
+     */
+    get title() {
+        const notes = [this.unit, this.scale === 'log' ? 'LOG' : ''].filter(Boolean);
+        return this.label.toUpperCase() + (notes.length ? ` (${notes.join(', ')})` : '');
+    }
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - 0-1
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const position = (sorted.length - 1) * p;
+    const below = Math.floor(position);
+    const above = Math.min(sorted.length - 1, below + 1);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Range covering the bulk of the values: the low-high percentiles widened by a margin
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.low=0.02]
+ * @param {number} [options.high=0.98]
+ * @param {number} [options.margin=0.1] - Padding added on each side, as a fraction of the span
+ * @returns {{min: number, max: number}|null} null when there are no values
+ */
+export function robustRange(values, { low = 0.02, high = 0.98, margin = 0.1 } = {}) {
+    if (values.length === 0) return null;
+    const sorted = Float64Array.from(values).sort();
+    let min = percentile(sorted, low);
+    let max = percentile(sorted, high);
+
+    // A constant signal still gets a visible span around its value
+    if (max - min < 1e-9) {
+        const pad = Math.abs(min) * 0.1 || 1e-3;
+        return { min: min - pad, max: max + pad };
+    }
+
+    const pad = (max - min) * margin;
+    min -= pad;
+    max += pad;
+    return { min, max };
+}
+
+/**
+ * Evenly spaced round values (1, 2 or 5 x 10^n steps) covering [min, max]
+ * @returns {number[]}
+ */
+export function niceTicks(min, max, count = 5) {
+    if (!(max > min)) return [min];
+
+    const rough = (max - min) / count;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * power).find(s => s >= rough);
+
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+        // Avoid 0.30000000000000004
+        ticks.push(Number(v.toPrecision(12)));
+    }
+    return ticks;
+}
@@ -0,0 +1,157 @@
+/**
+ * AxisPicker - Settings rows choosing the feature, scale and range of each mapped channel
+ */
+import { AxisMapping } from './AxisMapping.js';
+
+export class AxisPicker {
+    /**
+     * @param {HTMLElement} container - Element the rows are appended to
+     * @param {Object} options
+     * @param {Object[]} options.features - Descriptors from FeatureRegistry.list({ scalar: true })
+     * @param {Object} options.mappings - Current AxisMapping (or null) by channel name
+     * @param {Object} [options.optional] - Channels that may be unmapped, with the label of that choice
+     * @param {Function} options.onChange - Called with (channel, AxisMapping|null)
+     */
+    constructor(container, { features, mappings, optional = {}, onChange }) {
+        this.container = container;
+        this.features = features;
+        this.optional = optional;
+        this.onChange = onChange;
+        this.rows = {};
+
+        for (const [channel, mapping] of Object.entries(mappings)) {
+            this.rows[channel] = this.createRow(channel, mapping);
+            this.container.appendChild(this.rows[channel].element);
+        }
+    }
+
+    createRow(channel, mapping) {
+        const element = document.createElement('div');
+        element.className = 'setting-row axis-row';
+
+        const label = document.createElement('label');
+        label.textContent = channel.toUpperCase();
+
+        const feature = document.createElement('select');
+        feature.className = 'panel-select';
+        feature.title = `${channel} feature`;
+        if (channel in this.optional) {
+            feature.add(new Option(this.optional[channel], ''));
+        }
+        this.features.forEach(descriptor => feature.add(new Option(descriptor.label, descriptor.name)));
+        feature.value = mapping ? mapping.feature : '';
+
+        const scale = document.createElement('select');
+        scale.className = 'panel-select';
+        scale.title = 'Scale';
+        scale.add(new Option('LIN', 'linear'));
+        scale.add(new Option('LOG', 'log'));
+        scale.value = mapping ? mapping.scale : 'linear';
+
+        const autoLabel = document.createElement('label');
+        autoLabel.className = 'axis-auto';
+        const auto = document.createElement('input');
+        auto.type = 'checkbox';
+        auto.checked = mapping ? mapping.auto : false;
+        autoLabel.append(auto, 'AUTO');
+
+        const min = document.createElement('input');
+        min.type = 'number';
+        min.title = 'Minimum';
+        const max = document.createElement('input');
+        max.type = 'number';
+        max.title = 'Maximum';
+        if (mapping) {
+            min.value = mapping.min;
+            max.value = mapping.max;
+        }
+
+        element.append(label, feature, scale, autoLabel, min, max);
+        const row = { element, feature, scale, auto, min, max };
+
+        // A new feature starts from its registry range
+        feature.addEventListener('change', () => {
+            const descriptor = this.getDescriptor(feature.value);
+            if (descriptor) {
+                min.value = descriptor.range[0];
+                max.value = descriptor.range[1];
+            }
+            this.emit(channel);
+        });
+        [scale, auto, min, max].forEach(control => {
+            control.addEventListener('change', () => this.emit(channel));
+        });
+
+        this.updateEnabled(row);
+        return row;
+    }
+
+    getDescriptor(name) {
+        return this.features.find(descriptor => descriptor.name === name) || null;
+    }
+
+    updateEnabled(row) {
+        const mapped = row.feature.value !== '';
+        row.scale.disabled = !mapped;
+        row.auto.disabled = !mapped;
+        row.min.disabled = !mapped || row.auto.checked;
+        row.max.disabled = !mapped || row.auto.checked;
+    }
+
+    /**
+     * Show a saved mapping in a channel's row and report it, as if picked by hand
+     * @param {string} channel
+     * @param {{feature: string, scale: string, auto: boolean, min: number, max: number}|null} spec
+     *     From describeMapping(); null (or an unknown feature) unmaps optional channels
+     */
+    setMapping(channel, spec) {
+        const row = this.rows[channel];
+        if (!row) return;
+
+        const descriptor = spec ? this.getDescriptor(spec.feature) : null;
+        if (!descriptor && !(channel in this.optional)) return;
+
+        row.feature.value = descriptor ? descriptor.name : '';
+        if (descriptor) {
+            row.scale.value = spec.scale === 'log' ? 'log' : 'linear';
+            row.auto.checked = Boolean(spec.auto);
+            row.min.value = spec.min ?? descriptor.range[0];
+            row.max.value = spec.max ?? descriptor.range[1];
+        }
+        this.emit(channel);
+    }
+
+    /**
+     * Build the mapping described by a row and report it
+     */
+    emit(channel) {
+        const row = this.rows[channel];
+        this.updateEnabled(row);
+
+        const descriptor = this.getDescriptor(row.feature.value);
+        if (!descriptor) {
+            this.onChange(channel, null);
+            return;
+        }
+
+        const min = parseFloat(row.min.value);
+        const max = parseFloat(row.max.value);
+        this.onChange(channel, new AxisMapping(descriptor, {
+            scale: row.scale.value,
+            auto: row.auto.checked,
+            min: Number.isFinite(min) ? min : undefined,
+            max: Number.isFinite(max) ? max : undefined
+        }));
+    }
+}
+
+/**
+ * Plain description of a mapping, for saving with a session
+ * @param {AxisMapping|null} mapping
+ * @returns {{feature: string, scale: string, auto: boolean, min: number, max: number}|null}
+ */
+export function describeMapping(mapping) {
+    if (!mapping) return null;
+    const { feature, scale, auto, min, max } = mapping;
+    return { feature, scale, auto, min, max };
+}
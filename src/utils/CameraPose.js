@@ -0,0 +1,29 @@
+/**
+ * CameraPose - Serializable camera position and orbit target
+ */
+
+/**
+ * @param {THREE.Camera} camera
+ * @param {OrbitControls} controls
+ * @returns {{position: number[], target: number[]}}
+ */
+export function getCameraPose(camera, controls) {
+    return {
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+    };
+}
+
+/**
+ * @param {THREE.Camera} camera
+ * @param {OrbitControls} controls
+ * @param {{position: number[], target: number[]}} pose
+ */
+export function setCameraPose(camera, controls, pose) {
+    if (!pose) return;
+
+    camera.position.fromArray(pose.position);
+    controls.target.fromArray(pose.target);
+    camera.lookAt(controls.target);
+    controls.update();
+}
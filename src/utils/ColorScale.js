@@ -144,6 +144,57 @@ export function createGradient(colors, steps) {
     return result;
 }
 
+// Perceptual colormaps (anchor colors, low to high)
+export const Colormaps = {
+    magma: ['#000004', '#3b0f70', '#8c2981', '#de4968', '#fe9f6d', '#fcfdbf'],
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    inferno: ['#000004', '#420a68', '#932667', '#dd513a', '#fca50a', '#fcffa4'],
+    grayscale: ['#000000', '#ffffff'],
+    spectral: ['#3b0080', '#0050ff', '#00e0ff', '#00ff60', '#ffff00', '#ff3000']
+};
+
+/**
+ * Build a 256-entry RGB lookup table for a colormap
+ * @param {string} name - Key of Colormaps
+ * @returns {Uint8ClampedArray} Packed RGB triplets (256 * 3)
+ */
+export function createColormapLUT(name) {
+    const anchors = Colormaps[name] || Colormaps.magma;
+    const lut = new Uint8ClampedArray(256 * 3);
+    const segments = anchors.length - 1;
+
+    for (let i = 0; i < 256; i++) {
+        const t = (i / 255) * segments;
+        const segment = Math.min(segments - 1, Math.floor(t));
+        const color = lerpColor(anchors[segment], anchors[segment + 1], t - segment);
+
+        lut[i * 3] = parseInt(color.slice(1, 3), 16);
+        lut[i * 3 + 1] = parseInt(color.slice(3, 5), 16);
+        lut[i * 3 + 2] = parseInt(color.slice(5, 7), 16);
+    }
+
+    return lut;
+}
+
+// Color families for A/B comparison (hue range in degrees, accent for outlines/legends)
+export const CompareSeries = [
+    { label: 'A', hues: [0, 50], accent: '#FF8833' },   // Warm: red -> yellow
+    { label: 'B', hues: [170, 240], accent: '#33BBFF' } // Cool: cyan -> blue
+];
+
+/**
+ * Color within a comparison series' family
+ * @param {number} series - 0 (A) or 1 (B)
+ * @param {number} value - Normalized value 0-1, walks the family's hue range
+ * @param {number} [lightness=55] - Lightness (0-100)
+ * @returns {string} Hex color string
+ */
+export function seriesColor(series, value, lightness = 55) {
+    const [from, to] = CompareSeries[series].hues;
+    const t = Math.min(1, Math.max(0, value));
+    return hslToHex(from + (to - from) * t, 90, lightness);
+}
+
 // Predefined color schemes
 export const ColorSchemes = {
     panel: {
@@ -0,0 +1,20 @@
+/**
+ * Download - Save a Blob through a temporary object URL
+ */
+
+/**
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
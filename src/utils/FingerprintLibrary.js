@@ -0,0 +1,111 @@
+/**
+ * FingerprintLibrary - Named VocalSignature snapshots persisted in IndexedDB
+ *
+ * A fingerprint is the radar averaged over a time range:
+ * { id, name, values: number[8], start, end, frames, source, color, ghost, createdAt }
+ */
+
+const DB_NAME = 'geometric-audio';
+const DB_VERSION = 1;
+const STORE = 'fingerprints';
+
+export class FingerprintLibrary {
+    /**
+     * @param {Object} [options]
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (injectable for testing)
+     * @param {string} [options.dbName]
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || DB_NAME;
+        this.db = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.indexedDB) throw new Error('IndexedDB is not available');
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Fingerprints, oldest first
+     */
+    async list() {
+        const fingerprints = await this.request('readonly', store => store.getAll());
+        return fingerprints.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Store a new fingerprint
+     * @param {Object} fingerprint - Without id
+     * @returns {Promise<Object>} The fingerprint with its id
+     */
+    async add(fingerprint) {
+        const record = { ...fingerprint, createdAt: fingerprint.createdAt || Date.now() };
+        record.id = await this.request('readwrite', store => store.add(record));
+        return record;
+    }
+
+    /**
+     * Overwrite a stored fingerprint (e.g. after renaming or toggling its ghost)
+     */
+    async update(fingerprint) {
+        await this.request('readwrite', store => store.put(fingerprint));
+        return fingerprint;
+    }
+
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Run one request against the store and resolve with its result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = makeRequest(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Rank fingerprints by closeness to a radar reading
+ * @param {number[]} values - Current radar values (0-1 per axis)
+ * @param {Object[]} fingerprints
+ * @returns {{fingerprint: Object, distance: number, similarity: number}[]} Best match first;
+ *     distance is the RMS difference per axis, similarity is 1 - distance
+ */
+export function rankFingerprints(values, fingerprints) {
+    return fingerprints
+        .map(fingerprint => {
+            let sum = 0;
+            for (let i = 0; i < values.length; i++) {
+                const diff = values[i] - (fingerprint.values[i] || 0);
+                sum += diff * diff;
+            }
+            const distance = Math.sqrt(sum / values.length);
+            return { fingerprint, distance, similarity: Math.max(0, 1 - distance) };
+        })
+        .sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,599 @@
+/**
+ * LayoutManager - Arranges the dashboard panels: sizes, order, collapse/maximize,
+ * shown/removed panels and named layouts, persisted to localStorage
+ *
+ * Panels are the grid's .panel[data-panel] elements; areas are its
+ * [data-layout-area] containers. A layout lists each area's panels in order
+ * with their relative sizes:
+ * {
+ *   areas: { left: [{ id, size }], main: [...], bottom: [...] },
+ *   leftWidth: number,   // px
+ *   bottomSize: number,  // share of the center column given to the bottom row (0-1)
+ *   collapsed: string[]
+ * }
+ * Panels listed in no area are removed from the dashboard (hidden, not destroyed).
+ */
+
+// The bottom row lays its panels out side by side; the other areas stack them
+const ROW_AREAS = ['bottom'];
+
+const MIN_PANEL_SIZE = 80; // px
+const MIN_LEFT_WIDTH = 200; // px
+const COLLAPSED_ROW_WIDTH = 140; // px, collapsed panels in the bottom row
+
+const STORAGE_KEY = 'geometric-audio-layout';
+
+function stack(ids) {
+    return ids.map(id => ({ id, size: 1 }));
+}
+
+export const BUILTIN_LAYOUTS = {
+    default: {
+        label: 'Default',
+        layout: {
+            areas: {
+                left: stack(['tone-map', 'pitch-map', 'vocal-signature', 'chroma']),
+                main: stack(['manifold']),
+                bottom: stack(['tone-evolution', 'timbre-space', 'spectrogram'])
+            },
+            leftWidth: 420,
+            bottomSize: 1 / 3,
+            collapsed: []
+        }
+    },
+    focus3d: {
+        label: '3D Focus',
+        layout: {
+            areas: {
+                left: [],
+                main: stack(['manifold']),
+                bottom: stack(['tone-evolution', 'timbre-space'])
+            },
+            leftWidth: 420,
+            bottomSize: 0.35,
+            collapsed: []
+        }
+    },
+    analysis: {
+        label: '2D Analysis',
+        layout: {
+            areas: {
+                left: stack(['tone-map', 'pitch-map']),
+                main: stack(['spectrogram']),
+                bottom: stack(['vocal-signature', 'chroma'])
+            },
+            leftWidth: 520,
+            bottomSize: 0.4,
+            collapsed: []
+        }
+    },
+    vocal: {
+        label: 'Vocal Coaching',
+        layout: {
+            areas: {
+                left: stack(['vocal-signature', 'chroma']),
+                main: stack(['pitch-map']),
+                bottom: stack(['spectrogram', 'tone-map'])
+            },
+            leftWidth: 360,
+            bottomSize: 0.35,
+            collapsed: []
+        }
+    }
+};
+
+export class LayoutManager {
+    /**
+     * @param {HTMLElement} grid - Element containing the layout areas and panels
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where layouts persist (default localStorage; injectable for testing)
+     * @param {string} [options.storageKey='geometric-audio-layout']
+     * @param {Function} [options.onChange] - Called after panels were moved, resized, shown or hidden
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || STORAGE_KEY;
+        this.onChange = options.onChange || (() => {});
+
+        this.areas = {};
+        grid.querySelectorAll('[data-layout-area]').forEach(element => {
+            this.areas[element.dataset.layoutArea] = element;
+        });
+
+        this.panels = new Map();
+        grid.querySelectorAll('.panel[data-panel]').forEach(element => {
+            const title = element.querySelector('.panel-title');
+            this.panels.set(element.dataset.panel, {
+                element,
+                title: title ? title.textContent.trim() : element.dataset.panel
+            });
+        });
+
+        this.layout = null;
+        this.layoutName = 'default';
+        this.saved = {};
+        this.maximized = null;
+        this.dragging = null;
+        this.dropTarget = null;
+
+        this.panels.forEach((panel, id) => this.addTools(id, panel.element));
+        Object.entries(this.areas).forEach(([area, element]) => this.addDropTarget(area, element));
+    }
+
+    /**
+     * Restore the stored layout (or the default one) and render it
+     */
+    load() {
+        const state = this.readStorage();
+        this.saved = (state && state.saved) || {};
+        this.layoutName = (state && state.name) || 'default';
+        this.apply(state && state.layout ? state.layout : this.getLayout('default'));
+    }
+
+    readStorage() {
+        if (!this.storage) return null;
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Ignoring the stored panel layout:', error);
+            return null;
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                name: this.layoutName,
+                layout: this.layout,
+                saved: this.saved
+            }));
+        } catch (error) {
+            // Private browsing or a full quota: the layout just won't survive a reload
+            console.warn('Could not store the panel layout:', error);
+        }
+    }
+
+    /**
+     * Drop unknown or repeated panels and fill in missing values
+     */
+    normalize(layout) {
+        const fallback = BUILTIN_LAYOUTS.default.layout;
+        const seen = new Set();
+        const areas = {};
+
+        for (const area of Object.keys(this.areas)) {
+            areas[area] = [];
+            for (const entry of (layout.areas && layout.areas[area]) || []) {
+                if (!this.panels.has(entry.id) || seen.has(entry.id)) continue;
+                seen.add(entry.id);
+                areas[area].push({ id: entry.id, size: entry.size > 0 ? entry.size : 1 });
+            }
+        }
+
+        return {
+            areas,
+            leftWidth: layout.leftWidth > 0 ? layout.leftWidth : fallback.leftWidth,
+            bottomSize: Math.min(0.9, Math.max(0.1, layout.bottomSize || fallback.bottomSize)),
+            collapsed: (layout.collapsed || []).filter(id => seen.has(id))
+        };
+    }
+
+    /**
+     * Copy of a built-in or saved layout
+     * @returns {Object|null}
+     */
+    getLayout(name) {
+        const layout = BUILTIN_LAYOUTS[name] ? BUILTIN_LAYOUTS[name].layout : this.saved[name];
+        return layout ? JSON.parse(JSON.stringify(layout)) : null;
+    }
+
+    /**
+     * @returns {{name: string, label: string, builtin: boolean}[]}
+     */
+    listLayouts() {
+        return [
+            ...Object.entries(BUILTIN_LAYOUTS).map(([name, entry]) => ({ name, label: entry.label, builtin: true })),
+            ...Object.keys(this.saved).sort().map(name => ({ name, label: name, builtin: false }))
+        ];
+    }
+
+    /**
+     * Switch to a built-in or saved layout
+     * @returns {boolean} false if there is no layout of that name
+     */
+    useLayout(name) {
+        const layout = this.getLayout(name);
+        if (!layout) return false;
+        this.layoutName = name;
+        this.apply(layout);
+        return true;
+    }
+
+    /**
+     * Save the current arrangement under a name
+     */
+    saveAs(name) {
+        const key = name.trim();
+        if (!key) throw new Error('Layout name is empty');
+        if (BUILTIN_LAYOUTS[key]) throw new Error(`"${key}" is a built-in layout`);
+
+        this.saved[key] = JSON.parse(JSON.stringify(this.layout));
+        this.layoutName = key;
+        this.save();
+    }
+
+    deleteLayout(name) {
+        if (!this.saved[name]) return;
+        delete this.saved[name];
+        if (this.layoutName === name) this.layoutName = 'default';
+        this.save();
+    }
+
+    /**
+     * Render, persist and report a layout
+     */
+    apply(layout) {
+        this.layout = this.normalize(layout);
+        this.render();
+        this.save();
+        this.onChange();
+    }
+
+    /**
+     * Move the panels into their areas and size them
+     */
+    render() {
+        const { areas, collapsed } = this.layout;
+        this.grid.querySelectorAll('.layout-handle').forEach(handle => handle.remove());
+
+        const placed = new Set();
+        for (const [area, entries] of Object.entries(areas)) {
+            const container = this.areas[area];
+            entries.forEach(entry => {
+                const element = this.panels.get(entry.id).element;
+                const isCollapsed = collapsed.includes(entry.id);
+                container.appendChild(element);
+                element.classList.remove('layout-removed');
+                element.classList.toggle('collapsed', isCollapsed);
+                element.style.flex = this.panelFlex(area, entry, isCollapsed);
+                placed.add(entry.id);
+            });
+            container.classList.toggle('layout-empty', entries.length === 0);
+        }
+
+        // Removed panels stay in the document so their visualizers keep running
+        this.panels.forEach((panel, id) => {
+            if (!placed.has(id)) panel.element.classList.add('layout-removed');
+        });
+        if (this.maximized && !placed.has(this.maximized)) this.restoreMaximized();
+
+        const hasCenter = areas.main.length > 0 || areas.bottom.length > 0;
+        this.grid.classList.toggle('no-left', areas.left.length === 0);
+        this.grid.classList.toggle('no-center', !hasCenter);
+        this.grid.style.setProperty('--left-width', `${this.layout.leftWidth}px`);
+        this.areas.main.style.flexGrow = 1 - this.layout.bottomSize;
+        this.areas.bottom.style.flexGrow = this.layout.bottomSize;
+
+        this.addHandles();
+    }
+
+    panelFlex(area, entry, isCollapsed) {
+        if (isCollapsed) {
+            return ROW_AREAS.includes(area) ? `0 0 ${COLLAPSED_ROW_WIDTH}px` : '0 0 auto';
+        }
+        return `${entry.size} 1 0`;
+    }
+
+    /**
+     * Whether a panel is on the dashboard (not removed)
+     * @returns {boolean}
+     */
+    isVisible(id) {
+        return Object.values(this.layout.areas).some(entries => entries.some(entry => entry.id === id));
+    }
+
+    findPanel(id) {
+        for (const [area, entries] of Object.entries(this.layout.areas)) {
+            const index = entries.findIndex(entry => entry.id === id);
+            if (index !== -1) return { area, index };
+        }
+        return null;
+    }
+
+    /**
+     * Move a panel to a position within an area
+     * @param {string} id - Panel id
+     * @param {string} area - Target area
+     * @param {number} index - Position among the area's panels before the move
+     */
+    movePanel(id, area, index) {
+        const entries = this.layout.areas[area];
+        const from = this.findPanel(id);
+        let entry = { id, size: averageSize(entries) };
+
+        if (from) {
+            [entry] = this.layout.areas[from.area].splice(from.index, 1);
+            if (from.area === area && from.index < index) index--;
+            // Sizes are relative within an area; start at the new area's average
+            if (from.area !== area) entry.size = averageSize(entries);
+        }
+
+        entries.splice(Math.max(0, Math.min(index, entries.length)), 0, entry);
+        this.apply(this.layout);
+    }
+
+    /**
+     * Add a removed panel back (at the end of its default area) or remove a panel.
+     * Panels outside the default layout go back to their data-layout-home area.
+     */
+    showPanel(id, visible) {
+        if (!this.panels.has(id) || visible === this.isVisible(id)) return;
+
+        if (visible) {
+            const home = Object.entries(BUILTIN_LAYOUTS.default.layout.areas)
+                .find(([, entries]) => entries.some(entry => entry.id === id));
+            const fallback = this.panels.get(id).element.dataset.layoutHome;
+            const area = home ? home[0] : (this.areas[fallback] ? fallback : 'bottom');
+            this.movePanel(id, area, this.layout.areas[area].length);
+            return;
+        }
+
+        const { area, index } = this.findPanel(id);
+        this.layout.areas[area].splice(index, 1);
+        this.layout.collapsed = this.layout.collapsed.filter(other => other !== id);
+        this.apply(this.layout);
+    }
+
+    toggleCollapsed(id) {
+        const collapsed = this.layout.collapsed;
+        this.layout.collapsed = collapsed.includes(id)
+            ? collapsed.filter(other => other !== id)
+            : [...collapsed, id];
+        if (this.maximized === id) this.restoreMaximized();
+        this.apply(this.layout);
+    }
+
+    /**
+     * Fill the window with one panel (not persisted), or restore it
+     */
+    toggleMaximized(id) {
+        const target = this.maximized === id ? null : id;
+        if (this.maximized) {
+            this.panels.get(this.maximized).element.classList.remove('maximized');
+        }
+        this.maximized = target;
+        if (target) {
+            this.panels.get(target).element.classList.add('maximized');
+        }
+        this.grid.classList.toggle('has-maximized', target !== null);
+        this.onChange();
+    }
+
+    restoreMaximized() {
+        if (this.maximized) this.toggleMaximized(this.maximized);
+    }
+
+    /**
+     * Grip, collapse, maximize and remove buttons in the panel header
+     */
+    addTools(id, element) {
+        const tools = document.createElement('div');
+        tools.className = 'panel-tools';
+
+        const button = (label, title, onClick) => {
+            const tool = document.createElement('button');
+            tool.className = 'panel-tool';
+            tool.textContent = label;
+            tool.title = title;
+            tool.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            tools.appendChild(tool);
+            return tool;
+        };
+
+        const grip = button('⠿', 'Drag to move panel', () => {});
+        grip.draggable = true;
+        grip.addEventListener('dragstart', (e) => {
+            this.dragging = id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', id);
+            e.dataTransfer.setDragImage(element, 20, 20);
+            this.grid.classList.add('layout-dragging');
+        });
+        grip.addEventListener('dragend', () => this.endDrag());
+
+        button('▁', 'Collapse / expand', () => this.toggleCollapsed(id));
+        button('⤢', 'Maximize / restore (Esc)', () => this.toggleMaximized(id));
+        button('✕', 'Remove panel (add it back from LAYOUT)', () => this.showPanel(id, false));
+
+        // Headerless panels (the manifold) float their tools over the content
+        const header = element.querySelector('.panel-header');
+        if (header) {
+            let controls = header.querySelector('.panel-controls');
+            if (!controls) {
+                controls = document.createElement('div');
+                controls.className = 'panel-controls';
+                header.appendChild(controls);
+            }
+            controls.appendChild(tools);
+        } else {
+            tools.classList.add('floating');
+            element.appendChild(tools);
+        }
+    }
+
+    /**
+     * Accept dragged panels: before or after the panel under the pointer, or at the end
+     */
+    addDropTarget(area, container) {
+        container.addEventListener('dragover', (e) => {
+            if (!this.dragging) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            this.clearDropIndicators();
+            this.dropTarget = this.findDropTarget(area, e);
+            container.classList.add('drop-target');
+            const { marker, after } = this.dropTarget;
+            if (marker) marker.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) container.classList.remove('drop-target');
+        });
+
+        container.addEventListener('drop', (e) => {
+            if (!this.dragging || !this.dropTarget) return;
+            e.preventDefault();
+            const id = this.dragging;
+            const { index } = this.dropTarget;
+            this.endDrag();
+            this.movePanel(id, area, index);
+        });
+    }
+
+    findDropTarget(area, event) {
+        const entries = this.layout.areas[area];
+        const row = ROW_AREAS.includes(area);
+
+        for (let i = 0; i < entries.length; i++) {
+            const marker = this.panels.get(entries[i].id).element;
+            const rect = marker.getBoundingClientRect();
+            const inside = event.clientX >= rect.left && event.clientX <= rect.right &&
+                event.clientY >= rect.top && event.clientY <= rect.bottom;
+            if (!inside) continue;
+
+            const after = row
+                ? event.clientX > rect.left + rect.width / 2
+                : event.clientY > rect.top + rect.height / 2;
+            return { index: after ? i + 1 : i, marker, after };
+        }
+        return { index: entries.length, marker: null, after: false };
+    }
+
+    clearDropIndicators() {
+        this.grid.querySelectorAll('.drop-target, .drop-before, .drop-after').forEach(element => {
+            element.classList.remove('drop-target', 'drop-before', 'drop-after');
+        });
+    }
+
+    endDrag() {
+        this.dragging = null;
+        this.dropTarget = null;
+        this.clearDropIndicators();
+        this.grid.classList.remove('layout-dragging');
+    }
+
+    /**
+     * Resize handles between neighbouring panels, the left column and the center,
+     * and the main area and the bottom row
+     */
+    addHandles() {
+        const { areas, collapsed } = this.layout;
+
+        for (const [area, entries] of Object.entries(areas)) {
+            const row = ROW_AREAS.includes(area);
+            for (let i = 0; i < entries.length - 1; i++) {
+                if (collapsed.includes(entries[i].id) || collapsed.includes(entries[i + 1].id)) continue;
+                const element = this.panels.get(entries[i].id).element;
+                this.addHandle(element, row ? 'resize-right' : 'resize-bottom', row ? 'x' : 'y',
+                    () => this.beginPanelResize(area, i));
+            }
+        }
+
+        const hasCenter = areas.main.length > 0 || areas.bottom.length > 0;
+        if (areas.left.length > 0 && hasCenter) {
+            this.addHandle(this.areas.left, 'resize-column', 'x', () => this.beginColumnResize());
+        }
+        if (areas.main.length > 0 && areas.bottom.length > 0) {
+            this.addHandle(this.areas.main, 'resize-bottom', 'y', () => this.beginRowResize());
+        }
+    }
+
+    /**
+     * @param {HTMLElement} parent - Element the handle is placed in
+     * @param {string} className - Handle placement
+     * @param {string} axis - 'x' or 'y'
+     * @param {Function} begin - Called at drag start; returns a function applying a pixel delta
+     */
+    addHandle(parent, className, axis, begin) {
+        const handle = document.createElement('div');
+        handle.className = `resize-handle layout-handle ${className}`;
+
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            document.body.classList.add('resizing');
+
+            const start = axis === 'x' ? e.clientX : e.clientY;
+            const move = begin();
+            const onMove = (event) => move((axis === 'x' ? event.clientX : event.clientY) - start);
+            const onUp = () => {
+                handle.removeEventListener('pointermove', onMove);
+                handle.removeEventListener('pointerup', onUp);
+                handle.removeEventListener('pointercancel', onUp);
+                document.body.classList.remove('resizing');
+                this.save();
+                this.onChange();
+            };
+
+            handle.addEventListener('pointermove', onMove);
+            handle.addEventListener('pointerup', onUp);
+            handle.addEventListener('pointercancel', onUp);
+        });
+
+        parent.appendChild(handle);
+    }
+
+    beginPanelResize(area, index) {
+        const entries = this.layout.areas[area];
+        const first = entries[index];
+        const second = entries[index + 1];
+        const firstElement = this.panels.get(first.id).element;
+        const secondElement = this.panels.get(second.id).element;
+        const dimension = ROW_AREAS.includes(area) ? 'offsetWidth' : 'offsetHeight';
+
+        const startPixels = firstElement[dimension];
+        const pixels = startPixels + secondElement[dimension];
+        const total = first.size + second.size;
+
+        return (delta) => {
+            const next = Math.min(Math.max(startPixels + delta, MIN_PANEL_SIZE), pixels - MIN_PANEL_SIZE);
+            first.size = total * (next / pixels);
+            second.size = total - first.size;
+            firstElement.style.flex = this.panelFlex(area, first, false);
+            secondElement.style.flex = this.panelFlex(area, second, false);
+        };
+    }
+
+    beginColumnResize() {
+        const startWidth = this.areas.left.offsetWidth;
+        return (delta) => {
+            this.layout.leftWidth = Math.min(Math.max(startWidth + delta, MIN_LEFT_WIDTH), window.innerWidth * 0.7);
+            this.grid.style.setProperty('--left-width', `${this.layout.leftWidth}px`);
+        };
+    }
+
+    beginRowResize() {
+        const mainHeight = this.areas.main.offsetHeight;
+        const total = mainHeight + this.areas.bottom.offsetHeight;
+        return (delta) => {
+            const bottom = (total - mainHeight - delta) / total;
+            this.layout.bottomSize = Math.min(0.9, Math.max(0.1, bottom));
+            this.areas.main.style.flexGrow = 1 - this.layout.bottomSize;
+            this.areas.bottom.style.flexGrow = this.layout.bottomSize;
+        };
+    }
+}
+
+function averageSize(entries) {
+    if (entries.length === 0) return 1;
+    return entries.reduce((sum, entry) => sum + entry.size, 0) / entries.length;
+}
@@ -0,0 +1,60 @@
+/**
+ * NumPy - Writers for the .npy array format (version 1.0) and .npz archives
+ */
+import { createZip } from './Zip.js';
+
+/**
+ * Encode a float64 array as .npy
+ * @param {Float64Array|number[]} values - Row-major data
+ * @param {number[]} shape - Array shape ([] for a scalar)
+ * @returns {Uint8Array}
+ */
+export function encodeNPY(values, shape) {
+    const data = Float64Array.from(values);
+    return withHeader('<f8', shape, new Uint8Array(data.buffer));
+}
+
+/**
+ * Encode strings as a fixed-width unicode .npy array (dtype <U{n})
+ * @param {string[]} strings
+ * @param {number[]} [shape=[strings.length]]
+ * @returns {Uint8Array}
+ */
+export function encodeStringNPY(strings, shape = [strings.length]) {
+    const codePoints = strings.map(s => Array.from(s, c => c.codePointAt(0)));
+    const width = Math.max(1, ...codePoints.map(c => c.length));
+
+    const data = new Uint32Array(strings.length * width);
+    codePoints.forEach((chars, i) => data.set(chars, i * width));
+
+    // Uint32Array is little-endian on every platform browsers run on
+    return withHeader(`<U${width}`, shape, new Uint8Array(data.buffer));
+}
+
+/**
+ * Bundle named .npy arrays into an .npz archive
+ * @param {Object<string, Uint8Array>} arrays - Name (without .npy) to encoded array
+ * @returns {Uint8Array}
+ */
+export function encodeNPZ(arrays) {
+    return createZip(Object.entries(arrays).map(([name, data]) => ({ name: `${name}.npy`, data })));
+}
+
+function withHeader(descr, shape, body) {
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+
+    // Magic (6) + version (2) + length (2) + header must be a multiple of 64, ending in '\n'
+    const total = Math.ceil((10 + header.length + 1) / 64) * 64;
+    header = header.padEnd(total - 10 - 1, ' ') + '\n';
+
+    const output = new Uint8Array(total + body.length);
+    output.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+    output[8] = header.length & 0xFF;
+    output[9] = header.length >> 8;
+    for (let i = 0; i < header.length; i++) {
+        output[10 + i] = header.charCodeAt(i);
+    }
+    output.set(body, total);
+    return output;
+}
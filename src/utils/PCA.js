@@ -1,86 +1,256 @@
 /**
- * PCA - Simple Principal Component Analysis for dimensionality reduction
+ * PCA - Principal Component Analysis for dimensionality reduction
+ * Covariance is accumulated incrementally; components come from a Jacobi eigendecomposition
  */
 export class PCA {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.numComponents=3] - Number of output dimensions
+     * @param {boolean} [options.whiten=false] - Scale each component to unit variance
+     */
+    constructor(options = {}) {
+        this.numComponents = options.numComponents || 3;
+        this.whiten = options.whiten || false;
+
         this.means = null;
         this.components = null;
+        this.eigenvalues = null;
+        this.explainedVarianceRatio = null;
         this.fitted = false;
+
+        // Running statistics for incremental fitting
+        this.count = 0;
+        this.runningMeans = null;
+        this.comoments = null;
+    }
+
+    /**
+     * Reset all fitted and running state
+     */
+    reset() {
+        this.means = null;
+        this.components = null;
+        this.eigenvalues = null;
+        this.explainedVarianceRatio = null;
+        this.fitted = false;
+        this.count = 0;
+        this.runningMeans = null;
+        this.comoments = null;
+    }
+
+    /**
+     * Fit PCA to a batch of samples (replaces any running statistics)
+     * @param {Float32Array[]} data - Array of feature vectors
+     * @returns {PCA} this
+     */
+    fit(data) {
+        this.reset();
+        if (!data || data.length === 0) return this;
+
+        for (const sample of data) {
+            this.partialFit(sample);
+        }
+        return this.refit();
     }
 
     /**
      * Fit PCA to data and transform to lower dimensions
-     * For real-time use, we use a simplified fixed projection
      * @param {Float32Array[]} data - Array of feature vectors
      * @param {number} numComponents - Number of output dimensions
      * @returns {Float32Array[]} Transformed data
      */
-    fitTransform(data, numComponents = 3) {
+    fitTransform(data, numComponents = this.numComponents) {
         if (!data || data.length === 0) return [];
 
-        const numSamples = data.length;
-        const numFeatures = data[0].length;
+        this.numComponents = numComponents;
+        this.fit(data);
+        return data.map(sample => this.transform(sample));
+    }
+
+    /**
+     * Add one sample to the running mean/covariance (Welford update).
+     * Components are not recomputed until refit() is called.
+     * @param {Float32Array} sample - Single feature vector
+     */
+    partialFit(sample) {
+        const n = sample.length;
+
+        if (!this.runningMeans || this.runningMeans.length !== n) {
+            this.count = 0;
+            this.runningMeans = new Float64Array(n);
+            this.comoments = new Float64Array(n * n);
+        }
+
+        this.count++;
+        const delta = new Float64Array(n);
+        for (let j = 0; j < n; j++) {
+            delta[j] = sample[j] - this.runningMeans[j];
+            this.runningMeans[j] += delta[j] / this.count;
+        }
 
-        // Calculate means
-        this.means = new Float32Array(numFeatures);
-        for (let i = 0; i < numSamples; i++) {
-            for (let j = 0; j < numFeatures; j++) {
-                this.means[j] += data[i][j];
+        // C += (x - oldMean) * (x - newMean)^T
+        for (let i = 0; i < n; i++) {
+            const after = sample[i] - this.runningMeans[i];
+            for (let j = i; j < n; j++) {
+                this.comoments[i * n + j] += delta[j] * after;
             }
         }
-        for (let j = 0; j < numFeatures; j++) {
-            this.means[j] /= numSamples;
+    }
+
+    /**
+     * Recompute components from the running statistics
+     * @returns {PCA} this
+     */
+    refit() {
+        if (this.count < 2) return this;
+
+        const n = this.runningMeans.length;
+        const k = Math.min(this.numComponents, n);
+
+        // Symmetric sample covariance
+        const covariance = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i; j < n; j++) {
+                const value = this.comoments[i * n + j] / (this.count - 1);
+                covariance[i * n + j] = value;
+                covariance[j * n + i] = value;
+            }
         }
 
-        // Center the data
-        const centered = data.map(sample => {
-            const centered = new Float32Array(numFeatures);
-            for (let j = 0; j < numFeatures; j++) {
-                centered[j] = sample[j] - this.means[j];
+        const { values, vectors } = jacobiEigen(covariance, n);
+
+        // Sort eigenpairs by descending eigenvalue
+        const order = Array.from({ length: n }, (_, i) => i)
+            .sort((a, b) => values[b] - values[a]);
+
+        const totalVariance = values.reduce((sum, v) => sum + Math.max(0, v), 0);
+        const previous = this.components;
+
+        this.means = Float32Array.from(this.runningMeans);
+        this.components = [];
+        this.eigenvalues = new Float32Array(k);
+        this.explainedVarianceRatio = new Float32Array(k);
+
+        for (let c = 0; c < k; c++) {
+            const col = order[c];
+            const component = new Float32Array(n);
+            for (let j = 0; j < n; j++) {
+                component[j] = vectors[j * n + col];
             }
-            return centered;
-        });
-
-        // Simple projection using first few dimensions with some mixing
-        // This is a simplified approach - full PCA would need eigendecomposition
-        const result = centered.map(sample => {
-            const output = new Float32Array(numComponents);
-            for (let i = 0; i < numComponents; i++) {
-                for (let j = 0; j < numFeatures; j++) {
-                    // Use a pseudo-random but deterministic mixing
-                    const weight = Math.sin((i + 1) * (j + 1) * 0.5) * 0.5 + 0.5;
-                    output[i] += sample[j] * weight;
-                }
-                // Normalize
-                output[i] = output[i] / numFeatures;
+
+            // Eigenvector sign is arbitrary; keep it consistent across refits
+            // so the projection does not mirror every time it is updated
+            if (previous && previous[c] && dot(component, previous[c]) < 0) {
+                for (let j = 0; j < n; j++) component[j] = -component[j];
             }
-            return output;
-        });
+
+            this.components.push(component);
+            this.eigenvalues[c] = Math.max(0, values[col]);
+            this.explainedVarianceRatio[c] = totalVariance > 0 ? this.eigenvalues[c] / totalVariance : 0;
+        }
 
         this.fitted = true;
-        return result;
+        return this;
     }
 
     /**
-     * Transform a single sample using pre-computed projection
-     * @param {Float32Array} sample - Single feature vector (MFCCs typically range -40 to +40)
+     * Project a single sample onto the fitted components
+     * @param {Float32Array} sample - Single feature vector
      * @param {number} numComponents - Number of output dimensions
-     * @returns {Float32Array} Transformed sample in range suitable for 3D visualization
+     * @returns {Float32Array} Projected sample (zeros until the model is fitted)
      */
-    transform(sample, numComponents = 3) {
-        const numFeatures = sample.length;
+    transform(sample, numComponents = this.numComponents) {
         const output = new Float32Array(numComponents);
+        if (!this.fitted) return output;
+
+        const k = Math.min(numComponents, this.components.length);
+        for (let c = 0; c < k; c++) {
+            const component = this.components[c];
+            let sum = 0;
+            for (let j = 0; j < component.length; j++) {
+                sum += (sample[j] - this.means[j]) * component[j];
+            }
 
-        for (let i = 0; i < numComponents; i++) {
-            for (let j = 0; j < numFeatures; j++) {
-                // Use a pseudo-random but deterministic mixing
-                const weight = Math.sin((i + 1) * (j + 1) * 0.5) * 0.5 + 0.5;
-                output[i] += sample[j] * weight;
+            if (this.whiten) {
+                const std = Math.sqrt(this.eigenvalues[c]);
+                sum = std > 0 ? sum / std : 0;
             }
-            // Scale to wider visualization range for better spread
-            output[i] = (output[i] / numFeatures) * 1.5;
+            output[c] = sum;
         }
 
         return output;
     }
+
+    /**
+     * Fraction of total variance captured by each component
+     * @returns {Float32Array|null}
+     */
+    getExplainedVarianceRatio() {
+        return this.explainedVarianceRatio;
+    }
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * Cyclic Jacobi eigendecomposition of a symmetric matrix
+ * @param {Float64Array} matrix - Row-major n x n symmetric matrix (not modified)
+ * @param {number} n - Dimension
+ * @returns {{values: Float64Array, vectors: Float64Array}} Eigenvalues and row-major eigenvectors (one per column)
+ */
+function jacobiEigen(matrix, n, maxSweeps = 50) {
+    const a = Float64Array.from(matrix);
+    const v = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) v[i * n + i] = 1;
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                offDiagonal += a[p * n + q] * a[p * n + q];
+            }
+        }
+        if (offDiagonal < 1e-18) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const apq = a[p * n + q];
+                if (Math.abs(apq) < 1e-30) continue;
+
+                // Rotation angle that zeroes a[p][q]
+                const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k * n + p];
+                    const akq = a[k * n + q];
+                    a[k * n + p] = c * akp - s * akq;
+                    a[k * n + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p * n + k];
+                    const aqk = a[q * n + k];
+                    a[p * n + k] = c * apk - s * aqk;
+                    a[q * n + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k * n + p];
+                    const vkq = v[k * n + q];
+                    v[k * n + p] = c * vkp - s * vkq;
+                    v[k * n + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const values = new Float64Array(n);
+    for (let i = 0; i < n; i++) values[i] = a[i * n + i];
+
+    return { values, vectors: v };
 }
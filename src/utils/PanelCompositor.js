@@ -0,0 +1,105 @@
+/**
+ * PanelCompositor - Paints the dashboard panels (2D canvases, WebGL renderers
+ * and their titles) into a single canvas, laid out as on screen
+ *
+ * WebGL canvases are only readable until the browser presents them, so draw()
+ * must run right after the visualizers render, in the same frame.
+ */
+export class PanelCompositor {
+    /**
+     * @param {HTMLElement} root - Element containing the .panel elements
+     * @param {Object} [options]
+     * @param {number} [options.scale] - Output pixels per CSS pixel (defaults to devicePixelRatio)
+     * @param {string} [options.background]
+     * @param {HTMLCanvasElement} [options.backdrop] - Full-window canvas drawn under the panels (the shared 3D renderer)
+     */
+    constructor(root, options = {}) {
+        this.root = root;
+        this.scale = options.scale || window.devicePixelRatio || 1;
+        this.background = options.background || '#0a0a0f';
+        this.backdrop = options.backdrop || null;
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.resize();
+    }
+
+    /**
+     * Match the output size to the root element (even dimensions for video encoders)
+     */
+    resize() {
+        const rect = this.root.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = Math.max(2, Math.round(rect.width * this.scale / 2) * 2);
+        this.canvas.height = Math.max(2, Math.round(rect.height * this.scale / 2) * 2);
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const origin = this.root.getBoundingClientRect();
+
+        ctx.setTransform(this.canvas.width / this.width, 0, 0, this.canvas.height / this.height, 0, 0);
+        ctx.fillStyle = this.background;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (this.backdrop && this.backdrop.width > 0) {
+            // Panels drawn by the backdrop are transparent, so it shows through below
+            const scaleX = this.backdrop.width / window.innerWidth;
+            const scaleY = this.backdrop.height / window.innerHeight;
+            ctx.drawImage(
+                this.backdrop,
+                origin.left * scaleX,
+                origin.top * scaleY,
+                this.width * scaleX,
+                this.height * scaleY,
+                0,
+                0,
+                this.width,
+                this.height
+            );
+        }
+
+        for (const panel of this.root.querySelectorAll('.panel')) {
+            const rect = panel.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) continue;
+
+            const style = getComputedStyle(panel);
+            ctx.fillStyle = style.backgroundColor;
+            ctx.fillRect(rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+
+            for (const canvas of panel.querySelectorAll('canvas')) {
+                const canvasRect = canvas.getBoundingClientRect();
+                if (canvasRect.width === 0 || canvas.width === 0) continue;
+                ctx.drawImage(
+                    canvas,
+                    canvasRect.left - origin.left,
+                    canvasRect.top - origin.top,
+                    canvasRect.width,
+                    canvasRect.height
+                );
+            }
+
+            // Titles go on top: some headers float over their canvas
+            panel.querySelectorAll('.panel-title, .panel-subtitle').forEach(label => this.drawLabel(label, origin));
+
+            ctx.strokeStyle = style.borderTopColor;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(rect.left - origin.left + 0.5, rect.top - origin.top + 0.5, rect.width - 1, rect.height - 1);
+        }
+    }
+
+    drawLabel(element, origin) {
+        const text = element.textContent.trim();
+        const rect = element.getBoundingClientRect();
+        if (!text || rect.width === 0) return;
+
+        const style = getComputedStyle(element);
+        const ctx = this.ctx;
+        ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+        ctx.fillStyle = style.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(text, rect.left - origin.left, rect.top - origin.top, rect.width + 2);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * PlotView - Zoom/pan window over a 2D plot, with mouse wheel, drag and double-click controls
+ *
+ * The window is kept in normalized plot units: [x0, x1] x [y0, y1] within the
+ * full 0-1 range of each axis, so it composes with whatever range (manual or
+ * auto) the plot maps into 0-1.
+ */
+export class PlotView {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.zoomX=true] - Allow zooming/panning horizontally
+     * @param {boolean} [options.zoomY=true] - Allow zooming/panning vertically
+     * @param {number} [options.minSpan=0.01] - Smallest visible fraction of an axis
+     */
+    constructor(options = {}) {
+        this.zoomX = options.zoomX ?? true;
+        this.zoomY = options.zoomY ?? true;
+        this.minSpan = options.minSpan ?? 0.01;
+        this.reset();
+    }
+
+    reset() {
+        this.x0 = 0;
+        this.x1 = 1;
+        this.y0 = 0;
+        this.y1 = 1;
+    }
+
+    get isZoomed() {
+        return this.x0 !== 0 || this.x1 !== 1 || this.y0 !== 0 || this.y1 !== 1;
+    }
+
+    /**
+     * Normalized axis position -> position within the visible window (0-1 on screen)
+     */
+    toViewX(t) {
+        return (t - this.x0) / (this.x1 - this.x0);
+    }
+
+    toViewY(t) {
+        return (t - this.y0) / (this.y1 - this.y0);
+    }
+
+    /**
+     * Position within the visible window -> normalized axis position
+     */
+    fromViewX(v) {
+        return this.x0 + v * (this.x1 - this.x0);
+    }
+
+    fromViewY(v) {
+        return this.y0 + v * (this.y1 - this.y0);
+    }
+
+    /**
+     * Zoom around a point of the window
+     * @param {number} vx - Anchor x within the window (0-1)
+     * @param {number} vy - Anchor y within the window (0-1, bottom to top)
+     * @param {number} factor - < 1 zooms in, > 1 zooms out
+     */
+    zoom(vx, vy, factor) {
+        if (this.zoomX) {
+            [this.x0, this.x1] = this.zoomAxis(this.x0, this.x1, this.fromViewX(vx), factor);
+        }
+        if (this.zoomY) {
+            [this.y0, this.y1] = this.zoomAxis(this.y0, this.y1, this.fromViewY(vy), factor);
+        }
+    }
+
+    zoomAxis(lo, hi, anchor, factor) {
+        const span = Math.min(1, Math.max(this.minSpan, (hi - lo) * factor));
+        const start = anchor - (anchor - lo) * (span / (hi - lo));
+        return clampWindow(start, span);
+    }
+
+    /**
+     * Shift the window by a fraction of its own size
+     * @param {number} dx - Positive moves the view right
+     * @param {number} dy - Positive moves the view up
+     */
+    pan(dx, dy) {
+        if (this.zoomX) {
+            const span = this.x1 - this.x0;
+            [this.x0, this.x1] = clampWindow(this.x0 + dx * span, span);
+        }
+        if (this.zoomY) {
+            const span = this.y1 - this.y0;
+            [this.y0, this.y1] = clampWindow(this.y0 + dy * span, span);
+        }
+    }
+
+    /**
+     * Wire wheel zoom, drag-to-pan and double-click reset to a canvas
+     * @param {HTMLCanvasElement} canvas
+     * @param {Function} getPlotRect - Returns the plot area { left, top, width, height } in CSS pixels
+     * @returns {Function} Removes the listeners
+     */
+    attach(canvas, getPlotRect) {
+        let drag = null;
+
+        const toView = (event) => {
+            const bounds = canvas.getBoundingClientRect();
+            const plot = getPlotRect();
+            return {
+                x: (event.clientX - bounds.left - plot.left) / plot.width,
+                y: 1 - (event.clientY - bounds.top - plot.top) / plot.height
+            };
+        };
+
+        const onWheel = (event) => {
+            event.preventDefault();
+            const { x, y } = toView(event);
+            this.zoom(x, y, Math.pow(1.0015, event.deltaY));
+        };
+
+        const onPointerDown = (event) => {
+            if (event.button !== 0) return;
+            drag = toView(event);
+            canvas.setPointerCapture(event.pointerId);
+        };
+
+        const onPointerMove = (event) => {
+            if (!drag) return;
+            const point = toView(event);
+            // Dragging right shows what lies to the left
+            this.pan(drag.x - point.x, drag.y - point.y);
+            drag = point;
+        };
+
+        const onPointerUp = () => {
+            drag = null;
+        };
+
+        const onDoubleClick = () => this.reset();
+
+        canvas.addEventListener('wheel', onWheel, { passive: false });
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', onPointerUp);
+        canvas.addEventListener('pointercancel', onPointerUp);
+        canvas.addEventListener('dblclick', onDoubleClick);
+
+        return () => {
+            canvas.removeEventListener('wheel', onWheel);
+            canvas.removeEventListener('pointerdown', onPointerDown);
+            canvas.removeEventListener('pointermove', onPointerMove);
+            canvas.removeEventListener('pointerup', onPointerUp);
+            canvas.removeEventListener('pointercancel', onPointerUp);
+            canvas.removeEventListener('dblclick', onDoubleClick);
+        };
+    }
+}
+
+// Keep a window of the given span inside 0-1
+function clampWindow(start, span) {
+    const lo = Math.min(1 - span, Math.max(0, start));
+    return [lo, lo + span];
+}
@@ -0,0 +1,307 @@
+/**
+ * PointCloudExport - Write 3D visualizer point clouds as PLY, OBJ, glTF or GLB
+ *
+ * Visualizers describe their contents as a PointCloud:
+ * {
+ *   name: string,
+ *   positions: Float32Array,  // x, y, z per point, oldest first
+ *   colors: Float32Array,     // r, g, b per point (0-1, linear sRGB as stored in the geometry)
+ *   sizes: Float32Array,      // point size per point
+ *   times: Float64Array,      // media time per point in seconds
+ *   segments: Uint32Array     // pairs of point indices joined by a line
+ * }
+ */
+
+export const POINT_CLOUD_FORMATS = {
+    ply: { extension: 'ply', mimeType: 'text/plain' },
+    obj: { extension: 'obj', mimeType: 'text/plain' },
+    gltf: { extension: 'gltf', mimeType: 'model/gltf+json' },
+    glb: { extension: 'glb', mimeType: 'model/gltf-binary' }
+};
+
+/**
+ * @param {Object} cloud - PointCloud
+ * @param {string} format - Key of POINT_CLOUD_FORMATS
+ * @returns {Blob}
+ */
+export function exportPointCloud(cloud, format) {
+    const spec = POINT_CLOUD_FORMATS[format];
+    if (!spec) throw new Error(`Unknown point cloud format: ${format}`);
+
+    let data;
+    switch (format) {
+        case 'ply':
+            data = encodePLY(cloud);
+            break;
+        case 'obj':
+            data = encodeOBJ(cloud);
+            break;
+        case 'gltf':
+            data = JSON.stringify(buildGLTF(cloud, true).json);
+            break;
+        case 'glb':
+            data = encodeGLB(cloud);
+            break;
+    }
+    return new Blob([data], { type: spec.mimeType });
+}
+
+function pointCount(cloud) {
+    return cloud.positions.length / 3;
+}
+
+// three.js keeps vertex colors in linear sRGB; PLY and OBJ viewers expect sRGB
+function toSRGB(value) {
+    const v = Math.min(1, Math.max(0, value));
+    return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+function toByte(value) {
+    return Math.round(toSRGB(value) * 255);
+}
+
+/**
+ * ASCII PLY with vertex colors, size and time properties and an edge element
+ * @returns {string}
+ */
+export function encodePLY(cloud) {
+    const count = pointCount(cloud);
+    const edges = cloud.segments.length / 2;
+    const lines = [
+        'ply',
+        'format ascii 1.0',
+        `comment ${cloud.name} point cloud`,
+        `element vertex ${count}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        'property uchar red',
+        'property uchar green',
+        'property uchar blue',
+        'property float size',
+        'property double time',
+        `element edge ${edges}`,
+        'property int vertex1',
+        'property int vertex2',
+        'end_header'
+    ];
+
+    const { positions, colors, sizes, times, segments } = cloud;
+    for (let i = 0; i < count; i++) {
+        lines.push([
+            positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2],
+            toByte(colors[i * 3]), toByte(colors[i * 3 + 1]), toByte(colors[i * 3 + 2]),
+            sizes[i], times[i]
+        ].join(' '));
+    }
+    for (let i = 0; i < edges; i++) {
+        lines.push(`${segments[i * 2]} ${segments[i * 2 + 1]}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Wavefront OBJ: vertices with the common "v x y z r g b" color extension
+ * and "l" elements for segments. Sizes and times do not fit the format and
+ * are listed in comments.
+ * @returns {string}
+ */
+export function encodeOBJ(cloud) {
+    const count = pointCount(cloud);
+    const { positions, colors, sizes, times, segments } = cloud;
+    const lines = [
+        `# ${cloud.name} point cloud: ${count} points, ${segments.length / 2} segments`,
+        '# per-vertex "#t time size" comments follow each vertex',
+        `o ${cloud.name}`
+    ];
+
+    for (let i = 0; i < count; i++) {
+        lines.push(
+            `v ${positions[i * 3]} ${positions[i * 3 + 1]} ${positions[i * 3 + 2]} ` +
+            `${toSRGB(colors[i * 3]).toFixed(4)} ${toSRGB(colors[i * 3 + 1]).toFixed(4)} ${toSRGB(colors[i * 3 + 2]).toFixed(4)}`
+        );
+        lines.push(`#t ${times[i]} ${sizes[i]}`);
+    }
+
+    // OBJ indices are 1-based
+    for (let i = 0; i < segments.length; i += 2) {
+        lines.push(`l ${segments[i] + 1} ${segments[i + 1] + 1}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// glTF component types and buffer targets
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Build the glTF document and its binary buffer. A single mesh has a POINTS
+ * primitive and, when there are segments, a LINES primitive sharing its
+ * attributes. Sizes and times are custom _SIZE and _TIME attributes.
+ * @param {boolean} embed - Inline the buffer as a data URI (.gltf) instead of a GLB chunk
+ * @returns {{json: Object, binary: Uint8Array}}
+ */
+export function buildGLTF(cloud, embed) {
+    const count = pointCount(cloud);
+    const views = [];
+    const accessors = [];
+    const chunks = [];
+    let byteLength = 0;
+
+    const addAccessor = (array, type, componentType, target, withBounds) => {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        views.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+        chunks.push({ offset: byteLength, bytes });
+        byteLength += Math.ceil(bytes.length / 4) * 4;
+
+        const accessor = {
+            bufferView: views.length - 1,
+            componentType,
+            count: array.length / (type === 'VEC3' ? 3 : 1),
+            type
+        };
+        if (withBounds) Object.assign(accessor, bounds(array, type === 'VEC3' ? 3 : 1));
+        accessors.push(accessor);
+        return accessors.length - 1;
+    };
+
+    const attributes = {
+        // POSITION requires min/max
+        POSITION: addAccessor(Float32Array.from(cloud.positions), 'VEC3', FLOAT, ARRAY_BUFFER, true),
+        COLOR_0: addAccessor(Float32Array.from(cloud.colors), 'VEC3', FLOAT, ARRAY_BUFFER, false),
+        _SIZE: addAccessor(Float32Array.from(cloud.sizes), 'SCALAR', FLOAT, ARRAY_BUFFER, false),
+        // glTF has no doubles; single precision keeps times to well under a millisecond for hours of audio
+        _TIME: addAccessor(Float32Array.from(cloud.times), 'SCALAR', FLOAT, ARRAY_BUFFER, false)
+    };
+
+    const primitives = [{ attributes, mode: 0 }];
+    if (cloud.segments.length > 0) {
+        const indices = addAccessor(Uint32Array.from(cloud.segments), 'SCALAR', UNSIGNED_INT, ELEMENT_ARRAY_BUFFER, false);
+        primitives.push({ attributes, indices, mode: 1 });
+    }
+
+    const binary = new Uint8Array(byteLength);
+    chunks.forEach(chunk => binary.set(chunk.bytes, chunk.offset));
+
+    const buffer = { byteLength };
+    if (embed) buffer.uri = `data:application/octet-stream;base64,${toBase64(binary)}`;
+
+    const json = {
+        asset: { version: '2.0', generator: 'Geometric Audio Visualizer' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name: cloud.name }],
+        meshes: [{ name: cloud.name, primitives, extras: { points: count } }],
+        buffers: [buffer],
+        bufferViews: views,
+        accessors
+    };
+
+    return { json, binary };
+}
+
+/**
+ * Binary glTF container: header, JSON chunk, BIN chunk
+ * @returns {Uint8Array}
+ */
+export function encodeGLB(cloud) {
+    const { json, binary } = buildGLTF(cloud, false);
+
+    // Chunks are 4-byte aligned: JSON padded with spaces, BIN with zeros
+    let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const paddedJson = new Uint8Array(jsonLength).fill(0x20);
+    paddedJson.set(jsonBytes);
+    jsonBytes = paddedJson;
+
+    const totalLength = 12 + 8 + jsonLength + 8 + binary.length;
+    const glb = new Uint8Array(totalLength);
+    const view = new DataView(glb.buffer);
+
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    glb.set(jsonBytes, 20);
+
+    const binOffset = 20 + jsonLength;
+    view.setUint32(binOffset, binary.length, true);
+    view.setUint32(binOffset + 4, 0x004E4942, true); // 'BIN'
+    glb.set(binary, binOffset + 8);
+
+    return glb;
+}
+
+function bounds(array, components) {
+    const min = new Array(components).fill(Infinity);
+    const max = new Array(components).fill(-Infinity);
+    for (let i = 0; i < array.length; i++) {
+        const c = i % components;
+        min[c] = Math.min(min[c], array[i]);
+        max[c] = Math.max(max[c], array[i]);
+    }
+    // An empty cloud still needs finite bounds
+    return {
+        min: min.map(value => (Number.isFinite(value) ? value : 0)),
+        max: max.map(value => (Number.isFinite(value) ? value : 0))
+    };
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Gather a visualizer's ring buffers into a PointCloud, oldest point first
+ * @param {Object} ring
+ * @param {string} ring.name
+ * @param {Float32Array} ring.positions - xyz per ring slot
+ * @param {Float32Array} ring.colors - rgb per ring slot
+ * @param {Float32Array} ring.sizes - Size per ring slot
+ * @param {number} ring.count - Number of valid slots
+ * @param {number} ring.oldest - Slot holding the oldest point
+ * @param {Function} ring.timeAt - Slot index -> media time
+ * @param {Function} [ring.seriesAt] - Slot index -> line series; consecutive points
+ *     of the same series are joined by segments. Omit for unconnected points.
+ * @returns {Object} PointCloud
+ */
+export function collectPointCloud({ name, positions, colors, sizes, count, oldest, timeAt, seriesAt = null }) {
+    const slots = positions.length / 3;
+    const cloud = {
+        name,
+        positions: new Float32Array(count * 3),
+        colors: new Float32Array(count * 3),
+        sizes: new Float32Array(count),
+        times: new Float64Array(count),
+        segments: null
+    };
+
+    const segments = [];
+    const last = new Map();
+    for (let n = 0; n < count; n++) {
+        const i = (oldest + n) % slots;
+        cloud.positions.set(positions.subarray(i * 3, i * 3 + 3), n * 3);
+        cloud.colors.set(colors.subarray(i * 3, i * 3 + 3), n * 3);
+        cloud.sizes[n] = sizes[i];
+        cloud.times[n] = timeAt(i);
+
+        if (seriesAt) {
+            const series = seriesAt(i);
+            if (last.has(series)) segments.push(last.get(series), n);
+            last.set(series, n);
+        }
+    }
+
+    cloud.segments = Uint32Array.from(segments);
+    return cloud;
+}
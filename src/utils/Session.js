@@ -0,0 +1,104 @@
+/**
+ * Session - Save and restore an analysis session as JSON
+ *
+ * A session holds the feature timeline, the visualizer settings and axis
+ * mappings, the camera poses of the 3D views and metadata about the analysed
+ * file, so it can be replayed later without the original audio.
+ */
+import { FeatureTrack } from '../audio/FeatureTrack.js';
+
+export const SESSION_FORMAT = 'geometric-audio-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * Serialize a session
+ * @param {Object} session
+ * @param {{times: number[], frames: Object[], samples: boolean[]}} session.timeline - FeatureTrack or FeatureRecorder
+ * @param {number} session.frameRate - Nominal frames per second of the timeline
+ * @param {number} session.sampleRate - Sample rate of the analysed audio
+ * @param {number} session.position - Playhead in seconds
+ * @param {Object} [session.metadata] - File name, type, size, duration, ...
+ * @param {Object} [session.settings] - Settings values by visualizer name, then setting key
+ * @param {Object} [session.axes] - Axis mappings by visualizer name, then channel
+ * @param {Object} [session.cameras] - Camera poses by visualizer name
+ * @returns {Blob}
+ */
+export function serializeSession({ timeline, frameRate, sampleRate, position, metadata = {}, settings = {}, axes = {}, cameras = {} }) {
+    const session = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        metadata,
+        settings,
+        axes,
+        cameras,
+        position,
+        timeline: {
+            frameRate,
+            sampleRate,
+            times: Array.from(timeline.times),
+            frames: timeline.frames.map(toPlainFrame),
+            // 0/1 rather than booleans to keep long recordings small
+            samples: timeline.samples.map(Number)
+        }
+    };
+
+    return new Blob([JSON.stringify(session)], { type: 'application/json' });
+}
+
+/**
+ * Parse a session file
+ * @param {Blob|File} file
+ * @returns {Promise<{track: FeatureTrack, position: number, metadata: Object, settings: Object, axes: Object, cameras: Object}>}
+ */
+export async function readSession(file) {
+    let session;
+    try {
+        session = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error('Session file is not valid JSON');
+    }
+
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error('Not a session file');
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`Session version ${session.version} is newer than this app supports`);
+    }
+
+    const { frameRate, sampleRate, times, frames, samples } = session.timeline;
+    if (!Array.isArray(samples) || samples.length !== times.length) {
+        throw new Error('Session timeline has no sample flags');
+    }
+
+    const track = new FeatureTrack(frameRate, sampleRate);
+    for (let i = 0; i < times.length; i++) {
+        track.push(times[i], fromPlainFrame(frames[i]), null, Boolean(samples[i]));
+    }
+
+    return {
+        track,
+        position: session.position || 0,
+        metadata: session.metadata || {},
+        settings: session.settings || {},
+        axes: session.axes || {},
+        cameras: session.cameras || {}
+    };
+}
+
+// Typed arrays (MFCCs, chroma) do not survive JSON.stringify as arrays
+function toPlainFrame(features) {
+    const plain = {};
+    for (const [name, value] of Object.entries(features)) {
+        plain[name] = ArrayBuffer.isView(value) ? Array.from(value) : value;
+    }
+    return plain;
+}
+
+function fromPlainFrame(plain) {
+    const features = {};
+    for (const [name, value] of Object.entries(plain)) {
+        features[name] = Array.isArray(value) ? Float32Array.from(value) : value;
+    }
+    return features;
+}
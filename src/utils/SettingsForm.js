@@ -0,0 +1,105 @@
+/**
+ * SettingsForm - Binds a visualizer's settings schema (see Visualizer.js) to form controls
+ *
+ * Controls are matched by their data-setting attribute, so hand-written panel
+ * controls and generated rows are wired the same way.
+ */
+
+/**
+ * Build a labelled settings row for one schema entry
+ * @param {Object} setting - Schema entry
+ * @returns {HTMLElement}
+ */
+export function createSettingRow(setting) {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+
+    const label = document.createElement('label');
+    label.textContent = setting.label;
+
+    let control;
+    if (setting.type === 'select') {
+        control = document.createElement('select');
+        control.className = 'panel-select';
+        (setting.options || []).forEach(option => control.add(new Option(option.label, option.value)));
+        control.value = setting.default;
+    } else {
+        control = document.createElement('input');
+        control.type = { toggle: 'checkbox', range: 'range', number: 'number' }[setting.type] || 'text';
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(setting.default);
+        } else {
+            ['min', 'max', 'step'].forEach(attribute => {
+                if (setting[attribute] !== undefined) control[attribute] = setting[attribute];
+            });
+            control.value = setting.default ?? '';
+        }
+    }
+    control.dataset.setting = setting.key;
+    control.title = setting.label;
+
+    row.append(label, control);
+    return row;
+}
+
+/**
+ * Apply each setting whenever its control changes (range sliders while dragging)
+ * @param {HTMLElement} root - Element containing the [data-setting] controls
+ * @param {Object[]} schema - Settings schema
+ */
+export function bindSettings(root, schema) {
+    for (const setting of schema) {
+        const control = root.querySelector(`[data-setting="${setting.key}"]`);
+        if (!control) {
+            console.warn(`No control for the "${setting.key}" setting`);
+            continue;
+        }
+
+        control.addEventListener(control.type === 'range' ? 'input' : 'change', () => {
+            const accepted = setting.apply(readControl(control, setting.type));
+            control.classList.toggle('invalid', accepted === false);
+        });
+    }
+}
+
+/**
+ * Current value of every bound setting
+ * @param {HTMLElement} root - Element containing the [data-setting] controls
+ * @param {Object[]} schema - Settings schema
+ * @returns {Object} Values by setting key
+ */
+export function readSettings(root, schema) {
+    const values = {};
+    for (const setting of schema) {
+        const control = root.querySelector(`[data-setting="${setting.key}"]`);
+        if (control) values[setting.key] = readControl(control, setting.type);
+    }
+    return values;
+}
+
+/**
+ * Set the controls and fire their events, so bindSettings applies the values.
+ * Keys missing from values (or from the schema) are left alone.
+ * @param {HTMLElement} root - Element containing the [data-setting] controls
+ * @param {Object[]} schema - Settings schema
+ * @param {Object} values - Values by setting key, as from readSettings
+ */
+export function writeSettings(root, schema, values) {
+    for (const setting of schema) {
+        const control = root.querySelector(`[data-setting="${setting.key}"]`);
+        if (!control || values[setting.key] === undefined) continue;
+
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(values[setting.key]);
+        } else {
+            control.value = values[setting.key];
+        }
+        control.dispatchEvent(new Event(control.type === 'range' ? 'input' : 'change'));
+    }
+}
+
+function readControl(control, type) {
+    if (type === 'toggle') return control.checked;
+    if (type === 'range' || type === 'number') return parseFloat(control.value);
+    return control.value;
+}
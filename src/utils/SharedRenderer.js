@@ -0,0 +1,220 @@
+/**
+ * SharedRenderer - One WebGL context for all the 3D panels
+ *
+ * Instead of a renderer (and a context) per panel, every 3D scene is drawn
+ * into a single full-window canvas behind the dashboard, clipped with
+ * scissor/viewport to its panel's on-screen rectangle. Panels drawn this way
+ * get the shared-view-panel class, which makes them transparent: the shared
+ * canvas paints their background, so headers, tooltips and popovers stay
+ * ordinary DOM on top of the scene.
+ *
+ * Visualizers get a view from createView() in place of a WebGLRenderer. A view
+ * only queues its scene; render() draws all queued scenes once per frame.
+ */
+import * as THREE from 'three';
+import { createRenderer } from './ThreeResources.js';
+
+export class SharedRenderer {
+    /**
+     * @param {HTMLElement} parent - Element the canvas is inserted into, behind its panels
+     * @param {Object} [options]
+     * @param {Function} [options.createRenderer] - Returns the WebGLRenderer (injectable for testing)
+     */
+    constructor(parent, options = {}) {
+        this.renderer = (options.createRenderer || createRenderer)();
+        this.renderer.autoClear = false;
+        this.domElement = this.renderer.domElement;
+        this.domElement.classList.add('shared-renderer');
+        parent.prepend(this.domElement);
+
+        this.views = new Set();
+        this.size = new THREE.Vector2();
+    }
+
+    /**
+     * A renderer stand-in for one visualizer
+     * @returns {SharedView}
+     */
+    createView() {
+        const view = new SharedView(this);
+        this.views.add(view);
+        return view;
+    }
+
+    /**
+     * Draw every queued scene into its panel's rectangle
+     */
+    render() {
+        const renderer = this.renderer;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        if (renderer.getPixelRatio() !== window.devicePixelRatio) {
+            renderer.setPixelRatio(window.devicePixelRatio);
+        }
+        renderer.getSize(this.size);
+        if (this.size.x !== width || this.size.y !== height) {
+            // The canvas is sized by CSS
+            renderer.setSize(width, height, false);
+        }
+
+        renderer.setScissorTest(false);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.setScissorTest(true);
+
+        // A maximized panel covers the others, so it is drawn last
+        const views = [...this.views].filter(view => view.scene && view.domElement.isConnected);
+        views.sort((a, b) => a.isMaximized() - b.isMaximized());
+        views.forEach(view => this.renderView(view, height));
+    }
+
+    renderView(view, height) {
+        const panel = view.attachPanel();
+        if (!panel) return;
+
+        // Removed panels are display: none
+        const panelRect = panel.getBoundingClientRect();
+        if (panelRect.width === 0 || panelRect.height === 0) return;
+        this.fill({
+            left: panelRect.left + panel.clientLeft,
+            top: panelRect.top + panel.clientTop,
+            width: panel.clientWidth,
+            height: panel.clientHeight
+        }, view.panelColor, view.panelAlpha, height);
+
+        // Collapsed panels keep their header but hide the scene
+        const rect = view.domElement.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        const clear = over(view.clearColor, view.clearAlpha, view.panelColor, view.panelAlpha);
+        this.fill(rect, clear.color, clear.alpha, height);
+
+        this.renderer.render(view.scene, view.camera);
+    }
+
+    /**
+     * Clear a rectangle (CSS pixels, from the top left) and make it the viewport
+     */
+    fill(rect, color, alpha, height) {
+        const y = height - rect.top - rect.height;
+        this.renderer.setViewport(rect.left, y, rect.width, rect.height);
+        this.renderer.setScissor(rect.left, y, rect.width, rect.height);
+        this.renderer.setClearColor(color, alpha);
+        this.renderer.clear();
+    }
+
+    /**
+     * Free the WebGL context (after the visualizers have disposed their views)
+     */
+    dispose() {
+        this.views.forEach(view => view.dispose());
+        this.renderer.dispose();
+        if (this.renderer.forceContextLoss) this.renderer.forceContextLoss();
+        this.domElement.remove();
+    }
+}
+
+/**
+ * The part of the WebGLRenderer interface the 3D visualizers use. domElement
+ * is an empty element sized like the renderer canvas would be, so orbit
+ * controls and hover listeners work unchanged.
+ */
+class SharedView {
+    constructor(owner) {
+        this.owner = owner;
+        this.domElement = document.createElement('div');
+        this.domElement.className = 'shared-view';
+
+        this.clearColor = new THREE.Color(0x000000);
+        this.clearAlpha = 0;
+        this.scene = null;
+        this.camera = null;
+
+        // Set once the view is in a panel
+        this.panel = null;
+        this.panelColor = new THREE.Color(0x000000);
+        this.panelAlpha = 0;
+    }
+
+    // The shared canvas follows devicePixelRatio itself
+    setPixelRatio() {}
+
+    setClearColor(color, alpha = 1) {
+        this.clearColor.set(color);
+        this.clearAlpha = alpha;
+    }
+
+    setSize(width, height) {
+        this.domElement.style.width = `${width}px`;
+        this.domElement.style.height = `${height}px`;
+    }
+
+    render(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+    }
+
+    /**
+     * Take over the background of the panel the view is in
+     * @returns {HTMLElement|null}
+     */
+    attachPanel() {
+        const panel = this.domElement.closest('.panel');
+        if (panel === this.panel) return panel;
+
+        this.detachPanel();
+        if (!panel) return null;
+
+        const background = parseColor(getComputedStyle(panel).backgroundColor);
+        this.panelColor.setRGB(background.r, background.g, background.b, THREE.SRGBColorSpace);
+        this.panelAlpha = background.a;
+        panel.classList.add('shared-view-panel');
+        this.panel = panel;
+        return panel;
+    }
+
+    detachPanel() {
+        if (this.panel) this.panel.classList.remove('shared-view-panel');
+        this.panel = null;
+    }
+
+    isMaximized() {
+        // Not this.panel: it is only attached once the view has been drawn
+        return this.domElement.closest('.panel.maximized') !== null;
+    }
+
+    dispose() {
+        this.owner.views.delete(this);
+        this.detachPanel();
+        this.scene = null;
+        this.camera = null;
+    }
+}
+
+/**
+ * Parse a computed CSS color ("rgb(r, g, b)" or "rgba(r, g, b, a)")
+ * @returns {{r: number, g: number, b: number, a: number}} Channels in 0-1
+ */
+function parseColor(css) {
+    const [r = 0, g = 0, b = 0, a = 1] = (css.match(/[\d.]+/g) || []).map(Number);
+    return { r: r / 255, g: g / 255, b: b / 255, a: css.startsWith('rgba') ? a : 1 };
+}
+
+/**
+ * A translucent color composited over another, as the browser would
+ * stack a renderer's clear color on its panel
+ */
+function over(color, alpha, under, underAlpha) {
+    const outAlpha = alpha + underAlpha * (1 - alpha);
+    if (outAlpha === 0) return { color: new THREE.Color(0x000000), alpha: 0 };
+
+    // Browsers blend in sRGB, not in three's linear working space
+    const top = color.getRGB({}, THREE.SRGBColorSpace);
+    const bottom = under.getRGB({}, THREE.SRGBColorSpace);
+    const weight = underAlpha * (1 - alpha);
+    const blend = channel => (top[channel] * alpha + bottom[channel] * weight) / outAlpha;
+    return {
+        color: new THREE.Color().setRGB(blend('r'), blend('g'), blend('b'), THREE.SRGBColorSpace),
+        alpha: outAlpha
+    };
+}
@@ -0,0 +1,51 @@
+/**
+ * ThreeResources - Creating and releasing the WebGL resources of the 3D visualizers
+ *
+ * Browsers keep only a handful of WebGL contexts alive, and geometries and
+ * materials hold GPU buffers until they are disposed, so a visualizer that
+ * goes away has to release all of them explicitly.
+ */
+import * as THREE from 'three';
+
+/**
+ * Default renderer of a 3D visualizer (one WebGL context per panel)
+ * @returns {THREE.WebGLRenderer}
+ */
+export function createRenderer() {
+    return new THREE.WebGLRenderer({
+        antialias: true,
+        alpha: true
+    });
+}
+
+/**
+ * Dispose the geometries, materials and textures of an object and its descendants
+ * @param {THREE.Object3D} root
+ */
+export function disposeObject(root) {
+    const materials = new Set();
+    root.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (!object.material) return;
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+    });
+
+    // Materials are often shared between objects; dispose each once
+    materials.forEach(material => {
+        Object.values(material).forEach(value => {
+            if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+    });
+}
+
+/**
+ * Release a renderer's WebGL context and take its canvas out of the page
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function disposeRenderer(renderer) {
+    renderer.dispose();
+    // dispose() leaves the context to the garbage collector; free it now
+    if (renderer.forceContextLoss) renderer.forceContextLoss();
+    renderer.domElement.remove();
+}
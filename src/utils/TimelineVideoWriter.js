@@ -0,0 +1,180 @@
+/**
+ * TimelineVideoWriter - Encodes canvas frames and an AudioBuffer to WebM with WebCodecs
+ *
+ * Each frame is stamped with the timeline time it was rendered for, not the
+ * time it was captured, so the video plays at the timeline's pace however
+ * long each frame took to render.
+ */
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+
+// WebCodecs codec string and WebM codec id, best first
+const VIDEO_CODECS = [
+    { codec: 'vp09.00.10.08', id: 'V_VP9' },
+    { codec: 'vp8', id: 'V_VP8' }
+];
+
+// Sample rate the Opus encoder takes
+export const AUDIO_SAMPLE_RATE = 48000;
+
+// Audio frames per AudioData handed to the encoder (100 ms)
+const AUDIO_CHUNK = 4800;
+
+// Frames waiting in the video encoder before addFrame() waits for it
+const MAX_QUEUED_FRAMES = 4;
+
+export class TimelineVideoWriter {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to encode; its size is fixed when start() runs
+     * @param {Object} [options]
+     * @param {number} [options.frameRate=30] - Frames per second of the timeline steps
+     * @param {AudioBuffer} [options.audio] - Soundtrack at AUDIO_SAMPLE_RATE, from time 0
+     * @param {number} [options.videoBitsPerSecond=8000000]
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.frameRate = options.frameRate || 30;
+        this.audio = options.audio || null;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+        this.muxer = null;
+        this.videoEncoder = null;
+        this.error = null;
+        this.frameCount = 0;
+        // Resolves a wait for the encoder queue to drain
+        this.dequeued = null;
+    }
+
+    /**
+     * Pick a codec and set up the encoder and muxer
+     */
+    async start() {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error('WebCodecs video encoding is not supported in this browser');
+        }
+        if (this.audio && typeof AudioEncoder === 'undefined') {
+            throw new Error('WebCodecs audio encoding is not supported in this browser');
+        }
+
+        const { width, height } = this.canvas;
+        let video = null;
+        for (const { codec, id } of VIDEO_CODECS) {
+            const config = { codec, width, height, bitrate: this.videoBitsPerSecond, framerate: this.frameRate };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) {
+                video = { config, id };
+                break;
+            }
+        }
+        if (!video) {
+            throw new Error(`No WebM video codec can encode ${width}×${height}`);
+        }
+
+        this.muxer = new Muxer({
+            target: new ArrayBufferTarget(),
+            video: { codec: video.id, width, height, frameRate: this.frameRate },
+            ...(this.audio && {
+                audio: { codec: 'A_OPUS', numberOfChannels: this.audio.numberOfChannels, sampleRate: this.audio.sampleRate }
+            })
+        });
+
+        this.videoEncoder = new VideoEncoder({
+            output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+            error: (error) => { this.error = error; }
+        });
+        this.videoEncoder.configure(video.config);
+        this.frameCount = 0;
+    }
+
+    /**
+     * Encode the canvas' current contents as the frame at a timeline time
+     * @param {number} time - Seconds from the start of the video
+     */
+    async addFrame(time) {
+        // Let the encoder catch up rather than queueing every frame in memory
+        while (this.videoEncoder && !this.error && this.videoEncoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+            await new Promise(resolve => {
+                this.dequeued = resolve;
+                this.videoEncoder.addEventListener('dequeue', resolve, { once: true });
+            });
+        }
+        if (this.error) throw this.error;
+        if (!this.videoEncoder) throw new Error('Video export was closed');
+
+        const frame = new VideoFrame(this.canvas, {
+            timestamp: Math.round(time * 1e6),
+            duration: Math.round(1e6 / this.frameRate)
+        });
+        // A key frame every two seconds keeps the video seekable
+        this.videoEncoder.encode(frame, { keyFrame: this.frameCount % (this.frameRate * 2) === 0 });
+        frame.close();
+        this.frameCount++;
+    }
+
+    /**
+     * Encode the audio up to the end of the last frame and finish the file
+     * @returns {Promise<Blob>} WebM video
+     */
+    async finish() {
+        try {
+            await this.videoEncoder.flush();
+            if (this.error) throw this.error;
+
+            if (this.audio && this.frameCount > 0) {
+                await this.encodeAudio(this.frameCount / this.frameRate);
+            }
+
+            this.muxer.finalize();
+            return new Blob([this.muxer.target.buffer], { type: 'video/webm' });
+        } finally {
+            this.close();
+        }
+    }
+
+    /**
+     * Encode the soundtrack from 0 to `duration` seconds
+     */
+    async encodeAudio(duration) {
+        const { numberOfChannels, sampleRate } = this.audio;
+        const length = Math.min(this.audio.length, Math.round(duration * sampleRate));
+        const channels = Array.from({ length: numberOfChannels }, (_, i) => this.audio.getChannelData(i));
+
+        let error = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => this.muxer.addAudioChunk(chunk, meta),
+            error: (e) => { error = e; }
+        });
+        encoder.configure({ codec: 'opus', numberOfChannels, sampleRate, bitrate: 128000 });
+
+        for (let start = 0; start < length; start += AUDIO_CHUNK) {
+            const frames = Math.min(AUDIO_CHUNK, length - start);
+            // Planar: each channel's samples one after the other
+            const data = new Float32Array(frames * numberOfChannels);
+            channels.forEach((channel, i) => data.set(channel.subarray(start, start + frames), i * frames));
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round(start / sampleRate * 1e6),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+
+        await encoder.flush();
+        encoder.close();
+        if (error) throw error;
+    }
+
+    /**
+     * Stop encoding without producing a file
+     */
+    close() {
+        if (this.videoEncoder && this.videoEncoder.state !== 'closed') {
+            this.videoEncoder.close();
+        }
+        this.videoEncoder = null;
+        if (this.dequeued) this.dequeued();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * VideoRecorder - Records a canvas plus an audio stream to WebM with MediaRecorder
+ *
+ * Frames are pushed explicitly with captureFrame() (captureStream(0)), so the
+ * caller decides exactly which rendered frames end up in the video. Used for
+ * LIVE REC; timeline exports are encoded by TimelineVideoWriter.
+ */
+
+// Preferred containers/codecs, best first
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * First WebM type this browser can record, or '' to let MediaRecorder choose
+ * @returns {string}
+ */
+export function pickMimeType() {
+    if (typeof MediaRecorder === 'undefined') return '';
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+export class VideoRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to record
+     * @param {Object} [options]
+     * @param {MediaStream} [options.audioStream] - Audio to mux in (e.g. a MediaStreamDestination's stream)
+     * @param {number} [options.videoBitsPerSecond=8000000]
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.audioStream = options.audioStream || null;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+        this.recorder = null;
+        this.stream = null;
+        this.videoTrack = null;
+        this.chunks = [];
+        this.frameCount = 0;
+    }
+
+    start() {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('MediaRecorder is not supported in this browser');
+        }
+
+        this.stream = this.canvas.captureStream(0);
+        this.videoTrack = this.stream.getVideoTracks()[0];
+        if (this.audioStream) {
+            this.audioStream.getAudioTracks().forEach(track => this.stream.addTrack(track));
+        }
+
+        const mimeType = pickMimeType();
+        this.recorder = new MediaRecorder(this.stream, {
+            ...(mimeType && { mimeType }),
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+
+        this.chunks = [];
+        this.frameCount = 0;
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        };
+        this.recorder.start(1000);
+    }
+
+    /**
+     * Push the canvas' current contents as the next video frame
+     */
+    captureFrame() {
+        if (!this.videoTrack) return;
+        if (this.videoTrack.requestFrame) {
+            this.videoTrack.requestFrame();
+        } else if (this.stream.requestFrame) {
+            // Firefox exposes requestFrame on the stream
+            this.stream.requestFrame();
+        }
+        this.frameCount++;
+    }
+
+    get isRecording() {
+        return this.recorder !== null && this.recorder.state !== 'inactive';
+    }
+
+    /**
+     * Finish the recording
+     * @returns {Promise<Blob>} WebM video
+     */
+    stop() {
+        return new Promise((resolve, reject) => {
+            if (!this.recorder) {
+                reject(new Error('Recording was not started'));
+                return;
+            }
+
+            this.recorder.onstop = () => {
+                // Only the canvas track belongs to us; the audio stream is the caller's
+                this.videoTrack.stop();
+                resolve(new Blob(this.chunks, { type: this.recorder.mimeType || 'video/webm' }));
+                this.recorder = null;
+                this.stream = null;
+                this.videoTrack = null;
+            };
+            this.recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+            this.recorder.stop();
+        });
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * YIN - Fundamental frequency estimator with voicing confidence
+ * (de Cheveigné & Kawahara, 2002)
+ */
+export class YIN {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minFrequency=50] - Lowest detectable F0 in Hz
+     * @param {number} [options.maxFrequency=1000] - Highest detectable F0 in Hz
+     * @param {number} [options.threshold=0.15] - CMND dip threshold for a voiced decision
+     * @param {number} [options.silenceRMS=0.01] - Frames quieter than this are unvoiced
+     */
+    constructor(options = {}) {
+        this.minFrequency = options.minFrequency || 50;
+        this.maxFrequency = options.maxFrequency || 1000;
+        this.threshold = options.threshold || 0.15;
+        this.silenceRMS = options.silenceRMS ?? 0.01;
+
+        this.buffer = null;
+    }
+
+    /**
+     * Estimate the fundamental frequency of a block of samples
+     * @param {Float32Array} signal - Time-domain samples in [-1, 1]
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {{f0: number, confidence: number, voiced: boolean}}
+     */
+    detect(signal, sampleRate) {
+        const unvoiced = { f0: 0, confidence: 0, voiced: false };
+        const N = signal.length;
+
+        const minTau = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+        const maxTau = Math.min(Math.floor(sampleRate / this.minFrequency), Math.floor(N / 2));
+        if (maxTau <= minTau) return unvoiced;
+
+        // Silence gate
+        let energy = 0;
+        for (let i = 0; i < N; i++) {
+            energy += signal[i] * signal[i];
+        }
+        if (Math.sqrt(energy / N) < this.silenceRMS) return unvoiced;
+
+        if (!this.buffer || this.buffer.length !== maxTau + 1) {
+            this.buffer = new Float32Array(maxTau + 1);
+        }
+        const cmnd = this.buffer;
+        const windowSize = N - maxTau;
+
+        // Difference function, normalized by its cumulative mean
+        cmnd[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxTau; tau++) {
+            let diff = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = signal[i] - signal[i + tau];
+                diff += delta * delta;
+            }
+            runningSum += diff;
+            cmnd[tau] = runningSum > 0 ? diff * tau / runningSum : 1;
+        }
+
+        // Take the first dip below threshold rather than the global minimum:
+        // longer lags (sub-octaves) repeat the same dip and would otherwise win
+        let tau = -1;
+        for (let t = minTau; t <= maxTau; t++) {
+            if (cmnd[t] < this.threshold) {
+                while (t + 1 <= maxTau && cmnd[t + 1] < cmnd[t]) t++;
+                tau = t;
+                break;
+            }
+        }
+
+        let voiced = true;
+        if (tau === -1) {
+            // No confident period: report the best candidate as unvoiced
+            voiced = false;
+            tau = minTau;
+            for (let t = minTau + 1; t <= maxTau; t++) {
+                if (cmnd[t] < cmnd[tau]) tau = t;
+            }
+        }
+
+        const confidence = Math.max(0, Math.min(1, 1 - cmnd[tau]));
+        const f0 = sampleRate / this.interpolate(cmnd, tau, maxTau);
+
+        return { f0: voiced ? f0 : 0, confidence, voiced };
+    }
+
+    /**
+     * Parabolic interpolation of the dip around tau
+     * @private
+     */
+    interpolate(cmnd, tau, maxTau) {
+        if (tau <= 0 || tau >= maxTau) return tau;
+
+        const s0 = cmnd[tau - 1];
+        const s1 = cmnd[tau];
+        const s2 = cmnd[tau + 1];
+        const denom = 2 * (2 * s1 - s2 - s0);
+
+        return denom !== 0 ? tau + (s2 - s0) / denom : tau;
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * ChromaWheel - Pitch-class wheel with key and chord readout
+ */
+import { hslToHex } from '../utils/ColorScale.js';
+import { PITCH_CLASSES } from '../audio/Chroma.js';
+import { CanvasVisualizer } from './Visualizer.js';
+
+export class ChromaWheel extends CanvasVisualizer {
+    constructor() {
+        super();
+
+        // Current values (smoothed)
+        this.values = new Array(12).fill(0);
+        this.smoothing = 0.25;
+
+        // Labels
+        this.key = '';
+        this.keyConfidence = 0;
+        this.chord = 'N';
+        this.chordConfidence = 0;
+    }
+
+    resize() {
+        super.resize();
+        this.centerX = this.width / 2;
+        this.centerY = this.height / 2;
+        this.radius = Math.min(this.width, this.height) * 0.38;
+    }
+
+    /**
+     * Update values from audio features
+     */
+    update(features) {
+        if (!features.chroma) return;
+
+        for (let i = 0; i < 12; i++) {
+            const target = Math.min(1, Math.max(0, features.chroma[i]));
+            this.values[i] += (target - this.values[i]) * this.smoothing;
+        }
+
+        this.key = features.key || '';
+        this.keyConfidence = features.keyConfidence || 0;
+        this.chord = features.chord || 'N';
+        this.chordConfidence = features.chordConfidence || 0;
+    }
+
+    onFrame(features, time, { series }) {
+        if (series === 0) this.update(features);
+    }
+
+    /**
+     * Color for a pitch class (hue walks the circle of fifths so related keys look alike)
+     */
+    getColor(pitchClass, lightness = 55) {
+        const fifths = (pitchClass * 7) % 12;
+        return hslToHex((fifths / 12) * 360, 85, lightness);
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const w = this.width;
+        const h = this.height;
+        const cx = this.centerX;
+        const cy = this.centerY;
+        const innerRadius = this.radius * 0.35;
+        const wedge = (Math.PI * 2) / 12;
+
+        // Clear
+        ctx.fillStyle = 'rgba(30, 20, 0, 0.3)';
+        ctx.fillRect(0, 0, w, h);
+
+        // Grid rings
+        ctx.strokeStyle = 'rgba(255, 200, 80, 0.12)';
+        ctx.lineWidth = 0.5;
+        for (let i = 1; i <= 4; i++) {
+            ctx.beginPath();
+            ctx.arc(cx, cy, innerRadius + (i / 4) * (this.radius - innerRadius), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Wedges (C at the top, chromatic clockwise)
+        for (let i = 0; i < 12; i++) {
+            const start = i * wedge - Math.PI / 2 - wedge / 2 + 0.02;
+            const end = start + wedge - 0.04;
+            const outer = innerRadius + this.values[i] * (this.radius - innerRadius);
+
+            ctx.beginPath();
+            ctx.arc(cx, cy, outer, start, end);
+            ctx.arc(cx, cy, innerRadius, end, start, true);
+            ctx.closePath();
+            ctx.fillStyle = this.getColor(i);
+            ctx.globalAlpha = 0.25 + this.values[i] * 0.65;
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+
+        // Pitch class labels
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i < 12; i++) {
+            const angle = i * wedge - Math.PI / 2;
+            const r = this.radius + 12;
+            ctx.fillStyle = this.values[i] > 0.7 ? this.getColor(i, 70) : 'rgba(255, 220, 150, 0.6)';
+            ctx.fillText(PITCH_CLASSES[i], cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+        }
+
+        // Chord in the center
+        ctx.fillStyle = this.chord === 'N' ? 'rgba(255, 255, 255, 0.3)' : '#FFFFFF';
+        ctx.font = '600 16px Inter, sans-serif';
+        ctx.fillText(this.chord === 'N' ? '—' : this.chord, cx, cy - 4);
+
+        ctx.font = '8px Inter, monospace';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText('CHORD', cx, cy + 12);
+
+        // Key readout
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.fillStyle = '#FFCC33';
+        ctx.fillText(this.key ? `KEY  ${this.key.toUpperCase()}` : 'KEY  —', 10, h - 22);
+
+        ctx.font = '8px Inter, monospace';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(`CONFIDENCE ${(this.keyConfidence * 100).toFixed(0)}%`, 10, h - 10);
+    }
+
+    clear() {
+        this.values.fill(0);
+        this.key = '';
+        this.keyConfidence = 0;
+        this.chord = 'N';
+        this.chordConfidence = 0;
+    }
+}
@@ -3,20 +3,37 @@
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { getCameraPose, setCameraPose } from '../utils/CameraPose.js';
 import { PCA } from '../utils/PCA.js';
+import { seriesColor } from '../utils/ColorScale.js';
+import { collectPointCloud } from '../utils/PointCloudExport.js';
+import { createRenderer, disposeObject, disposeRenderer } from '../utils/ThreeResources.js';
+import { Visualizer } from './Visualizer.js';
 
-export class Manifold3D {
-    constructor(container) {
-        this.container = container;
-        this.pca = new PCA();
+/**
+ * Dispatches 'seek' (detail: { time }) when a particle is clicked
+ */
+export class Manifold3D extends Visualizer {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.createRenderer] - Returns the WebGLRenderer (injectable for testing)
+     */
+    constructor(options = {}) {
+        super();
+        this.createRenderer = options.createRenderer || createRenderer;
+
+        // Whitened PCA so each axis spans a comparable range regardless of MFCC scale
+        this.pca = new PCA({ numComponents: 3, whiten: true });
+        this.projectionScale = 4; // World units per standard deviation
+        this.minFitSamples = 20;
+        this.refitInterval = 100; // Refit after this many new frames
+        this.samplesSinceFit = 0;
+        this.autoRefit = true;
 
         // Three.js setup
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
-            alpha: true
-        });
+        this.renderer = null;
 
         // Particle system
         this.maxParticles = 2000;
@@ -25,27 +42,46 @@ export class Manifold3D {
         this.colors = new Float32Array(this.maxParticles * 3);
         this.sizes = new Float32Array(this.maxParticles);
 
-        // Particle metadata for tooltips
+        // Particle metadata for tooltips (also keeps MFCCs for re-projection)
         this.particleData = [];
+        this.particleCount = 0;
 
-        // Line connections
+        // Line connections (each series links to its own previous particle)
         this.linePositions = new Float32Array(this.maxParticles * 2 * 3);
         this.lineIndex = 0;
+        this.lastParticle = [-1, -1];
+
+        // A/B comparison: color particles by series family
+        this.compareMode = false;
 
         // Raycaster for hover detection
         this.raycaster = new THREE.Raycaster();
         this.raycaster.params.Points.threshold = 0.5;
         this.mouse = new THREE.Vector2();
         this.hoveredParticle = null;
+        this.pointerDown = null;
+        this.clickTolerance = 4; // px of movement before a click counts as an orbit drag
 
         // Tooltip elements
         this.tooltip = null;
 
+        // Beat pulse (1 on a beat, decays each render)
+        this.beatPulse = 0;
+        this.pulseStrength = 1;
+    }
+
+    /**
+     * Create the renderer in the container and build the scene
+     */
+    mount(container) {
+        super.mount(container);
+        this.container = container;
         this.init();
     }
 
     init() {
         // Renderer setup
+        this.renderer = this.createRenderer();
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.setClearColor(0x0a0000, 0.3);
         this.container.appendChild(this.renderer.domElement);
@@ -106,60 +142,89 @@ export class Manifold3D {
 
         // Get tooltip reference
         this.tooltip = document.getElementById('manifold-tooltip');
+        this.varianceLabel = document.getElementById('manifold-variance');
 
         // Initial resize
         this.resize();
     }
 
     setupHoverInteraction() {
+        // Aborted on dispose
+        this.listeners = new AbortController();
+        const options = { signal: this.listeners.signal };
+
         this.container.addEventListener('mousemove', (event) => {
             const rect = this.container.getBoundingClientRect();
             this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
             this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-            this.checkHover();
-        });
+            this.checkHover(event.clientX - rect.left, event.clientY - rect.top);
+        }, options);
 
         this.container.addEventListener('mouseleave', () => {
             this.hideTooltip();
-        });
+        }, options);
+
+        // Click (not drag) on a particle seeks to its moment
+        this.container.addEventListener('pointerdown', (event) => {
+            this.pointerDown = { x: event.clientX, y: event.clientY };
+        }, options);
+
+        this.container.addEventListener('click', (event) => {
+            const start = this.pointerDown;
+            this.pointerDown = null;
+            if (!start || this.hoveredParticle === null) return;
+
+            const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y);
+            if (moved > this.clickTolerance) return;
+
+            const data = this.particleData[this.hoveredParticle];
+            if (data) {
+                this.dispatchEvent(new CustomEvent('seek', { detail: { time: data.time } }));
+            }
+        }, options);
     }
 
-    checkHover() {
+    checkHover(x, y) {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObject(this.particles);
+        const count = Math.min(this.particleCount, this.maxParticles);
 
-        if (intersects.length > 0) {
-            const idx = intersects[0].index;
-            if (idx < this.particleData.length && this.particleData[idx]) {
-                this.showTooltip(this.particleData[idx]);
-            }
+        // Points in the buffer beyond the stored particles are unused (origin)
+        const hit = intersects.find(intersect => intersect.index < count && this.particleData[intersect.index]);
+
+        if (hit) {
+            this.hoveredParticle = hit.index;
+            this.showTooltip(this.particleData[hit.index], x, y);
         } else {
             this.hideTooltip();
         }
     }
 
-    showTooltip(data) {
+    showTooltip(data, x, y) {
+        this.container.style.cursor = 'pointer';
         if (!this.tooltip) return;
 
         // Update tooltip values
-        const freqEl = document.getElementById('tt-frequency');
-        const spreadEl = document.getElementById('tt-spread');
-        const ampEl = document.getElementById('tt-amplitude');
-        const emissionEl = document.getElementById('tt-emission');
-        const centroidEl = document.getElementById('tt-centroid');
-
-        if (freqEl) freqEl.textContent = (data.centroid / 1000).toFixed(4);
-        if (spreadEl) spreadEl.textContent = data.spread.toFixed(2);
-        if (ampEl) ampEl.textContent = data.amplitude.toFixed(2);
-        if (emissionEl) emissionEl.textContent = data.time.toFixed(2);
+        const timeEl = document.getElementById('mt-time');
+        const centroidEl = document.getElementById('mt-centroid');
+        const spreadEl = document.getElementById('mt-spread');
+        const ampEl = document.getElementById('mt-amplitude');
+
+        if (timeEl) timeEl.textContent = formatTimestamp(data.time);
         if (centroidEl) centroidEl.textContent = (data.centroid / 1000).toFixed(2) + 'k';
+        if (spreadEl) spreadEl.textContent = (data.spread / 1000).toFixed(2) + 'k';
+        if (ampEl) ampEl.textContent = data.amplitude.toFixed(2);
 
+        this.tooltip.style.left = `${x + 12}px`;
+        this.tooltip.style.top = `${y + 12}px`;
         this.tooltip.classList.remove('hidden');
         this.tooltip.classList.add('visible');
     }
 
     hideTooltip() {
+        this.hoveredParticle = null;
+        this.container.style.cursor = '';
         if (this.tooltip) {
             this.tooltip.classList.add('hidden');
             this.tooltip.classList.remove('visible');
@@ -244,28 +309,59 @@ export class Manifold3D {
         this.renderer.setSize(width, height);
     }
 
+    /**
+     * Project MFCCs into manifold space
+     */
+    project(mfccs) {
+        const coords = this.pca.transform(mfccs, 3);
+        for (let i = 0; i < 3; i++) {
+            coords[i] *= this.projectionScale;
+        }
+        return coords;
+    }
+
     /**
      * Add a new particle from MFCC data
+     * @param {Float32Array} mfccs - MFCC vector
+     * @param {number} centroid - Spectral centroid in Hz
+     * @param {number} spread - Spectral spread in Hz
+     * @param {number} amplitude - RMS amplitude
+     * @param {number} time - Media time of the frame in seconds
+     * @param {number} [series=0] - Comparison series (0 = A, 1 = B)
      */
-    addParticle(mfccs, centroid, spread = 0, amplitude = 0) {
+    addParticle(mfccs, centroid, spread = 0, amplitude = 0, time = 0, series = 0) {
+        // Update the running covariance and refit periodically
+        this.pca.partialFit(mfccs);
+        this.samplesSinceFit++;
+
+        const needsFirstFit = !this.pca.fitted && this.pca.count >= this.minFitSamples;
+        const needsRefit = this.autoRefit && this.pca.fitted && this.samplesSinceFit >= this.refitInterval;
+        if (needsFirstFit || needsRefit) {
+            this.refit();
+        }
+
         // Project MFCCs to 3D using PCA
-        const coords = this.pca.transform(mfccs, 3);
+        const coords = this.project(mfccs);
 
         const idx = this.particleIndex * 3;
-        const currentTime = this.particleData.length * 0.05;
 
         // Store particle metadata for tooltip
         this.particleData[this.particleIndex] = {
             centroid: centroid,
             spread: spread || centroid * 0.3,
-            amplitude: amplitude || Math.random() * 0.5,
-            time: currentTime,
-            frequency: centroid
+            amplitude: amplitude,
+            time: time,
+            frequency: centroid,
+            series: series,
+            mfccs: Float32Array.from(mfccs)
         };
+        this.particleCount++;
 
         // Store previous position for line
-        if (this.particleIndex > 0) {
-            const prevIdx = ((this.particleIndex - 1) * 3);
+        const prev = this.lastParticle[series];
+        this.lastParticle[series] = this.particleIndex;
+        if (prev >= 0) {
+            const prevIdx = prev * 3;
             const lineIdx = this.lineIndex * 6;
 
             // Previous point
@@ -291,8 +387,10 @@ export class Manifold3D {
         const normalizedCentroid = Math.min(1, centroid / 15000);
         const color = new THREE.Color();
 
-        // Map frequency to rainbow: low freq = red/purple, high freq = yellow/green
-        if (normalizedCentroid < 0.5) {
+        if (this.compareMode) {
+            color.set(seriesColor(series, normalizedCentroid * 2));
+        } else if (normalizedCentroid < 0.5) {
+            // Map frequency to rainbow: low freq = red/purple, high freq = yellow/green
             // Red -> Magenta -> Purple -> Blue
             const hue = (1 - normalizedCentroid * 2) * 0.1 + normalizedCentroid * 2 * 0.85;
             color.setHSL(hue, 0.9, 0.55);
@@ -323,6 +421,83 @@ export class Manifold3D {
         this.updateGlow();
     }
 
+    /**
+     * Recompute principal components and re-project every stored particle
+     */
+    refit() {
+        this.pca.refit();
+        this.samplesSinceFit = 0;
+        this.reproject();
+        this.updateVarianceLabel();
+    }
+
+    reproject() {
+        const count = Math.min(this.particleCount, this.maxParticles);
+        if (count === 0) return;
+
+        // Oldest particle first; once the ring has wrapped it sits at particleIndex
+        const oldest = this.particleCount > this.maxParticles ? this.particleIndex : 0;
+
+        for (let n = 0; n < count; n++) {
+            const i = (oldest + n) % this.maxParticles;
+            const data = this.particleData[i];
+            if (!data) continue;
+
+            const coords = this.project(data.mfccs);
+            this.positions[i * 3] = coords[0];
+            this.positions[i * 3 + 1] = coords[1];
+            this.positions[i * 3 + 2] = coords[2];
+        }
+
+        // Rebuild the connecting segments in chronological order, per series
+        this.linePositions.fill(0);
+        const last = [-1, -1];
+        let segments = 0;
+        for (let n = 0; n < count; n++) {
+            const i = (oldest + n) % this.maxParticles;
+            const series = this.particleData[i] ? this.particleData[i].series : 0;
+            const prev = last[series];
+            last[series] = i;
+            if (prev < 0) continue;
+
+            const lineIdx = (segments % (this.maxParticles - 1)) * 6;
+            this.linePositions[lineIdx] = this.positions[prev * 3];
+            this.linePositions[lineIdx + 1] = this.positions[prev * 3 + 1];
+            this.linePositions[lineIdx + 2] = this.positions[prev * 3 + 2];
+            this.linePositions[lineIdx + 3] = this.positions[i * 3];
+            this.linePositions[lineIdx + 4] = this.positions[i * 3 + 1];
+            this.linePositions[lineIdx + 5] = this.positions[i * 3 + 2];
+            segments++;
+        }
+        this.lineIndex = segments % (this.maxParticles - 1);
+
+        this.particleGeometry.attributes.position.needsUpdate = true;
+        this.lineGeometry.attributes.position.needsUpdate = true;
+        this.updateGlow();
+    }
+
+    /**
+     * Explained-variance ratio for each displayed axis
+     * @returns {Float32Array|null}
+     */
+    getExplainedVariance() {
+        return this.pca.getExplainedVarianceRatio();
+    }
+
+    updateVarianceLabel() {
+        if (!this.varianceLabel) return;
+
+        const ratios = this.getExplainedVariance();
+        if (!ratios) {
+            this.varianceLabel.textContent = '';
+            return;
+        }
+
+        this.varianceLabel.textContent = Array.from(ratios)
+            .map((ratio, i) => `PC${i + 1} ${(ratio * 100).toFixed(0)}%`)
+            .join(' · ');
+    }
+
     updateGlow() {
         // Average recent positions to find centroid
         let avgX = 0, avgY = 0, avgZ = 0;
@@ -349,7 +524,81 @@ export class Manifold3D {
         // Camera rotates around origin (0,0,0)
     }
 
+    /**
+     * Flash the centroid glow on a beat
+     * @param {number} [strength=1] - Pulse intensity 0-1 (e.g. tempo confidence)
+     */
+    pulse(strength = 1) {
+        this.beatPulse = 1;
+        this.pulseStrength = 0.4 + Math.min(1, Math.max(0, strength)) * 0.6;
+    }
+
+    updatePulse() {
+        if (this.beatPulse <= 0) return;
+
+        const amount = this.beatPulse * this.pulseStrength;
+        this.glowSphere.scale.setScalar(1 + amount * 1.5);
+        this.glowSphere.material.opacity = 0.4 + amount * 0.5;
+        this.outerGlow.scale.setScalar(1 + amount * 2.5);
+        this.outerGlow.material.opacity = 0.15 + amount * 0.25;
+
+        this.beatPulse *= 0.88;
+        if (this.beatPulse < 0.01) {
+            this.beatPulse = 0;
+            this.glowSphere.scale.setScalar(1);
+            this.glowSphere.material.opacity = 0.4;
+            this.outerGlow.scale.setScalar(1);
+            this.outerGlow.material.opacity = 0.15;
+        }
+    }
+
+    /**
+     * Current particle cloud for export; consecutive particles of a series are
+     * joined, as drawn by the connecting lines
+     * @returns {Object} PointCloud, see PointCloudExport
+     */
+    getPointCloud() {
+        return collectPointCloud({
+            name: 'manifold',
+            positions: this.positions,
+            colors: this.colors,
+            sizes: this.sizes,
+            count: Math.min(this.particleCount, this.maxParticles),
+            oldest: this.particleCount > this.maxParticles ? this.particleIndex : 0,
+            timeAt: i => this.particleData[i].time,
+            seriesAt: i => this.particleData[i].series
+        });
+    }
+
+    /**
+     * Current camera position and orbit target
+     * @returns {{position: number[], target: number[]}}
+     */
+    getCameraPose() {
+        return getCameraPose(this.camera, this.controls);
+    }
+
+    /**
+     * Restore a pose from getCameraPose()
+     * @param {{position: number[], target: number[]}} pose
+     */
+    setCameraPose(pose) {
+        setCameraPose(this.camera, this.controls, pose);
+    }
+
+    get historyLength() {
+        return this.maxParticles;
+    }
+
+    onFrame(features, time, { series, sample }) {
+        if (series === 0 && features.beat) this.pulse(features.tempoConfidence);
+        if (sample) {
+            this.addParticle(features.mfccs, features.spectralCentroid, features.spectralSpread, features.rms, time, series);
+        }
+    }
+
     render() {
+        this.updatePulse();
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
     }
@@ -361,7 +610,14 @@ export class Manifold3D {
         this.linePositions.fill(0);
         this.particleIndex = 0;
         this.lineIndex = 0;
+        this.lastParticle = [-1, -1];
         this.particleData = [];
+        this.particleCount = 0;
+        this.hideTooltip();
+
+        this.pca.reset();
+        this.samplesSinceFit = 0;
+        this.updateVarianceLabel();
 
         this.particleGeometry.attributes.position.needsUpdate = true;
         this.particleGeometry.attributes.color.needsUpdate = true;
@@ -369,6 +625,20 @@ export class Manifold3D {
         this.lineGeometry.attributes.position.needsUpdate = true;
     }
 
+    /**
+     * Free the renderer, GPU buffers, orbit controls and hover/click listeners
+     */
+    dispose() {
+        if (!this.renderer) return;
+        this.listeners.abort();
+        this.hideTooltip();
+        this.controls.dispose();
+        disposeObject(this.scene);
+        disposeRenderer(this.renderer);
+        this.renderer = null;
+        this.controls = null;
+    }
+
     // Toggle methods for settings
     toggleGlow(visible) {
         if (this.glowSphere) this.glowSphere.visible = visible;
@@ -379,6 +649,17 @@ export class Manifold3D {
         if (this.lines) this.lines.visible = visible;
     }
 
+    /**
+     * Switch between centroid rainbow coloring and A/B series families
+     */
+    setCompareMode(enabled) {
+        this.compareMode = enabled;
+    }
+
+    toggleAutoRefit(enabled) {
+        this.autoRefit = enabled;
+    }
+
     toggleAutoRotate(enabled) {
         if (this.controls) this.controls.autoRotate = enabled;
     }
@@ -406,4 +687,34 @@ export class Manifold3D {
             this.particles.material.needsUpdate = true;
         }
     }
+
+    getSettingsSchema() {
+        return [
+            { key: 'glow', label: 'Centroid Glow', type: 'toggle', default: true, apply: (value) => this.toggleGlow(value) },
+            { key: 'lines', label: 'Connecting Lines', type: 'toggle', default: true, apply: (value) => this.toggleLines(value) },
+            { key: 'refit', label: 'Adaptive PCA', type: 'toggle', default: true, apply: (value) => this.toggleAutoRefit(value) },
+            { key: 'rotate', label: 'Auto Rotate', type: 'toggle', default: true, apply: (value) => this.toggleAutoRotate(value) },
+            { key: 'grid', label: 'Show Grid', type: 'toggle', default: true, apply: (value) => this.toggleGrid(value) },
+            { key: 'axes', label: 'Show Axes', type: 'toggle', default: true, apply: (value) => this.toggleAxes(value) },
+            {
+                key: 'particleSize',
+                label: 'Particle Size',
+                type: 'range',
+                default: 0.15,
+                min: 0.05,
+                max: 0.5,
+                step: 0.05,
+                apply: (value) => this.setParticleSize(value)
+            }
+        ];
+    }
+}
+
+/**
+ * Format seconds as m:ss.ss
+ */
+function formatTimestamp(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds - mins * 60;
+    return `${mins}:${secs.toFixed(2).padStart(5, '0')}`;
 }
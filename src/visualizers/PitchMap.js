@@ -1,57 +1,291 @@
 /**
  * PitchMap - Centroid + F₀ vs Time visualization
+ *
+ * In note mode the frequency axis is logarithmic, with a piano-key gutter,
+ * note-name gridlines and a cents readout of the current F₀.
  */
-export class PitchMap {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+import { AxisMapping } from '../utils/AxisMapping.js';
+import { PlotView } from '../utils/PlotView.js';
+import { frequencyToMidi, midiToFrequency, nearestNote, noteName, parseNoteName } from '../audio/Chroma.js';
+import { CanvasVisualizer } from './Visualizer.js';
+
+// Fixed ranges: the whole centroid range in Hz mode, C2-C6 (singing voice) in note mode
+const FIXED_RANGES = {
+    linear: [0, 5000],
+    notes: [65.41, 1046.5]
+};
+
+// Sharps and flats, by pitch class
+const BLACK_KEYS = [false, true, false, true, false, false, true, false, true, false, true, false];
+
+export class PitchMap extends CanvasVisualizer {
+    constructor() {
+        super();
 
         // Data buffers (rolling window)
         this.bufferSize = 300;
         this.centroidBuffer = new Array(this.bufferSize).fill(0);
         this.pitchBuffer = new Array(this.bufferSize).fill(0);
         this.gapBuffer = new Array(this.bufferSize).fill(0);
+        this.beatBuffer = new Array(this.bufferSize).fill(0);
         this.index = 0;
 
-        // Ranges
-        this.freqRange = { min: 0, max: 5000 }; // Hz
+        // Beat marked since the last data point, and the current tempo estimate
+        this.pendingBeat = false;
+        this.tempo = 0;
+        this.tempoConfidence = 0;
+
+        // Frequency axis: fixed range, or auto-ranged to the buffered centroid and F0
+        this.scale = 'linear';
+        this.frequencyAxis = this.createAxis(true);
+
+        // Musical pitch: reference A4, optional target note (MIDI) and its in-tune band
+        this.tuning = 440;
+        this.targetNote = null;
+        this.tolerance = 25; // cents
+
+        // F₀ search range of the pitch tracker, announced with 'pitchrange' events
+        this.pitchRange = [50, 1000];
 
         // Styling
         this.padding = { top: 30, right: 20, bottom: 40, left: 60 };
+
+        // Wheel zoom, drag pan and double-click reset
+        this.view = new PlotView();
+        this.detachView = null;
+    }
+
+    mount(canvas) {
+        super.mount(canvas);
+        this.detachView = this.view.attach(canvas, () => this.getPlotRect());
+    }
+
+    getPlotRect() {
+        return {
+            left: this.padding.left,
+            top: this.padding.top,
+            width: this.width - this.padding.left - this.padding.right,
+            height: this.height - this.padding.top - this.padding.bottom
+        };
+    }
+
+    createAxis(auto) {
+        const notes = this.scale === 'notes';
+        return new AxisMapping(
+            { name: 'frequency', label: notes ? 'Pitch' : 'Frequency', range: FIXED_RANGES[this.scale], unit: 'Hz' },
+            { auto, scale: notes ? 'log' : 'linear' }
+        );
+    }
+
+    /**
+     * Follow the buffered data (robust percentiles) or keep the fixed range
+     * @param {boolean} enabled
+     */
+    setAutoRange(enabled) {
+        this.frequencyAxis.auto = enabled;
+        this.frequencyAxis.resetObserved();
+    }
+
+    /**
+     * Switch between a linear Hz axis and a log axis labelled with notes
+     * @param {string} scale - 'linear' or 'notes'
+     */
+    setScale(scale) {
+        this.scale = scale === 'notes' ? 'notes' : 'linear';
+        this.frequencyAxis = this.createAxis(this.frequencyAxis.auto);
+        this.view.reset();
     }
 
-    resize() {
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width * window.devicePixelRatio;
-        this.canvas.height = rect.height * window.devicePixelRatio;
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
-        this.width = rect.width;
-        this.height = rect.height;
+    /**
+     * @param {number} frequency - Reference A4 in Hz
+     */
+    setTuning(frequency) {
+        if (frequency > 0) this.tuning = frequency;
+    }
+
+    /**
+     * Change the F₀ range the pitch tracker searches; the app applies it to the
+     * analyzers through a 'pitchrange' event
+     * @param {number} minFrequency - Lowest F₀ in Hz
+     * @param {number} maxFrequency - Highest F₀ in Hz
+     * @returns {boolean} False when the range is empty
+     */
+    setPitchRange(minFrequency, maxFrequency) {
+        if (!(minFrequency > 0 && maxFrequency > minFrequency)) return false;
+
+        this.pitchRange = [minFrequency, maxFrequency];
+        this.dispatchEvent(new CustomEvent('pitchrange', { detail: { minFrequency, maxFrequency } }));
+        return true;
+    }
+
+    /**
+     * Show a band around a target note and measure F₀ against it
+     * @param {number|null} midi - Target MIDI note, or null for none
+     * @param {number} [tolerance] - Half-width of the in-tune band in cents
+     */
+    setTarget(midi, tolerance = this.tolerance) {
+        this.targetNote = midi;
+        this.tolerance = tolerance;
+    }
+
+    updateAutoRange() {
+        const axis = this.frequencyAxis;
+        if (!axis.auto) return;
+
+        // Note mode follows the voice: F₀ only, unless nothing was voiced
+        const pitches = this.pitchBuffer.filter(value => value > 0);
+        const values = this.scale === 'notes' && pitches.length > 0
+            ? pitches
+            : pitches.concat(this.centroidBuffer.filter(value => value > 0));
+        axis.fitTo(values);
+
+        // Keep at least an octave on screen so notes stay readable
+        if (this.scale === 'notes' && axis.observedMax > axis.observedMin && axis.observedMax < axis.observedMin * 2) {
+            const center = Math.sqrt(axis.observedMin * axis.observedMax);
+            axis.observedMin = center / Math.SQRT2;
+            axis.observedMax = center * Math.SQRT2;
+        }
+    }
+
+    /**
+     * Most recent F₀ (0 when the last frame was unvoiced)
+     */
+    currentPitch() {
+        return this.pitchBuffer[(this.index - 1 + this.bufferSize) % this.bufferSize];
     }
 
     /**
      * Add new data point
+     * @param {number} centroid - Spectral centroid in Hz
+     * @param {number} pitch - Detected F0 in Hz
+     * @param {boolean} [voiced] - Whether the frame is voiced; unvoiced frames are drawn as gaps
      */
-    addData(centroid, pitch) {
+    addData(centroid, pitch, voiced = pitch > 0) {
+        const f0 = voiced ? pitch : 0;
         this.centroidBuffer[this.index] = centroid;
-        this.pitchBuffer[this.index] = pitch;
-        this.gapBuffer[this.index] = Math.abs(centroid - pitch);
+        this.pitchBuffer[this.index] = f0;
+        this.gapBuffer[this.index] = f0 > 0 ? Math.abs(centroid - f0) : 0;
+        this.beatBuffer[this.index] = this.pendingBeat ? 1 : 0;
+        this.pendingBeat = false;
         this.index = (this.index + 1) % this.bufferSize;
     }
 
+    /**
+     * Mark a beat at the next data point
+     */
+    addBeat() {
+        this.pendingBeat = true;
+    }
+
+    /**
+     * Update the tempo readout
+     * @param {number} bpm - Estimated tempo (0 if unknown)
+     * @param {number} confidence - Estimate confidence 0-1
+     */
+    setTempo(bpm, confidence) {
+        this.tempo = bpm;
+        this.tempoConfidence = confidence;
+    }
+
+    get historyLength() {
+        return this.bufferSize;
+    }
+
+    onFrame(features, time, { series, sample }) {
+        if (series !== 0) return;
+        if (features.beat) this.addBeat();
+        if (sample) {
+            this.addData(features.spectralCentroid, features.pitch, features.voiced);
+            this.setTempo(features.tempo, features.tempoConfidence);
+        }
+    }
+
+    getSettingsSchema() {
+        return [
+            {
+                key: 'scale',
+                label: 'Frequency axis',
+                type: 'select',
+                default: 'linear',
+                options: [{ value: 'linear', label: 'HZ' }, { value: 'notes', label: 'NOTES' }],
+                apply: (value) => this.setScale(value)
+            },
+            {
+                key: 'range',
+                label: 'Frequency range',
+                type: 'select',
+                default: 'auto',
+                options: [{ value: 'auto', label: 'AUTO RANGE' }, { value: 'fixed', label: 'FIXED' }],
+                apply: (value) => this.setAutoRange(value === 'auto')
+            },
+            {
+                key: 'tuning',
+                label: 'A4 (Hz)',
+                type: 'number',
+                default: 440,
+                min: 400,
+                max: 480,
+                step: 0.1,
+                apply: (value) => this.setTuning(value)
+            },
+            {
+                key: 'target',
+                label: 'Target note',
+                type: 'text',
+                default: '',
+                // Note names such as A4 or Bb3; empty for no target
+                apply: (value) => {
+                    const midi = parseNoteName(value);
+                    this.setTarget(midi);
+                    return midi !== null || value.trim() === '';
+                }
+            },
+            {
+                key: 'tolerance',
+                label: 'In tune (±¢)',
+                type: 'number',
+                default: 25,
+                min: 1,
+                max: 50,
+                step: 1,
+                apply: (value) => this.setTarget(this.targetNote, value || 25)
+            },
+            {
+                key: 'pitchMin',
+                label: 'Min F₀ (Hz)',
+                type: 'number',
+                default: 50,
+                min: 40,
+                max: 1000,
+                step: 1,
+                apply: (value) => this.setPitchRange(value, this.pitchRange[1])
+            },
+            {
+                key: 'pitchMax',
+                label: 'Max F₀ (Hz)',
+                type: 'number',
+                default: 1000,
+                min: 100,
+                max: 4000,
+                step: 1,
+                apply: (value) => this.setPitchRange(this.pitchRange[0], value)
+            }
+        ];
+    }
+
     mapY(value) {
-        const range = this.freqRange.max - this.freqRange.min;
         const plotHeight = this.height - this.padding.top - this.padding.bottom;
-        return this.height - this.padding.bottom - ((value - this.freqRange.min) / range) * plotHeight;
+        const t = this.view.toViewY(this.frequencyAxis.normalize(value));
+        return this.height - this.padding.bottom - t * plotHeight;
     }
 
     mapX(bufferIndex) {
         const plotWidth = this.width - this.padding.left - this.padding.right;
-        return this.padding.left + (bufferIndex / this.bufferSize) * plotWidth;
+        return this.padding.left + this.view.toViewX(bufferIndex / this.bufferSize) * plotWidth;
     }
 
     /**
-     * Draw a line from buffer data
+     * Draw a line from buffer data, breaking it wherever the value is 0
      */
     drawLine(buffer, color, lineWidth = 1.5) {
         const ctx = this.ctx;
@@ -66,7 +300,7 @@ export class PitchMap {
 
             if (value > 0) {
                 const x = this.mapX(i);
-                const y = this.mapY(Math.min(value, this.freqRange.max));
+                const y = this.mapY(value);
 
                 if (!started) {
                     ctx.moveTo(x, y);
@@ -74,12 +308,41 @@ export class PitchMap {
                 } else {
                     ctx.lineTo(x, y);
                 }
+            } else {
+                started = false;
             }
         }
 
         ctx.stroke();
     }
 
+    /**
+     * Fill the area between centroid and F0 for one contiguous voiced run
+     */
+    fillGap(start, end) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+
+        for (let i = start; i <= end; i++) {
+            const bufferIdx = (this.index + i) % this.bufferSize;
+            const y = this.mapY(this.centroidBuffer[bufferIdx]);
+            if (i === start) {
+                ctx.moveTo(this.mapX(i), y);
+            } else {
+                ctx.lineTo(this.mapX(i), y);
+            }
+        }
+
+        for (let i = end; i >= start; i--) {
+            const bufferIdx = (this.index + i) % this.bufferSize;
+            const y = this.mapY(this.pitchBuffer[bufferIdx]);
+            ctx.lineTo(this.mapX(i), y);
+        }
+
+        ctx.closePath();
+        ctx.fill();
+    }
+
     render() {
         const ctx = this.ctx;
         const w = this.width;
@@ -89,61 +352,74 @@ export class PitchMap {
         ctx.fillStyle = 'rgba(0, 30, 20, 0.3)';
         ctx.fillRect(0, 0, w, h);
 
+        // Ticks follow the visible frequency range
+        this.updateAutoRange();
+        const axis = this.frequencyAxis;
+        const visible = { min: axis.denormalize(this.view.y0), max: axis.denormalize(this.view.y1) };
+        const notes = this.scale === 'notes';
+        const ticks = notes ? [] : axis.ticks(5, visible);
+
+        // Grid, beats and lines stay inside the plot when zoomed
+        const plot = this.getPlotRect();
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.width, plot.height);
+        ctx.clip();
+
         // Draw grid
         ctx.strokeStyle = 'rgba(0, 255, 128, 0.1)';
         ctx.lineWidth = 0.5;
 
-        const plotHeight = h - this.padding.top - this.padding.bottom;
-        const plotWidth = w - this.padding.left - this.padding.right;
-
-        // Horizontal grid lines
-        for (let i = 0; i <= 5; i++) {
-            const y = this.padding.top + (i / 5) * plotHeight;
+        // Horizontal grid lines (one per note in note mode)
+        if (notes) {
+            this.drawNoteGrid(visible);
+        }
+        for (const tick of ticks) {
+            const y = this.mapY(tick);
             ctx.beginPath();
             ctx.moveTo(this.padding.left, y);
             ctx.lineTo(w - this.padding.right, y);
             ctx.stroke();
         }
 
-        // Draw gap area (filled)
-        ctx.fillStyle = 'rgba(255, 100, 100, 0.15)';
-        ctx.beginPath();
+        if (this.targetNote !== null) {
+            this.drawTargetBand();
+        }
 
+        // Draw beat markers
+        ctx.strokeStyle = 'rgba(255, 220, 100, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
         for (let i = 0; i < this.bufferSize; i++) {
-            const bufferIdx = (this.index + i) % this.bufferSize;
-            const centroid = this.centroidBuffer[bufferIdx];
-            const pitch = this.pitchBuffer[bufferIdx];
-
-            if (centroid > 0 && pitch > 0) {
+            if (this.beatBuffer[(this.index + i) % this.bufferSize]) {
                 const x = this.mapX(i);
-                const y1 = this.mapY(Math.min(centroid, this.freqRange.max));
-                const y2 = this.mapY(Math.min(pitch, this.freqRange.max));
-
-                if (i === 0) {
-                    ctx.moveTo(x, y1);
-                } else {
-                    ctx.lineTo(x, y1);
-                }
+                ctx.moveTo(x, this.padding.top);
+                ctx.lineTo(x, h - this.padding.bottom);
             }
         }
+        ctx.stroke();
 
-        for (let i = this.bufferSize - 1; i >= 0; i--) {
-            const bufferIdx = (this.index + i) % this.bufferSize;
-            const pitch = this.pitchBuffer[bufferIdx];
+        // Draw gap area (filled), one polygon per voiced run
+        ctx.fillStyle = 'rgba(255, 100, 100, 0.15)';
+        let runStart = -1;
 
-            if (pitch > 0) {
-                const x = this.mapX(i);
-                const y = this.mapY(Math.min(pitch, this.freqRange.max));
-                ctx.lineTo(x, y);
+        for (let i = 0; i <= this.bufferSize; i++) {
+            const bufferIdx = (this.index + i) % this.bufferSize;
+            const voiced = i < this.bufferSize &&
+                this.centroidBuffer[bufferIdx] > 0 && this.pitchBuffer[bufferIdx] > 0;
+
+            if (voiced && runStart === -1) {
+                runStart = i;
+            } else if (!voiced && runStart !== -1) {
+                this.fillGap(runStart, i - 1);
+                runStart = -1;
             }
         }
 
-        ctx.closePath();
-        ctx.fill();
-
         // Draw lines
         this.drawLine(this.centroidBuffer, '#00FFFF', 2); // Cyan - Centroid
         this.drawLine(this.pitchBuffer, '#00FF88', 1.5);  // Green - Pitch
+        ctx.restore();
 
         // Draw axes
         ctx.strokeStyle = 'rgba(0, 255, 128, 0.5)';
@@ -171,7 +447,7 @@ export class PitchMap {
         ctx.save();
         ctx.translate(12, h / 2);
         ctx.rotate(-Math.PI / 2);
-        ctx.fillText('FREQUENCY (Hz)', 0, 0);
+        ctx.fillText(notes ? 'PITCH (NOTE)' : axis.title, 0, 0);
         ctx.restore();
 
         // Y axis ticks
@@ -179,16 +455,166 @@ export class PitchMap {
         ctx.textAlign = 'right';
         ctx.fillStyle = 'rgba(0, 255, 128, 0.6)';
 
-        for (let i = 0; i <= 5; i++) {
-            const freq = this.freqRange.max - (i / 5) * this.freqRange.max;
-            const y = this.padding.top + (i / 5) * plotHeight;
-            ctx.fillText(`${freq >= 1000 ? (freq / 1000).toFixed(1) + 'k' : freq}`, this.padding.left - 8, y + 4);
+        for (const tick of ticks) {
+            ctx.fillText(axis.formatTick(tick), this.padding.left - 8, this.mapY(tick) + 4);
+        }
+        if (notes) {
+            this.drawKeyboard(visible);
+        }
+
+        if (this.view.isZoomed) {
+            ctx.textAlign = 'left';
+            ctx.fillStyle = 'rgba(0, 255, 128, 0.6)';
+            ctx.fillText('DOUBLE-CLICK TO RESET VIEW', this.padding.left, this.padding.top - 10);
         }
 
+        this.drawPitchReadout();
+
         // Legend
         this.drawLegend();
     }
 
+    /**
+     * Visible MIDI note range and the height of one semitone in pixels
+     */
+    noteRange(visible) {
+        const low = frequencyToMidi(visible.min, this.tuning);
+        const high = frequencyToMidi(visible.max, this.tuning);
+        const plotHeight = this.height - this.padding.top - this.padding.bottom;
+        return { low, high, semitone: plotHeight / Math.max(high - low, 1e-6) };
+    }
+
+    noteY(midi) {
+        return this.mapY(midiToFrequency(midi, this.tuning));
+    }
+
+    /**
+     * Gridline at every equal-tempered note: C strongest, sharps only when there is room
+     */
+    drawNoteGrid(visible) {
+        const ctx = this.ctx;
+        const { low, high, semitone } = this.noteRange(visible);
+
+        for (let midi = Math.ceil(low); midi <= Math.floor(high); midi++) {
+            const pitchClass = ((midi % 12) + 12) % 12;
+            if (BLACK_KEYS[pitchClass] && semitone < 6) continue;
+
+            const y = this.noteY(midi);
+            ctx.strokeStyle = pitchClass === 0 ? 'rgba(0, 255, 128, 0.3)'
+                : BLACK_KEYS[pitchClass] ? 'rgba(0, 255, 128, 0.05)' : 'rgba(0, 255, 128, 0.12)';
+            ctx.beginPath();
+            ctx.moveTo(this.padding.left, y);
+            ctx.lineTo(this.width - this.padding.right, y);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Band of +/- tolerance cents around the target note, with its center line
+     */
+    drawTargetBand() {
+        const ctx = this.ctx;
+        const top = this.noteY(this.targetNote + this.tolerance / 100);
+        const bottom = this.noteY(this.targetNote - this.tolerance / 100);
+
+        ctx.fillStyle = 'rgba(255, 209, 102, 0.12)';
+        ctx.fillRect(this.padding.left, top, this.width - this.padding.left - this.padding.right, bottom - top);
+
+        const y = this.noteY(this.targetNote);
+        ctx.strokeStyle = 'rgba(255, 209, 102, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(this.padding.left, y);
+        ctx.lineTo(this.width - this.padding.right, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Piano-key gutter left of the plot, with note names. The key under the
+     * current F₀ is lit; the target note is marked in yellow.
+     */
+    drawKeyboard(visible) {
+        const ctx = this.ctx;
+        const { low, high, semitone } = this.noteRange(visible);
+        const plot = this.getPlotRect();
+        const keyWidth = 10;
+        const keyX = plot.left - keyWidth;
+
+        const pitch = this.currentPitch();
+        const current = pitch > 0 ? nearestNote(pitch, this.tuning).midi : null;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(keyX, plot.top, keyWidth, plot.height);
+        ctx.clip();
+
+        for (let midi = Math.floor(low); midi <= Math.ceil(high); midi++) {
+            const black = BLACK_KEYS[((midi % 12) + 12) % 12];
+            const top = this.noteY(midi + 0.5);
+            const bottom = this.noteY(midi - 0.5);
+
+            if (midi === current) {
+                ctx.fillStyle = '#00FF88';
+            } else if (midi === this.targetNote) {
+                ctx.fillStyle = '#FFD166';
+            } else {
+                ctx.fillStyle = black ? 'rgba(0, 20, 10, 0.9)' : 'rgba(220, 255, 235, 0.75)';
+            }
+            ctx.fillRect(keyX, top, keyWidth, bottom - top);
+
+            ctx.strokeStyle = 'rgba(0, 30, 20, 0.8)';
+            ctx.lineWidth = 0.5;
+            ctx.beginPath();
+            ctx.moveTo(keyX, bottom);
+            ctx.lineTo(plot.left, bottom);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        // Names: every natural note when there is room, otherwise only C
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'rgba(0, 255, 128, 0.6)';
+        for (let midi = Math.ceil(low); midi <= Math.floor(high); midi++) {
+            const pitchClass = ((midi % 12) + 12) % 12;
+            if (BLACK_KEYS[pitchClass] || (pitchClass !== 0 && semitone < 10)) continue;
+            ctx.fillText(noteName(midi), keyX - 4, this.noteY(midi) + 3);
+        }
+    }
+
+    /**
+     * Current F₀ as a note with its cents deviation, and its distance to the target note
+     */
+    drawPitchReadout() {
+        const ctx = this.ctx;
+        const x = this.padding.left + 8;
+        const y = this.padding.top + 14;
+        const pitch = this.currentPitch();
+
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        if (!(pitch > 0)) {
+            ctx.fillStyle = 'rgba(0, 255, 128, 0.4)';
+            ctx.fillText(this.targetNote !== null ? `— / TARGET ${noteName(this.targetNote)}` : '—', x, y);
+            return;
+        }
+
+        const note = nearestNote(pitch, this.tuning);
+        const deviation = this.targetNote !== null
+            ? (frequencyToMidi(pitch, this.tuning) - this.targetNote) * 100
+            : note.cents;
+        let text = `${note.name} ${formatCents(note.cents)}`;
+        if (this.targetNote !== null) {
+            text += `  TARGET ${noteName(this.targetNote)} ${formatCents(deviation)}`;
+        }
+
+        ctx.fillStyle = Math.abs(deviation) <= this.tolerance ? '#00FF88' : '#FFB347';
+        ctx.fillText(text, x, y);
+    }
+
     drawLegend() {
         const ctx = this.ctx;
         const legendX = this.width - 130;
@@ -211,12 +637,35 @@ export class PitchMap {
         ctx.fillRect(legendX, legendY + 25, 12, 8);
         ctx.fillStyle = '#FF6666';
         ctx.fillText('CENTROID-F₀ GAP', legendX + 18, legendY + 32);
+
+        // Beats and tempo
+        ctx.fillStyle = 'rgba(255, 220, 100, 0.8)';
+        ctx.fillRect(legendX + 5, legendY + 40, 1, 10);
+        const tempo = this.tempo > 0
+            ? `BEAT  ${this.tempo} BPM (${Math.round(this.tempoConfidence * 100)}%)`
+            : 'BEAT';
+        ctx.fillText(tempo, legendX + 18, legendY + 49);
     }
 
     clear() {
         this.centroidBuffer.fill(0);
         this.pitchBuffer.fill(0);
         this.gapBuffer.fill(0);
+        this.beatBuffer.fill(0);
         this.index = 0;
+        this.pendingBeat = false;
+        this.tempo = 0;
+        this.tempoConfidence = 0;
+        this.frequencyAxis.resetObserved();
+    }
+
+    dispose() {
+        if (this.detachView) this.detachView();
+        this.detachView = null;
     }
 }
+
+function formatCents(cents) {
+    const rounded = Math.round(cents);
+    return `${rounded > 0 ? '+' : ''}${rounded}¢`;
+}
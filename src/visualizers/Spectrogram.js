@@ -0,0 +1,327 @@
+/**
+ * Spectrogram - Scrolling spectrum with linear/log/mel frequency axis
+ */
+import { createColormapLUT } from '../utils/ColorScale.js';
+import { CanvasVisualizer } from './Visualizer.js';
+
+const freqToMel = (f) => 2595 * Math.log10(1 + f / 700);
+const melToFreq = (m) => 700 * (Math.pow(10, m / 2595) - 1);
+
+export class Spectrogram extends CanvasVisualizer {
+    constructor() {
+        super();
+
+        // Column history (rolling window); spectra are stored as 8-bit dB
+        this.numColumns = 300;
+        this.numRows = 256;
+        this.columns = new Array(this.numColumns).fill(null);
+        this.centroidBuffer = new Array(this.numColumns).fill(0);
+        this.pitchBuffer = new Array(this.numColumns).fill(0);
+        this.index = 0;
+        this.sampleRate = 44100;
+
+        // Display settings
+        this.scale = 'log'; // 'linear' | 'log' | 'mel'
+        this.colormap = 'magma';
+        this.lut = createColormapLUT(this.colormap);
+        this.freqRange = { min: 30, max: 16000 }; // Hz
+        this.dbRange = { min: -110, max: -20 };
+        this.showOverlay = true;
+
+        // Offscreen image, one pixel per column/row
+        this.image = document.createElement('canvas');
+        this.image.width = this.numColumns;
+        this.image.height = this.numRows;
+        this.imageCtx = this.image.getContext('2d');
+        this.imageData = this.imageCtx.createImageData(this.numColumns, this.numRows);
+        this.dirty = true;
+
+        // Row -> bin lookup, rebuilt when the scale or spectrum size changes
+        this.rowBins = null;
+        this.rowBinsKey = '';
+
+        // Styling
+        this.padding = { top: 20, right: 15, bottom: 30, left: 50 };
+    }
+
+    /**
+     * Add a spectrum column
+     * @param {Float32Array} spectrum - Linear magnitude spectrum
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} centroid - Spectral centroid in Hz (overlay)
+     * @param {number} pitch - Detected F0 in Hz, 0 when unvoiced (overlay)
+     */
+    addColumn(spectrum, sampleRate, centroid = 0, pitch = 0) {
+        const column = new Uint8Array(spectrum.length);
+        const dbSpan = this.dbRange.max - this.dbRange.min;
+
+        for (let i = 0; i < spectrum.length; i++) {
+            const db = spectrum[i] > 0 ? 20 * Math.log10(spectrum[i]) : this.dbRange.min;
+            column[i] = Math.max(0, Math.min(255, Math.round((db - this.dbRange.min) / dbSpan * 255)));
+        }
+
+        this.sampleRate = sampleRate;
+        this.columns[this.index] = column;
+        this.centroidBuffer[this.index] = centroid;
+        this.pitchBuffer[this.index] = pitch;
+        this.index = (this.index + 1) % this.numColumns;
+        this.dirty = true;
+    }
+
+    get historyLength() {
+        return this.numColumns;
+    }
+
+    onFrame(features, time, { series, sample, spectrum, sampleRate }) {
+        if (series !== 0 || !sample || !spectrum) return;
+        this.addColumn(spectrum, sampleRate, features.spectralCentroid, features.voiced ? features.pitch : 0);
+    }
+
+    /**
+     * Set the frequency axis scale
+     * @param {string} scale - 'linear', 'log' or 'mel'
+     */
+    setScale(scale) {
+        this.scale = scale;
+        this.dirty = true;
+    }
+
+    /**
+     * Set the colormap (see ColorScale.Colormaps)
+     * @param {string} name
+     */
+    setColormap(name) {
+        this.colormap = name;
+        this.lut = createColormapLUT(name);
+        this.dirty = true;
+    }
+
+    toggleOverlay(visible) {
+        this.showOverlay = visible;
+    }
+
+    getSettingsSchema() {
+        return [
+            {
+                key: 'scale',
+                label: 'Frequency scale',
+                type: 'select',
+                default: 'log',
+                options: [
+                    { value: 'linear', label: 'LINEAR' },
+                    { value: 'log', label: 'LOG' },
+                    { value: 'mel', label: 'MEL' }
+                ],
+                apply: (value) => this.setScale(value)
+            },
+            {
+                key: 'colormap',
+                label: 'Colormap',
+                type: 'select',
+                default: 'magma',
+                options: ['magma', 'viridis', 'inferno', 'spectral', 'grayscale']
+                    .map(name => ({ value: name, label: name.toUpperCase() })),
+                apply: (value) => this.setColormap(value)
+            }
+        ];
+    }
+
+    /**
+     * Frequency at a normalized axis position (0 = bottom, 1 = top)
+     */
+    freqAt(t) {
+        const { min, max } = this.getFreqRange();
+        if (this.scale === 'log') {
+            return min * Math.pow(max / min, t);
+        }
+        if (this.scale === 'mel') {
+            return melToFreq(freqToMel(min) + t * (freqToMel(max) - freqToMel(min)));
+        }
+        return min + t * (max - min);
+    }
+
+    /**
+     * Normalized axis position of a frequency (inverse of freqAt)
+     */
+    positionOf(freq) {
+        const { min, max } = this.getFreqRange();
+        const f = Math.min(max, Math.max(min, freq));
+        if (this.scale === 'log') {
+            return Math.log(f / min) / Math.log(max / min);
+        }
+        if (this.scale === 'mel') {
+            return (freqToMel(f) - freqToMel(min)) / (freqToMel(max) - freqToMel(min));
+        }
+        return (f - min) / (max - min);
+    }
+
+    getFreqRange() {
+        return {
+            min: this.freqRange.min,
+            max: Math.min(this.freqRange.max, this.sampleRate / 2)
+        };
+    }
+
+    /**
+     * Bin span [first, last] covered by each image row
+     * @private
+     */
+    getRowBins(binCount) {
+        const key = `${this.scale}:${binCount}:${this.sampleRate}`;
+        if (this.rowBins && this.rowBinsKey === key) return this.rowBins;
+
+        const freqPerBin = this.sampleRate / (binCount * 2);
+        const rowBins = new Int32Array(this.numRows * 2);
+
+        for (let r = 0; r < this.numRows; r++) {
+            const first = Math.floor(this.freqAt(r / this.numRows) / freqPerBin);
+            const last = Math.floor(this.freqAt((r + 1) / this.numRows) / freqPerBin);
+            rowBins[r * 2] = Math.min(binCount - 1, first);
+            rowBins[r * 2 + 1] = Math.min(binCount - 1, Math.max(first, last));
+        }
+
+        this.rowBins = rowBins;
+        this.rowBinsKey = key;
+        return rowBins;
+    }
+
+    /**
+     * Redraw the offscreen image from the stored columns
+     * @private
+     */
+    updateImage() {
+        const data = this.imageData.data;
+        data.fill(0);
+
+        for (let c = 0; c < this.numColumns; c++) {
+            const column = this.columns[(this.index + c) % this.numColumns];
+            if (!column) continue;
+
+            const rowBins = this.getRowBins(column.length);
+            for (let r = 0; r < this.numRows; r++) {
+                // Max over the bins a row covers, so narrow peaks survive downsampling
+                let value = 0;
+                for (let b = rowBins[r * 2]; b <= rowBins[r * 2 + 1]; b++) {
+                    if (column[b] > value) value = column[b];
+                }
+
+                const pixel = ((this.numRows - 1 - r) * this.numColumns + c) * 4;
+                data[pixel] = this.lut[value * 3];
+                data[pixel + 1] = this.lut[value * 3 + 1];
+                data[pixel + 2] = this.lut[value * 3 + 2];
+                data[pixel + 3] = 255;
+            }
+        }
+
+        this.imageCtx.putImageData(this.imageData, 0, 0);
+        this.dirty = false;
+    }
+
+    mapX(columnIndex) {
+        const plotWidth = this.width - this.padding.left - this.padding.right;
+        return this.padding.left + (columnIndex / this.numColumns) * plotWidth;
+    }
+
+    mapY(freq) {
+        const plotHeight = this.height - this.padding.top - this.padding.bottom;
+        return this.height - this.padding.bottom - this.positionOf(freq) * plotHeight;
+    }
+
+    /**
+     * Draw an overlay track, breaking it wherever the value is 0
+     */
+    drawTrack(buffer, color, lineWidth = 1.5) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+
+        let started = false;
+        for (let i = 0; i < this.numColumns; i++) {
+            const value = buffer[(this.index + i) % this.numColumns];
+            if (value > 0) {
+                const x = this.mapX(i + 0.5);
+                const y = this.mapY(value);
+                if (!started) {
+                    ctx.moveTo(x, y);
+                    started = true;
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            } else {
+                started = false;
+            }
+        }
+
+        ctx.stroke();
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const w = this.width;
+        const h = this.height;
+        const plotWidth = w - this.padding.left - this.padding.right;
+        const plotHeight = h - this.padding.top - this.padding.bottom;
+
+        // Clear
+        ctx.fillStyle = 'rgb(10, 10, 20)';
+        ctx.fillRect(0, 0, w, h);
+
+        if (this.dirty) this.updateImage();
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.image, this.padding.left, this.padding.top, plotWidth, plotHeight);
+        ctx.imageSmoothingEnabled = true;
+
+        // Overlay tracks
+        if (this.showOverlay) {
+            this.drawTrack(this.centroidBuffer, 'rgba(0, 255, 255, 0.8)', 1.5); // Cyan - Centroid
+            this.drawTrack(this.pitchBuffer, 'rgba(0, 255, 136, 0.9)', 1.5);  // Green - Pitch
+        }
+
+        // Axes
+        ctx.strokeStyle = 'rgba(255, 170, 100, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding.left, this.padding.top);
+        ctx.lineTo(this.padding.left, h - this.padding.bottom);
+        ctx.lineTo(w - this.padding.right, h - this.padding.bottom);
+        ctx.stroke();
+
+        // Frequency ticks
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'rgba(255, 170, 100, 0.7)';
+
+        const { min, max } = this.getFreqRange();
+        const ticks = this.scale === 'linear'
+            ? [0, 2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000]
+            : [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+        for (const freq of ticks) {
+            if (freq < min || freq > max) continue;
+            const y = this.mapY(freq);
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, this.padding.left - 6, y + 3);
+        }
+
+        // Labels
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#FFAA66';
+        ctx.fillText('TIME', w / 2, h - 8);
+
+        ctx.save();
+        ctx.translate(12, h / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(`FREQUENCY (${this.scale.toUpperCase()})`, 0, 0);
+        ctx.restore();
+    }
+
+    clear() {
+        this.columns.fill(null);
+        this.centroidBuffer.fill(0);
+        this.pitchBuffer.fill(0);
+        this.index = 0;
+        this.dirty = true;
+    }
+}
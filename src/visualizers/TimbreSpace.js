@@ -1,33 +1,76 @@
 /**
- * TimbreSpace - Spread vs Centroid vs Entropy 3D scatter
+ * TimbreSpace - 3D feature scatter (Centroid vs Spread vs Entropy by default)
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { getCameraPose, setCameraPose } from '../utils/CameraPose.js';
+import { seriesColor } from '../utils/ColorScale.js';
+import { collectPointCloud } from '../utils/PointCloudExport.js';
+import { AxisMapping } from '../utils/AxisMapping.js';
+import { createRenderer, disposeObject, disposeRenderer } from '../utils/ThreeResources.js';
+import { Visualizer } from './Visualizer.js';
 
-export class TimbreSpace {
-    constructor(container) {
-        this.container = container;
+// Edge length of the plotted cube
+const SPACE_SIZE = 8;
+
+export class TimbreSpace extends Visualizer {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.createRenderer] - Returns the WebGLRenderer (injectable for testing)
+     */
+    constructor(options = {}) {
+        super();
+        this.createRenderer = options.createRenderer || createRenderer;
 
         // Three.js setup
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
-            alpha: true
-        });
+        this.renderer = null;
 
         // Point data
         this.maxPoints = 800;
         this.positions = new Float32Array(this.maxPoints * 3);
         this.colors = new Float32Array(this.maxPoints * 3);
         this.sizes = new Float32Array(this.maxPoints);
+        this.times = new Float64Array(this.maxPoints);
         this.pointIndex = 0;
+        this.pointCount = 0;
+
+        // Source frames per slot, so points can be re-mapped when an axis changes
+        this.pointFeatures = new Array(this.maxPoints).fill(null);
+        this.pointSeries = new Uint8Array(this.maxPoints);
+
+        // Feature mappings. Color null = hue from the position; size follows RMS.
+        this.mappings = {
+            x: new AxisMapping({ name: 'spectralCentroid', label: 'Spectral Centroid', range: [0, 8000], unit: 'Hz' }),
+            y: new AxisMapping({ name: 'spectralSpread', label: 'Spectral Spread', range: [0, 4000], unit: 'Hz' }),
+            z: new AxisMapping({ name: 'spectralEntropy', label: 'Spectral Entropy', range: [0, 1] }),
+            color: null,
+            size: new AxisMapping({ name: 'rms', label: 'RMS Amplitude', range: [0, 1] })
+        };
+        this.optionalChannels = { color: 'POSITION', size: 'FIXED' };
+        this.axisLabels = {
+            x: document.getElementById('timbre-axis-x'),
+            y: document.getElementById('timbre-axis-y'),
+            z: document.getElementById('timbre-axis-z')
+        };
+
+        // A/B comparison: color points by series family
+        this.compareMode = false;
+    }
 
+    /**
+     * Create the renderer in the container and build the scene
+     */
+    mount(container) {
+        super.mount(container);
+        this.container = container;
         this.init();
     }
 
     init() {
         // Renderer setup
+        this.renderer = this.createRenderer();
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.setClearColor(0x001008, 0.3);
         this.container.appendChild(this.renderer.domElement);
@@ -67,6 +110,7 @@ export class TimbreSpace {
         // Add bounding box
         this.addBoundingBox();
 
+        this.updateAxisLabels();
         this.resize();
     }
 
@@ -149,43 +193,170 @@ export class TimbreSpace {
 
     /**
      * Add a new point
+     * @param {Object} features - Analyzer features
+     * @param {number} [time=0] - Media time of the frame in seconds
+     * @param {number} [series=0] - Comparison series (0 = A, 1 = B)
+     */
+    addPoint(features, time = 0, series = 0) {
+        const slot = this.pointIndex;
+        this.pointFeatures[slot] = features;
+        this.pointSeries[slot] = series;
+        this.times[slot] = time;
+
+        // Increment
+        this.pointIndex = (this.pointIndex + 1) % this.maxPoints;
+        this.pointCount++;
+
+        // A point outside an auto range moves every point
+        if (this.observe(features)) {
+            this.remap();
+        } else {
+            this.mapPoint(slot);
+            this.markDirty();
+        }
+    }
+
+    /**
+     * Widen auto-ranged mappings to include a frame
+     * @returns {boolean} Whether any range changed
      */
-    addPoint(centroid, spread, entropy, amplitude) {
-        const idx = this.pointIndex * 3;
-
-        // Map values to 3D space (0-8 range)
-        // X: Spectral Centroid (0-8000 Hz -> 0-8)
-        // Y: Spectral Spread (0-4000 Hz -> 0-8)
-        // Z: Spectral Entropy (0-1 -> 0-8)
-        const x = (centroid / 8000) * 8;
-        const y = (spread / 4000) * 8;
-        const z = entropy * 8;
-
-        this.positions[idx] = x;
-        this.positions[idx + 1] = y;
-        this.positions[idx + 2] = z;
-
-        // Color based on combined features
+    observe(features) {
+        let changed = false;
+        for (const mapping of Object.values(this.mappings)) {
+            if (!mapping || !mapping.auto) continue;
+            const { min, max } = mapping.getRange();
+            mapping.observe(mapping.read(features));
+            const range = mapping.getRange();
+            changed = changed || range.min !== min || range.max !== max;
+        }
+        return changed;
+    }
+
+    /**
+     * Write position, color and size of one slot from its features
+     */
+    mapPoint(slot) {
+        const features = this.pointFeatures[slot];
+        if (!features) return;
+
+        const idx = slot * 3;
+        const { x: xMap, y: yMap, z: zMap, color: colorMap, size: sizeMap } = this.mappings;
+        const nx = xMap.normalize(xMap.read(features));
+        const ny = yMap.normalize(yMap.read(features));
+        const nz = zMap.normalize(zMap.read(features));
+
+        this.positions[idx] = nx * SPACE_SIZE;
+        this.positions[idx + 1] = ny * SPACE_SIZE;
+        this.positions[idx + 2] = nz * SPACE_SIZE;
+
+        // Color from the mapped feature, or from the combined position by default
+        const amplitude = features.rms || 0;
+        const hue = colorMap
+            ? clamp01(colorMap.normalize(colorMap.read(features))) * 0.9
+            : nx * 0.3 + ny * 0.3 + nz * 0.3;
         const color = new THREE.Color();
-        const hue = (x / 8) * 0.3 + (y / 8) * 0.3 + (z / 8) * 0.3;
-        color.setHSL(hue, 0.8, 0.5 + amplitude * 0.3);
+        if (this.compareMode) {
+            color.set(seriesColor(this.pointSeries[slot], hue / 0.9, 50 + amplitude * 30));
+        } else {
+            color.setHSL(hue, 0.8, 0.5 + amplitude * 0.3);
+        }
 
         this.colors[idx] = color.r;
         this.colors[idx + 1] = color.g;
         this.colors[idx + 2] = color.b;
 
-        // Size based on amplitude
-        this.sizes[this.pointIndex] = 0.5 + amplitude * 1.5;
+        // Size (amplitude by default)
+        const size = sizeMap ? clamp01(sizeMap.normalize(sizeMap.read(features))) : 0.5;
+        this.sizes[slot] = 0.5 + size * 1.5;
+    }
 
-        // Increment
-        this.pointIndex = (this.pointIndex + 1) % this.maxPoints;
+    /**
+     * Re-map every stored point (after an axis or range change)
+     */
+    remap() {
+        for (let slot = 0; slot < this.maxPoints; slot++) {
+            this.mapPoint(slot);
+        }
+        this.markDirty();
+    }
 
-        // Mark for update
+    markDirty() {
         this.particleGeometry.attributes.position.needsUpdate = true;
         this.particleGeometry.attributes.color.needsUpdate = true;
         this.particleGeometry.attributes.size.needsUpdate = true;
     }
 
+    /**
+     * Replace the feature mapped to a channel
+     * @param {string} channel - 'x', 'y', 'z', 'color' or 'size'
+     * @param {AxisMapping|null} mapping - null restores the default color or a fixed size
+     */
+    setMapping(channel, mapping) {
+        this.mappings[channel] = mapping;
+        if (mapping && mapping.auto) {
+            mapping.resetObserved();
+            this.pointFeatures.forEach(features => features && mapping.observe(mapping.read(features)));
+        }
+        this.remap();
+        this.updateAxisLabels();
+    }
+
+    updateAxisLabels() {
+        for (const axis of ['x', 'y', 'z']) {
+            if (this.axisLabels[axis]) {
+                this.axisLabels[axis].textContent = `${axis.toUpperCase()}: ${this.mappings[axis].title}`;
+            }
+        }
+    }
+
+    /**
+     * Switch between feature hue coloring and A/B series families
+     */
+    setCompareMode(enabled) {
+        this.compareMode = enabled;
+        this.remap();
+    }
+
+    /**
+     * Current points for export (unconnected)
+     * @returns {Object} PointCloud, see PointCloudExport
+     */
+    getPointCloud() {
+        return collectPointCloud({
+            name: 'timbre-space',
+            positions: this.positions,
+            colors: this.colors,
+            sizes: this.sizes,
+            count: Math.min(this.pointCount, this.maxPoints),
+            oldest: this.pointCount > this.maxPoints ? this.pointIndex : 0,
+            timeAt: i => this.times[i]
+        });
+    }
+
+    /**
+     * Current camera position and orbit target
+     * @returns {{position: number[], target: number[]}}
+     */
+    getCameraPose() {
+        return getCameraPose(this.camera, this.controls);
+    }
+
+    /**
+     * Restore a pose from getCameraPose()
+     * @param {{position: number[], target: number[]}} pose
+     */
+    setCameraPose(pose) {
+        setCameraPose(this.camera, this.controls, pose);
+    }
+
+    get historyLength() {
+        return this.maxPoints;
+    }
+
+    onFrame(features, time, { series, sample }) {
+        if (sample) this.addPoint(features, time, series);
+    }
+
     render() {
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
@@ -195,10 +366,29 @@ export class TimbreSpace {
         this.positions.fill(0);
         this.colors.fill(0);
         this.sizes.fill(0);
+        this.times.fill(0);
+        this.pointFeatures.fill(null);
+        this.pointSeries.fill(0);
         this.pointIndex = 0;
+        this.pointCount = 0;
+        Object.values(this.mappings).forEach(mapping => mapping && mapping.resetObserved());
 
-        this.particleGeometry.attributes.position.needsUpdate = true;
-        this.particleGeometry.attributes.color.needsUpdate = true;
-        this.particleGeometry.attributes.size.needsUpdate = true;
+        this.markDirty();
+    }
+
+    /**
+     * Release the WebGL context, point and axis buffers and the orbit controls
+     */
+    dispose() {
+        if (!this.renderer) return;
+        this.controls.dispose();
+        disposeObject(this.scene);
+        disposeRenderer(this.renderer);
+        this.renderer = null;
+        this.controls = null;
     }
 }
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
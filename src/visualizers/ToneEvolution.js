@@ -3,35 +3,52 @@
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { getCameraPose, setCameraPose } from '../utils/CameraPose.js';
+import { collectPointCloud } from '../utils/PointCloudExport.js';
+import { createRenderer, disposeObject, disposeRenderer } from '../utils/ThreeResources.js';
+import { Visualizer } from './Visualizer.js';
 
-export class ToneEvolution {
-    constructor(container) {
-        this.container = container;
+export class ToneEvolution extends Visualizer {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.createRenderer] - Returns the WebGLRenderer (injectable for testing)
+     */
+    constructor(options = {}) {
+        super();
+        this.createRenderer = options.createRenderer || createRenderer;
 
         // Three.js setup
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
-            alpha: true
-        });
+        this.renderer = null;
 
         // Trail data
         this.maxPoints = 500;
         this.trailPositions = new Float32Array(this.maxPoints * 3);
         this.trailColors = new Float32Array(this.maxPoints * 3);
+        this.trailSizes = new Float32Array(this.maxPoints);
+        this.trailTimes = new Float64Array(this.maxPoints);
         this.pointIndex = 0;
+        this.pointCount = 0;
         this.time = 0;
 
         // Particle data for scatter points
         this.particles = [];
         this.maxParticles = 200;
+    }
 
+    /**
+     * Create the renderer in the container and build the scene
+     */
+    mount(container) {
+        super.mount(container);
+        this.container = container;
         this.init();
     }
 
     init() {
         // Renderer setup
+        this.renderer = this.createRenderer();
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.setClearColor(0x100010, 0.3);
         this.container.appendChild(this.renderer.domElement);
@@ -239,8 +256,9 @@ export class ToneEvolution {
 
     /**
      * Add a new point
+     * @param {number} [time=0] - Media time of the frame in seconds
      */
-    addPoint(centroid, tonality, amplitude) {
+    addPoint(centroid, tonality, amplitude, time = 0) {
         const idx = this.pointIndex * 3;
         const particleIdx = this.particleIndex * 3;
 
@@ -286,9 +304,12 @@ export class ToneEvolution {
         this.particleColors[particleIdx + 1] = color.g;
         this.particleColors[particleIdx + 2] = color.b;
         this.particleSizes[this.particleIndex] = 0.2 + amplitude * 0.4;
+        this.trailSizes[this.pointIndex] = this.particleSizes[this.particleIndex];
+        this.trailTimes[this.pointIndex] = time;
 
         // Increment
         this.pointIndex = (this.pointIndex + 1) % this.maxPoints;
+        this.pointCount++;
         this.particleIndex = (this.particleIndex + 1) % this.maxParticles;
         this.time += 0.08;
 
@@ -301,6 +322,49 @@ export class ToneEvolution {
         this.particleGeometry.attributes.size.needsUpdate = true;
     }
 
+    /**
+     * Current trail for export, consecutive points joined
+     * @returns {Object} PointCloud, see PointCloudExport
+     */
+    getPointCloud() {
+        return collectPointCloud({
+            name: 'tone-evolution',
+            positions: this.trailPositions,
+            colors: this.trailColors,
+            sizes: this.trailSizes,
+            count: Math.min(this.pointCount, this.maxPoints),
+            oldest: this.pointCount > this.maxPoints ? this.pointIndex : 0,
+            timeAt: i => this.trailTimes[i],
+            seriesAt: () => 0
+        });
+    }
+
+    /**
+     * Current camera position and orbit target
+     * @returns {{position: number[], target: number[]}}
+     */
+    getCameraPose() {
+        return getCameraPose(this.camera, this.controls);
+    }
+
+    /**
+     * Restore a pose from getCameraPose()
+     * @param {{position: number[], target: number[]}} pose
+     */
+    setCameraPose(pose) {
+        setCameraPose(this.camera, this.controls, pose);
+    }
+
+    get historyLength() {
+        return this.maxPoints;
+    }
+
+    onFrame(features, time, { series, sample }) {
+        if (series === 0 && sample) {
+            this.addPoint(features.spectralCentroid, features.tonality, features.rms, time);
+        }
+    }
+
     render() {
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
@@ -309,10 +373,13 @@ export class ToneEvolution {
     clear() {
         this.trailPositions.fill(0);
         this.trailColors.fill(0);
+        this.trailSizes.fill(0);
+        this.trailTimes.fill(0);
         this.particlePositions.fill(0);
         this.particleColors.fill(0);
         this.particleSizes.fill(0);
         this.pointIndex = 0;
+        this.pointCount = 0;
         this.particleIndex = 0;
         this.time = 0;
 
@@ -323,4 +390,16 @@ export class ToneEvolution {
         this.particleGeometry.attributes.color.needsUpdate = true;
         this.particleGeometry.attributes.size.needsUpdate = true;
     }
+
+    /**
+     * Release the WebGL context, the trail and grid buffers and the orbit controls
+     */
+    dispose() {
+        if (!this.renderer) return;
+        this.controls.dispose();
+        disposeObject(this.scene);
+        disposeRenderer(this.renderer);
+        this.renderer = null;
+        this.controls = null;
+    }
 }
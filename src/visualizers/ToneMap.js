@@ -1,41 +1,64 @@
 /**
- * ToneMap - Amplitude vs Spectral Centroid scatter plot
+ * ToneMap - Feature scatter plot (Amplitude vs Spectral Centroid, colored by flux, by default)
  */
-import { fluxColor } from '../utils/ColorScale.js';
-
-export class ToneMap {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+import { fluxColor, seriesColor, CompareSeries } from '../utils/ColorScale.js';
+import { AxisMapping } from '../utils/AxisMapping.js';
+import { PlotView } from '../utils/PlotView.js';
+import { CanvasVisualizer } from './Visualizer.js';
+
+export class ToneMap extends CanvasVisualizer {
+    constructor() {
+        super();
         this.points = [];
         this.maxPoints = 500;
 
-        // Axis ranges - matching reference screenshot
-        this.centroidRange = { min: 0, max: 15000 }; // 15 kHz max
-        this.amplitudeRange = { min: 0, max: 0.7 }; // 0.70 max
+        // Feature mappings. Position follows the buffered points; the manual ranges
+        // match the reference screenshot (15 kHz centroid, 0.70 amplitude).
+        // Size is fixed unless mapped.
+        this.mappings = {
+            x: new AxisMapping({ name: 'spectralCentroid', label: 'Spectral Centroid', range: [0, 15000], unit: 'Hz' }, { auto: true }),
+            y: new AxisMapping({ name: 'rms', label: 'Amplitude', range: [0, 0.7] }, { auto: true }),
+            // Flux is relative to frame magnitude; 0.5 is already a strong onset
+            color: new AxisMapping({ name: 'spectralFlux', label: 'Spectral Flux', range: [0, 0.5] }),
+            size: null
+        };
+        this.optionalChannels = { size: 'FIXED' };
 
         // Styling
         this.padding = 50;
         this.pointSize = 3;
+
+        // A/B comparison: color points by series instead of flux alone
+        this.compareMode = false;
+
+        // Wheel zoom, drag pan and double-click reset
+        this.view = new PlotView();
+        this.detachView = null;
     }
 
-    resize() {
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width * window.devicePixelRatio;
-        this.canvas.height = rect.height * window.devicePixelRatio;
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
-        this.width = rect.width;
-        this.height = rect.height;
+    mount(canvas) {
+        super.mount(canvas);
+        this.detachView = this.view.attach(canvas, () => this.getPlotRect());
+    }
+
+    getPlotRect() {
+        return {
+            left: this.padding,
+            top: this.padding,
+            width: this.width - this.padding * 2,
+            height: this.height - this.padding * 2
+        };
     }
 
     /**
      * Add a new point from audio features
+     * @param {Object} features - Analyzer features
+     * @param {number} [series=0] - Comparison series (0 = A, 1 = B)
      */
-    addPoint(centroid, amplitude, flux) {
+    addPoint(features, series = 0) {
         this.points.push({
-            centroid,
-            amplitude,
-            flux,
+            features,
+            series,
             age: 0
         });
 
@@ -45,17 +68,59 @@ export class ToneMap {
         }
     }
 
+    get historyLength() {
+        return this.maxPoints;
+    }
+
+    onFrame(features, time, { series, sample }) {
+        if (sample) this.addPoint(features, series);
+    }
+
+    /**
+     * Replace the feature mapped to a channel
+     * @param {string} channel - 'x', 'y', 'color' or 'size'
+     * @param {AxisMapping|null} mapping - null for the fixed size (size only)
+     */
+    setMapping(channel, mapping) {
+        this.mappings[channel] = mapping;
+    }
+
     /**
      * Map value to canvas coordinates
      */
     mapX(value) {
-        const range = this.centroidRange.max - this.centroidRange.min;
-        return this.padding + ((value - this.centroidRange.min) / range) * (this.width - this.padding * 2);
+        const t = this.view.toViewX(this.mappings.x.normalize(value));
+        return this.padding + t * (this.width - this.padding * 2);
     }
 
     mapY(value) {
-        const range = this.amplitudeRange.max - this.amplitudeRange.min;
-        return this.height - this.padding - ((value - this.amplitudeRange.min) / range) * (this.height - this.padding * 2);
+        const t = this.view.toViewY(this.mappings.y.normalize(value));
+        return this.height - this.padding - t * (this.height - this.padding * 2);
+    }
+
+    /**
+     * Auto-ranged mappings follow robust percentiles of the buffered points
+     */
+    updateAutoRanges() {
+        for (const mapping of Object.values(this.mappings)) {
+            if (!mapping || !mapping.auto) continue;
+            mapping.fitTo(this.points.map(point => mapping.read(point.features)));
+        }
+    }
+
+    /**
+     * Feature range visible between two normalized positions of an axis
+     */
+    visibleRange(mapping, from, to) {
+        return { min: mapping.denormalize(from), max: mapping.denormalize(to) };
+    }
+
+    pointX(point) {
+        return this.mapX(this.mappings.x.read(point.features));
+    }
+
+    pointY(point) {
+        return this.mapY(this.mappings.y.read(point.features));
     }
 
     /**
@@ -70,28 +135,51 @@ export class ToneMap {
         ctx.fillStyle = 'rgba(0, 20, 30, 0.3)';
         ctx.fillRect(0, 0, w, h);
 
+        // Ticks follow the visible part of each axis
+        this.updateAutoRanges();
+        const xTicks = this.mappings.x.ticks(10, this.visibleRange(this.mappings.x, this.view.x0, this.view.x1));
+        const yTicks = this.mappings.y.ticks(10, this.visibleRange(this.mappings.y, this.view.y0, this.view.y1));
+
+        // Grid, trails and points stay inside the plot when zoomed
+        const plot = this.getPlotRect();
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.width, plot.height);
+        ctx.clip();
+
         // Draw grid
         ctx.strokeStyle = 'rgba(0, 255, 255, 0.1)';
         ctx.lineWidth = 0.5;
 
-        // Vertical grid lines (centroid)
-        for (let i = 0; i <= 10; i++) {
-            const x = this.mapX(i * 1000);
+        // Vertical grid lines (x feature)
+        for (const tick of xTicks) {
+            const x = this.mapX(tick);
             ctx.beginPath();
             ctx.moveTo(x, this.padding);
             ctx.lineTo(x, h - this.padding);
             ctx.stroke();
         }
 
-        // Horizontal grid lines (amplitude)
-        for (let i = 0; i <= 10; i++) {
-            const y = this.mapY(i * 0.1);
+        // Horizontal grid lines (y feature)
+        for (const tick of yTicks) {
+            const y = this.mapY(tick);
             ctx.beginPath();
             ctx.moveTo(this.padding, y);
             ctx.lineTo(w - this.padding, y);
             ctx.stroke();
         }
 
+        // Draw trail connections between recent points
+        if (this.compareMode) {
+            this.drawTrail(0, CompareSeries[0].accent);
+            this.drawTrail(1, CompareSeries[1].accent);
+        } else {
+            this.drawTrail(0, 'rgba(255, 255, 255, 0.3)');
+        }
+
+        this.drawPoints();
+        ctx.restore();
+
         // Draw axes
         ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
         ctx.lineWidth = 1;
@@ -108,51 +196,73 @@ export class ToneMap {
         ctx.lineTo(this.padding, h - this.padding);
         ctx.stroke();
 
-        // Draw trail connections between recent points
-        if (this.points.length > 1) {
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-            ctx.lineWidth = 1;
-            ctx.beginPath();
+        // Labels
+        ctx.fillStyle = '#00FFFF';
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.mappings.x.title, w / 2, h - 10);
+
+        ctx.save();
+        ctx.translate(15, h / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(this.mappings.y.title, 0, 0);
+        ctx.restore();
+
+        // Axis tick labels
+        ctx.font = '9px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(0, 255, 255, 0.6)';
 
-            // Only connect last 20 points to show current "trail"
-            const trailStart = Math.max(0, this.points.length - 20);
-            for (let i = trailStart; i < this.points.length; i++) {
-                const point = this.points[i];
-                const x = this.mapX(point.centroid);
-                const y = this.mapY(point.amplitude);
-
-                if (i === trailStart) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
-                }
+        // X axis ticks (every other label to avoid crowding)
+        xTicks.forEach((tick, i) => {
+            if (i % 2 === 0) {
+                ctx.fillText(this.mappings.x.formatTick(tick), this.mapX(tick), h - this.padding + 15);
             }
-            ctx.stroke();
+        });
+
+        // Y axis ticks
+        ctx.textAlign = 'right';
+        for (const tick of yTicks) {
+            ctx.fillText(this.mappings.y.formatTick(tick), this.padding - 8, this.mapY(tick) + 4);
         }
 
-        // Draw points
+        if (this.view.isZoomed) {
+            ctx.textAlign = 'left';
+            ctx.fillText('DOUBLE-CLICK TO RESET VIEW', this.padding, this.padding - 8);
+        }
+
+        // Legend
+        this.drawLegend();
+    }
+
+    drawPoints() {
+        const ctx = this.ctx;
+        const { color: colorMapping, size: sizeMapping } = this.mappings;
         for (let i = 0; i < this.points.length; i++) {
             const point = this.points[i];
-            const x = this.mapX(point.centroid);
-            const y = this.mapY(point.amplitude);
+            const x = this.pointX(point);
+            const y = this.pointY(point);
 
             // Age-based opacity
             const opacity = 1 - (point.age / this.maxPoints) * 0.8;
 
-            // Flux-based color
-            const normalizedFlux = Math.min(1, point.flux / 30);
-            const color = fluxColor(normalizedFlux);
+            // Color feature (flux by default)
+            const colorValue = Math.min(1, Math.max(0, colorMapping.normalize(colorMapping.read(point.features))));
+            const color = this.compareMode ? seriesColor(point.series, colorValue) : fluxColor(colorValue);
+
+            const size = sizeMapping
+                ? this.pointSize * (0.4 + 1.6 * Math.min(1, Math.max(0, sizeMapping.normalize(sizeMapping.read(point.features)))))
+                : this.pointSize;
 
             ctx.beginPath();
-            ctx.arc(x, y, this.pointSize, 0, Math.PI * 2);
+            ctx.arc(x, y, size, 0, Math.PI * 2);
             ctx.fillStyle = color;
             ctx.globalAlpha = opacity;
             ctx.fill();
 
-            // Glow effect for high flux
-            if (normalizedFlux > 0.5) {
+            // Glow effect for high color values (strong onsets by default)
+            if (colorValue > 0.5) {
                 ctx.beginPath();
-                ctx.arc(x, y, this.pointSize * 2, 0, Math.PI * 2);
+                ctx.arc(x, y, size * 2, 0, Math.PI * 2);
                 ctx.fillStyle = color;
                 ctx.globalAlpha = opacity * 0.3;
                 ctx.fill();
@@ -162,43 +272,41 @@ export class ToneMap {
         }
 
         ctx.globalAlpha = 1;
+    }
 
-        // Labels
-        ctx.fillStyle = '#00FFFF';
-        ctx.font = '11px Inter, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('SPECTRAL CENTROID', w / 2, h - 10);
-
-        ctx.save();
-        ctx.translate(15, h / 2);
-        ctx.rotate(-Math.PI / 2);
-        ctx.fillText('AMPLITUDE', 0, 0);
-        ctx.restore();
-
-        // Axis tick labels
-        ctx.font = '9px Inter, sans-serif';
-        ctx.fillStyle = 'rgba(0, 255, 255, 0.6)';
-
-        // X axis ticks - 0.0 KHz to 15.0 KHz format
-        for (let i = 0; i <= 10; i++) {
-            const freq = (i / 10) * 15000; // 0 to 15000 Hz
-            const x = this.mapX(freq);
-            const kHz = freq / 1000;
-            if (i % 2 === 0) { // Show every other label to avoid crowding
-                ctx.fillText(`${kHz.toFixed(1)} KHz`, x, h - this.padding + 15);
-            }
+    /**
+     * Connect the last 20 points of a series to show its current "trail"
+     */
+    drawTrail(series, color) {
+        const ctx = this.ctx;
+        const trail = [];
+        for (let i = this.points.length - 1; i >= 0 && trail.length < 20; i--) {
+            if (this.points[i].series === series) trail.unshift(this.points[i]);
         }
+        if (trail.length < 2) return;
 
-        // Y axis ticks - 0.07 to 0.70 format
-        ctx.textAlign = 'right';
-        for (let i = 1; i <= 10; i++) {
-            const amp = (i / 10) * 0.7;
-            const y = this.mapY(amp);
-            ctx.fillText(amp.toFixed(2), this.padding - 8, y + 4);
-        }
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = this.compareMode ? 0.5 : 1;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        trail.forEach((point, i) => {
+            const x = this.pointX(point);
+            const y = this.pointY(point);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
 
-        // Legend
-        this.drawLegend();
+    /**
+     * Switch between flux coloring and A/B series coloring
+     */
+    setCompareMode(enabled) {
+        this.compareMode = enabled;
     }
 
     drawLegend() {
@@ -206,9 +314,25 @@ export class ToneMap {
         const legendX = this.width - 120;
         const legendY = 20;
 
+        if (this.compareMode) {
+            ctx.font = '10px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            CompareSeries.forEach((series, i) => {
+                const gradient = ctx.createLinearGradient(legendX + 14, 0, legendX + 94, 0);
+                gradient.addColorStop(0, seriesColor(i, 0));
+                gradient.addColorStop(1, seriesColor(i, 1));
+
+                ctx.fillStyle = series.accent;
+                ctx.fillText(series.label, legendX, legendY + i * 14 + 8);
+                ctx.fillStyle = gradient;
+                ctx.fillRect(legendX + 14, legendY + i * 14, 80, 8);
+            });
+            return;
+        }
+
         ctx.font = '10px Inter, sans-serif';
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-        ctx.fillText('SPECTRAL FLUX', legendX, legendY);
+        ctx.fillText(this.mappings.color.label.toUpperCase(), legendX, legendY);
 
         // Gradient bar
         const gradient = ctx.createLinearGradient(legendX, legendY + 5, legendX + 80, legendY + 5);
@@ -225,5 +349,13 @@ export class ToneMap {
      */
     clear() {
         this.points = [];
+        Object.values(this.mappings).forEach(mapping => {
+            if (mapping) mapping.resetObserved();
+        });
+    }
+
+    dispose() {
+        if (this.detachView) this.detachView();
+        this.detachView = null;
     }
 }
@@ -0,0 +1,99 @@
+/**
+ * Visualizer - Interface shared by every dashboard panel
+ *
+ * App drives each registered visualizer through the same calls:
+ *   mount(element)                    once, with the panel's <canvas> or container <div>
+ *   resize()                          after mounting and whenever the panel changes size
+ *   onFrame(features, time, context)  for every analysis frame, see FrameContext
+ *   render()                          once per animation frame
+ *   clear()                           when a new source loads or the history is rebuilt
+ *   dispose()                         when the panel goes away for good
+ *   getSettingsSchema()               the panel's display options, see SettingsSchema
+ *
+ * and, where a panel has them:
+ *   historyLength                     history samples kept; replays after a seek rebuild this many
+ *   mappings, setMapping(channel, mapping), optionalChannels
+ *                                     AxisMapping (or null) by channel; App adds an AXES picker
+ *                                     and saves the mappings with sessions. optionalChannels
+ *                                     labels the channels that may be unmapped, e.g. { size: 'FIXED' }
+ *   getCameraPose(), setCameraPose(pose)   saved with sessions
+ *
+ * Visualizers are EventTargets; a 'seek' event with { detail: { time } } moves the playhead,
+ * and a 'pitchrange' event with { detail: { minFrequency, maxFrequency } } sets the F₀ range
+ * the pitch tracker searches.
+ *
+ * FrameContext:
+ * {
+ *   series: 0 | 1,        // 0 = the loaded file, 1 = file B in A/B compare mode
+ *   sample: boolean,      // Also a timeline sample (every dataInterval); history views add points on these
+ *   spectrum: Float32Array|null,  // Linear magnitudes, only on series 0 samples
+ *   sampleRate: number
+ * }
+ *
+ * SettingsSchema: [{
+ *   key: 'scale',          // Bound to the panel's [data-setting="scale"] control, generated if missing
+ *   label: 'Scale',
+ *   type: 'toggle' | 'select' | 'range' | 'number' | 'text',
+ *   default: 'log',
+ *   options: [{ value, label }],   // select
+ *   min, max, step,                // range, number
+ *   apply(value) { ... }           // Returns false when the value was rejected
+ * }]
+ */
+export class Visualizer extends EventTarget {
+    /**
+     * @param {HTMLElement} element - Canvas (2D) or container (WebGL) inside the panel
+     */
+    mount(element) {
+        this.element = element;
+    }
+
+    /**
+     * @param {Object} features - Analyzer features of one frame
+     * @param {number} time - Media time in seconds
+     * @param {Object} context - FrameContext
+     */
+    onFrame(features, time, context) {}
+
+    render() {}
+
+    resize() {}
+
+    clear() {}
+
+    dispose() {}
+
+    /**
+     * @returns {number} History samples kept, 0 for panels showing only the current frame
+     */
+    get historyLength() {
+        return 0;
+    }
+
+    /**
+     * @returns {Object[]} SettingsSchema
+     */
+    getSettingsSchema() {
+        return [];
+    }
+}
+
+/**
+ * Visualizer drawing into a 2D canvas at device resolution
+ */
+export class CanvasVisualizer extends Visualizer {
+    mount(canvas) {
+        super.mount(canvas);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.width = rect.width;
+        this.height = rect.height;
+    }
+}
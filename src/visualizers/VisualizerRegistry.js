@@ -0,0 +1,71 @@
+/**
+ * VisualizerRegistry - Dashboard panels and the visualizers App creates in them
+ *
+ * A descriptor is a plain object:
+ * {
+ *   name: 'toneMap',           // Key in App.visualizers and in saved sessions
+ *   panel: 'tone-map',         // data-panel id; a panel is generated when index.html has none
+ *   title: 'TONE MAP',         // Header of a generated panel
+ *   area: 'bottom',            // Layout area a generated panel is added to
+ *   surface: 'canvas',         // What a generated panel mounts: 'canvas' (2D) or 'container' (WebGL)
+ *   create(options) { ... }    // Returns a Visualizer (see Visualizer.js); options.createRenderer
+ *                              // is set for 'container' panels when the 3D panels share a renderer
+ * }
+ *
+ * Modules in src/plugins/ are loaded before the app starts and can register
+ * their own panels on visualizerRegistry.
+ */
+import { BUILTIN_VISUALIZERS } from './builtinVisualizers.js';
+
+export class VisualizerRegistry {
+    constructor() {
+        this.descriptors = new Map();
+    }
+
+    /**
+     * Register (or replace) a visualizer
+     * @param {Object} descriptor
+     * @returns {VisualizerRegistry} this
+     */
+    register(descriptor) {
+        if (!descriptor || typeof descriptor.name !== 'string' || !descriptor.name) {
+            throw new Error('Visualizer needs a name');
+        }
+        if (typeof descriptor.create !== 'function') {
+            throw new Error(`Visualizer "${descriptor.name}" needs a create function`);
+        }
+
+        this.descriptors.set(descriptor.name, {
+            panel: descriptor.name,
+            title: descriptor.name.toUpperCase(),
+            area: 'bottom',
+            surface: 'canvas',
+            ...descriptor
+        });
+        return this;
+    }
+
+    unregister(name) {
+        this.descriptors.delete(name);
+    }
+
+    has(name) {
+        return this.descriptors.has(name);
+    }
+
+    get(name) {
+        return this.descriptors.get(name) || null;
+    }
+
+    /**
+     * Descriptors in registration order
+     * @returns {Object[]}
+     */
+    list() {
+        return [...this.descriptors.values()];
+    }
+}
+
+// The registry App builds its panels from
+export const visualizerRegistry = new VisualizerRegistry();
+BUILTIN_VISUALIZERS.forEach(descriptor => visualizerRegistry.register(descriptor));
@@ -1,10 +1,12 @@
 /**
  * VocalSignature - Radar chart for timbre fingerprint
  */
-export class VocalSignature {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+import { CompareSeries } from '../utils/ColorScale.js';
+import { CanvasVisualizer } from './Visualizer.js';
+
+export class VocalSignature extends CanvasVisualizer {
+    constructor() {
+        super();
 
         // 8 axes for radar chart - matching reference screenshot layout
         this.axes = [
@@ -25,15 +27,16 @@ export class VocalSignature {
         // Trail history
         this.history = [];
         this.maxHistory = 10;
+
+        // Second polygon in A/B compare mode (null when not comparing)
+        this.compareValues = null;
+
+        // Saved fingerprints drawn as dashed outlines: [{ name, values, color }]
+        this.ghosts = [];
     }
 
     resize() {
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width * window.devicePixelRatio;
-        this.canvas.height = rect.height * window.devicePixelRatio;
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
-        this.width = rect.width;
-        this.height = rect.height;
+        super.resize();
         this.centerX = this.width / 2;
         this.centerY = this.height / 2;
         this.radius = Math.min(this.width, this.height) * 0.35;
@@ -41,8 +44,35 @@ export class VocalSignature {
 
     /**
      * Update values from audio features
+     * @param {Object} features - Analyzer features
+     * @param {number} [series=0] - Comparison series (0 = A, 1 = B)
+     */
+    update(features, series = 0) {
+        const newValues = this.computeValues(features);
+
+        if (series === 1) {
+            if (!this.compareValues) this.compareValues = new Array(this.axes.length).fill(0);
+            this.smoothInto(this.compareValues, newValues);
+            return;
+        }
+
+        this.smoothInto(this.values, newValues);
+
+        // Store history for trail effect
+        this.history.push([...this.values]);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    onFrame(features, time, { series }) {
+        this.update(features, series);
+    }
+
+    /**
+     * Map features onto the radar axes (unsmoothed; clamped to 0-1 when smoothed in)
      */
-    update(features) {
+    computeValues(features) {
         // Calculate spectral crest (peak-to-average ratio)
         const spectralCrest = features.peak > 0 ? Math.min(1, features.peak / (features.rms + 0.001)) / 5 : 0;
 
@@ -60,17 +90,46 @@ export class VocalSignature {
             features.frequencyModulation                        // FREQUENCY MODULATION
         ];
 
-        // Smooth values
-        for (let i = 0; i < this.values.length; i++) {
+        return newValues;
+    }
+
+    smoothInto(values, newValues) {
+        for (let i = 0; i < values.length; i++) {
             const target = Math.min(1, Math.max(0, newValues[i]));
-            this.values[i] += (target - this.values[i]) * this.smoothing;
+            values[i] += (target - values[i]) * this.smoothing;
         }
+    }
 
-        // Store history for trail effect
-        this.history.push([...this.values]);
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
+    /**
+     * Average radar values over a run of frames (a fingerprint)
+     * @param {Object[]} frames - Analyzer features
+     * @returns {number[]|null} Clamped 0-1 values per axis, null without frames
+     */
+    averageValues(frames) {
+        if (frames.length === 0) return null;
+
+        const sums = new Array(this.axes.length).fill(0);
+        for (const features of frames) {
+            const values = this.computeValues(features);
+            for (let i = 0; i < sums.length; i++) {
+                sums[i] += Math.min(1, Math.max(0, values[i] || 0));
+            }
         }
+        return sums.map(sum => sum / frames.length);
+    }
+
+    /**
+     * @param {{name: string, values: number[], color: string}[]} ghosts
+     */
+    setGhosts(ghosts) {
+        this.ghosts = ghosts;
+    }
+
+    /**
+     * Show or hide the second (B) polygon
+     */
+    setCompareMode(enabled) {
+        this.compareValues = enabled ? new Array(this.axes.length).fill(0) : null;
     }
 
     /**
@@ -136,6 +195,25 @@ export class VocalSignature {
             ctx.fillText(this.axes[i].name, point.x, point.y);
         }
 
+        // Saved fingerprints
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 1.5;
+        for (const ghost of this.ghosts) {
+            this.tracePolygon(ghost.values);
+            ctx.strokeStyle = ghost.color;
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        if (this.ghosts.length > 0) {
+            ctx.font = '9px Inter, sans-serif';
+            ctx.textAlign = 'right';
+            this.ghosts.forEach((ghost, i) => {
+                ctx.fillStyle = ghost.color;
+                ctx.fillText(`┄ ${ghost.name}`, w - 10, 16 + i * 12);
+            });
+        }
+
         // Draw history trails
         for (let h = 0; h < this.history.length; h++) {
             const histValues = this.history[h];
@@ -156,17 +234,18 @@ export class VocalSignature {
             ctx.stroke();
         }
 
-        // Draw current shape
-        ctx.beginPath();
-        for (let i = 0; i < this.axes.length; i++) {
-            const point = this.getPoint(i, this.values[i]);
-            if (i === 0) {
-                ctx.moveTo(point.x, point.y);
-            } else {
-                ctx.lineTo(point.x, point.y);
-            }
+        // Compared take (B) underneath the current one
+        if (this.compareValues) {
+            this.tracePolygon(this.compareValues);
+            ctx.fillStyle = 'rgba(51, 187, 255, 0.15)';
+            ctx.fill();
+            ctx.strokeStyle = CompareSeries[1].accent;
+            ctx.lineWidth = 2;
+            ctx.stroke();
         }
-        ctx.closePath();
+
+        // Draw current shape
+        this.tracePolygon(this.values);
 
         // Fill
         const gradient = ctx.createRadialGradient(
@@ -179,7 +258,7 @@ export class VocalSignature {
         ctx.fill();
 
         // Stroke
-        ctx.strokeStyle = '#FF66CC';
+        ctx.strokeStyle = this.compareValues ? CompareSeries[0].accent : '#FF66CC';
         ctx.lineWidth = 2;
         ctx.stroke();
 
@@ -208,10 +287,38 @@ export class VocalSignature {
             const y = this.centerY - (i / 5) * this.radius;
             ctx.fillText(val, this.centerX + 5, y);
         }
+
+        // A/B legend
+        if (this.compareValues) {
+            ctx.font = '10px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            CompareSeries.forEach((series, i) => {
+                ctx.fillStyle = series.accent;
+                ctx.fillText(`■ ${series.label}`, 10, 16 + i * 14);
+            });
+        }
+    }
+
+    /**
+     * Begin a closed path through a set of radar values
+     */
+    tracePolygon(values) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        for (let i = 0; i < this.axes.length; i++) {
+            const point = this.getPoint(i, values[i]);
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        }
+        ctx.closePath();
     }
 
     clear() {
         this.values.fill(0);
         this.history = [];
+        if (this.compareValues) this.compareValues.fill(0);
     }
 }
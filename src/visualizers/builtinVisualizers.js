@@ -0,0 +1,25 @@
+/**
+ * Built-in dashboard panels, laid out in index.html
+ */
+import { ToneMap } from './ToneMap.js';
+import { PitchMap } from './PitchMap.js';
+import { VocalSignature } from './VocalSignature.js';
+import { ChromaWheel } from './ChromaWheel.js';
+import { Spectrogram } from './Spectrogram.js';
+import { Manifold3D } from './Manifold3D.js';
+import { ToneEvolution } from './ToneEvolution.js';
+import { TimbreSpace } from './TimbreSpace.js';
+
+export const BUILTIN_VISUALIZERS = [
+    // 2D visualizers
+    { name: 'toneMap', panel: 'tone-map', title: 'TONE MAP', area: 'left', create: () => new ToneMap() },
+    { name: 'pitchMap', panel: 'pitch-map', title: 'PITCH MAP', area: 'left', create: () => new PitchMap() },
+    { name: 'vocalSignature', panel: 'vocal-signature', title: 'VOCAL SIGNATURE', area: 'left', create: () => new VocalSignature() },
+    { name: 'chroma', panel: 'chroma', title: 'CHROMA / KEY', area: 'left', create: () => new ChromaWheel() },
+    { name: 'spectrogram', panel: 'spectrogram', title: 'SPECTROGRAM', create: () => new Spectrogram() },
+
+    // 3D visualizers (options.createRenderer picks per-panel or shared rendering)
+    { name: 'manifold', panel: 'manifold', title: 'SPATIOTEMPORAL ACOUSTIC MANIFOLD', area: 'main', surface: 'container', create: options => new Manifold3D(options) },
+    { name: 'toneEvolution', panel: 'tone-evolution', title: 'TONE EVOLUTION MAP', surface: 'container', create: options => new ToneEvolution(options) },
+    { name: 'timbreSpace', panel: 'timbre-space', title: 'TIMBRE SPACE', surface: 'container', create: options => new TimbreSpace(options) }
+];
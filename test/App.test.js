@@ -0,0 +1,484 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import html from '../index.html?raw';
+import { createMockRenderer, watchDisposal } from './helpers/three.js';
+import { instances as controls } from './helpers/MockOrbitControls.js';
+import { trackListeners, stubCanvasContext } from './helpers/dom.js';
+import { createFeatures } from './helpers/features.js';
+import { FeatureTrack } from '../src/audio/FeatureTrack.js';
+import { PlaybackClock } from '../src/audio/PlaybackClock.js';
+import { downloadBlob } from '../src/utils/Download.js';
+import { TimelineVideoWriter } from '../src/utils/TimelineVideoWriter.js';
+import { visualizerRegistry } from '../src/visualizers/VisualizerRegistry.js';
+import { CanvasVisualizer } from '../src/visualizers/Visualizer.js';
+import { AxisMapping } from '../src/utils/AxisMapping.js';
+
+const renderers = [];
+// Renderers still to fail with the next createRenderer calls, as without WebGL
+const failures = { remaining: 0 };
+
+vi.mock('three/examples/jsm/controls/OrbitControls.js', () => import('./helpers/MockOrbitControls.js'));
+vi.mock('../src/utils/ThreeResources.js', async (importOriginal) => ({
+    ...await importOriginal(),
+    createRenderer: () => {
+        if (failures.remaining > 0) {
+            failures.remaining--;
+            throw new Error('Error creating WebGL context.');
+        }
+        const renderer = createMockRenderer();
+        renderers.push(renderer);
+        return renderer;
+    }
+}));
+
+vi.mock('../src/utils/Download.js', () => ({ downloadBlob: vi.fn() }));
+
+// Records the frames it is given instead of encoding them
+vi.mock('../src/utils/TimelineVideoWriter.js', () => {
+    class TimelineVideoWriter {
+        static instances = [];
+
+        constructor(canvas, options) {
+            this.options = options;
+            this.start = vi.fn(async () => {});
+            this.addFrame = vi.fn(async () => {});
+            this.finish = vi.fn(async () => new Blob());
+            this.close = vi.fn();
+            TimelineVideoWriter.instances.push(this);
+        }
+    }
+    return { TimelineVideoWriter, AUDIO_SAMPLE_RATE: 48000 };
+});
+
+let App;
+
+beforeAll(async () => {
+    stubCanvasContext();
+    ({ App } = await import('../src/main.js'));
+});
+
+function loadPage(sharedRenderer) {
+    localStorage.clear();
+    if (sharedRenderer) localStorage.setItem('geometric-audio-shared-renderer', sharedRenderer);
+    document.body.innerHTML = html.slice(html.indexOf('<body>') + 6, html.indexOf('<script'));
+    renderers.length = 0;
+    controls.length = 0;
+    failures.remaining = 0;
+}
+
+describe('App 3D renderers', () => {
+    it('gives each 3D panel its own renderer by default', () => {
+        loadPage(null);
+        const app = new App();
+
+        expect(app.sharedRenderer).toBeNull();
+        expect(renderers).toHaveLength(3);
+        expect(document.getElementById('shared-renderer-toggle').checked).toBe(false);
+        app.dispose();
+    });
+
+    it('shares one renderer when the switch is on', () => {
+        loadPage('on');
+        const app = new App();
+
+        expect(app.sharedRenderer).not.toBeNull();
+        expect(renderers).toHaveLength(1);
+        expect(document.querySelectorAll('.shared-view')).toHaveLength(3);
+        app.dispose();
+    });
+
+    it('falls back to a renderer per panel when the shared context cannot be created', () => {
+        loadPage('on');
+        failures.remaining = 1;
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const app = new App();
+
+        expect(app.sharedRenderer).toBeNull();
+        expect(renderers).toHaveLength(3);
+        expect(document.querySelector('.shared-view')).toBeNull();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Shared renderer unavailable'), expect.any(Error));
+        warn.mockRestore();
+        app.dispose();
+    });
+});
+
+describe.each([
+    ['a renderer per panel', 'off'],
+    ['the shared renderer', 'on']
+])('App.dispose() with %s', (label, sharedRenderer) => {
+    let listeners;
+
+    beforeEach(() => {
+        loadPage(sharedRenderer);
+        listeners = trackListeners();
+    });
+
+    afterEach(() => {
+        listeners.restore();
+    });
+
+    it('frees every WebGL context, control, scene resource and listener', () => {
+        const app = new App();
+        const scenes = Object.values(app.visualizers).filter(v => v.scene).map(v => watchDisposal(v.scene));
+        const canvases = [...document.querySelectorAll('canvas')];
+
+        expect(renderers.length).toBe(sharedRenderer === 'on' ? 1 : 3);
+        expect(controls).toHaveLength(3);
+        expect(scenes).toHaveLength(3);
+        expect(listeners.on(window, document).length).toBeGreaterThan(0);
+
+        app.dispose();
+
+        renderers.forEach(renderer => {
+            expect(renderer.dispose).toHaveBeenCalledOnce();
+            expect(renderer.forceContextLoss).toHaveBeenCalledOnce();
+            expect(renderer.domElement.isConnected).toBe(false);
+        });
+        controls.forEach(control => expect(control.dispose).toHaveBeenCalledOnce());
+        scenes.forEach(scene => expect(scene.undisposed()).toBe(0));
+
+        expect(listeners.on(window, document)).toEqual([]);
+        expect(listeners.inside(...canvases)).toEqual([]);
+        expect(app.visualizers).toEqual({});
+    });
+});
+
+describe('App session replay', () => {
+    // One second recorded live at 60 fps, sampled every third frame (every 50 ms)
+    function liveTrack() {
+        const track = new FeatureTrack(60, 44100);
+        createFeatures(60).forEach((features, i) => track.push(i / 60, features, null, i % 3 === 0));
+        return track;
+    }
+
+    it('adds history points at the cadence the frames were recorded with', () => {
+        loadPage(null);
+        const app = new App();
+        app.featureTrack = liveTrack();
+        const onFrame = vi.spyOn(app.visualizers.manifold, 'onFrame');
+
+        app.syncToTrack(1);
+
+        expect(onFrame).toHaveBeenCalledTimes(60);
+        expect(onFrame.mock.calls.filter(([, , context]) => context.sample)).toHaveLength(20);
+        app.dispose();
+    });
+
+    it('rebuilds a history of whole samples after a seek', () => {
+        loadPage(null);
+        const app = new App();
+
+        // The last 5 samples up to frame 59 are frames 45, 48, ... 57
+        expect(app.historyStart(liveTrack(), 59, 5)).toBe(45);
+        expect(app.historyStart(liveTrack(), 59, 100)).toBe(0);
+        app.dispose();
+    });
+});
+
+describe('App offline video export', () => {
+    let app;
+    let writer;
+
+    // A 2 s session replayed without its audio
+    beforeEach(async () => {
+        loadPage(null);
+        app = new App();
+        app.transport = new PlaybackClock(2);
+        app.featureTrack = new FeatureTrack(20, 44100);
+        createFeatures(40).forEach((features, i) => app.featureTrack.push(i / 20, features));
+        app.recordModeSelect.value = 'offline';
+        downloadBlob.mockClear();
+    });
+
+    afterEach(() => {
+        app.dispose();
+    });
+
+    async function startExport() {
+        await app.startTimelineExport();
+        writer = TimelineVideoWriter.instances.at(-1);
+    }
+
+    it('encodes every timeline step with its own timestamp, without playing', async () => {
+        const play = vi.spyOn(app.transport, 'play');
+        const onFrame = vi.spyOn(app.visualizers.manifold, 'onFrame');
+        await app.toggleRecording();
+        writer = TimelineVideoWriter.instances.at(-1);
+
+        expect(writer.options).toMatchObject({ frameRate: 30, audio: null });
+        expect(writer.addFrame.mock.calls.map(([time]) => time)).toEqual(Array.from({ length: 60 }, (_, i) => i / 30));
+        expect(onFrame).toHaveBeenCalledTimes(40);
+        expect(play).not.toHaveBeenCalled();
+        expect(writer.finish).toHaveBeenCalledOnce();
+        expect(downloadBlob).toHaveBeenCalledOnce();
+        expect(app.videoExport).toBeNull();
+        expect(app.transport.getCurrentTime()).toBeCloseTo(59 / 30);
+    });
+
+    it('renders the soundtrack of the loaded file at the encoder rate', async () => {
+        const soundtrack = { numberOfChannels: 2, sampleRate: 48000 };
+        const render = vi.spyOn(app.offlineAnalyzer, 'render').mockResolvedValue(soundtrack);
+        app.mediaFile = new File([], 'a.wav');
+        await startExport();
+
+        expect(render).toHaveBeenCalledWith(app.mediaFile, 48000);
+        expect(writer.options.audio).toBe(soundtrack);
+    });
+
+    it('saves the frames so far when stopped with the record button', async () => {
+        await startExport();
+        writer.addFrame.mockImplementation(async () => {
+            if (writer.addFrame.mock.calls.length === 7) await app.toggleRecording();
+        });
+        await app.renderVideoOffline();
+
+        expect(writer.addFrame).toHaveBeenCalledTimes(7);
+        expect(writer.finish).toHaveBeenCalledOnce();
+        expect(downloadBlob).toHaveBeenCalledOnce();
+    });
+
+    it('keeps the dashboard while rendering', async () => {
+        app.showVisualizerSection();
+        await startExport();
+        const done = app.renderVideoOffline();
+        app.showUploadSection();
+
+        expect(app.uploadSection.classList.contains('hidden')).toBe(true);
+        expect(app.videoExport).not.toBeNull();
+
+        await app.toggleRecording();
+        await done;
+    });
+
+    it('discards the recording when the app is disposed', async () => {
+        await startExport();
+        writer.addFrame.mockImplementation(async () => {
+            if (writer.addFrame.mock.calls.length === 3) app.dispose();
+        });
+        await app.renderVideoOffline();
+
+        expect(writer.addFrame).toHaveBeenCalledTimes(3);
+        expect(writer.close).toHaveBeenCalledOnce();
+        expect(writer.finish).not.toHaveBeenCalled();
+        expect(downloadBlob).not.toHaveBeenCalled();
+        expect(app.videoExport).toBeNull();
+    });
+
+    it('discards the recording when a frame cannot be encoded', async () => {
+        const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        await startExport();
+        writer.addFrame.mockImplementation(async () => {
+            if (writer.addFrame.mock.calls.length === 3) throw new Error('Encoding failed');
+        });
+        await app.renderVideoOffline();
+
+        expect(alert).toHaveBeenCalledWith(expect.stringContaining('Encoding failed'));
+        expect(writer.close).toHaveBeenCalledOnce();
+        expect(downloadBlob).not.toHaveBeenCalled();
+        expect(app.videoExport).toBeNull();
+        alert.mockRestore();
+        error.mockRestore();
+    });
+});
+
+describe('App playback toggle', () => {
+    it('stays paused when playback cannot resume', async () => {
+        loadPage(null);
+        const app = new App();
+        const transport = {
+            play: vi.fn(async () => { throw new DOMException('Autoplay is not allowed', 'NotAllowedError'); }),
+            pause: vi.fn()
+        };
+        app.transport = transport;
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        await app.togglePlayback();
+
+        expect(app.isPlaying).toBe(false);
+        expect(transport.pause).toHaveBeenCalledOnce();
+        expect(app.playIcon.classList.contains('hidden')).toBe(false);
+        expect(error).toHaveBeenCalledWith('Error resuming playback:', expect.any(DOMException));
+        error.mockRestore();
+        app.dispose();
+    });
+});
+
+describe('App sync compare analysis', () => {
+    it('samples A and B on their own schedule when one is still being analyzed', () => {
+        loadPage(null);
+        const app = new App();
+        const busy = { A: false, B: false };
+        const sent = { A: [], B: [] };
+        const stub = series => ({
+            analyze: (timestamp, context) => {
+                if (busy[series]) return false;
+                sent[series].push({ timestamp, sample: context.sample });
+                return true;
+            },
+            reset() {},
+            dispose() {}
+        });
+        const analyzer = app.analyzer;
+        app.analyzer = stub('A');
+        app.compareAnalyzer = stub('B');
+        app.compare = { mode: 'sync' };
+
+        app.updateVisualizers(100);
+        busy.A = true;
+        app.updateVisualizers(160);
+        busy.A = false;
+        app.updateVisualizers(176);
+
+        expect(sent.A).toEqual([{ timestamp: 100, sample: true }, { timestamp: 176, sample: true }]);
+        expect(sent.B).toEqual([
+            { timestamp: 100, sample: true },
+            { timestamp: 160, sample: true },
+            { timestamp: 176, sample: false }
+        ]);
+
+        app.analyzer = analyzer;
+        app.compare = null;
+        app.dispose();
+    });
+});
+
+describe('App pitch range', () => {
+    it('applies the Pitch Map F₀ range to the analyzers', () => {
+        loadPage(null);
+        const app = new App();
+        const realtime = vi.spyOn(app.analyzer, 'setPitchRange');
+        const min = document.getElementById('pitch-map-min-f0');
+        const max = document.getElementById('pitch-map-max-f0');
+
+        max.value = '400';
+        max.dispatchEvent(new Event('change'));
+        min.value = '80';
+        min.dispatchEvent(new Event('change'));
+
+        expect(realtime).toHaveBeenLastCalledWith(80, 400);
+        expect(app.analyzer.analyzer.pitchTracker.minFrequency).toBe(80);
+        expect(app.offlineAnalyzer.pitchRange).toEqual([80, 400]);
+        expect(app.getSettings().pitchMap).toMatchObject({ pitchMin: 80, pitchMax: 400 });
+
+        // An empty range is rejected and leaves the analyzers as they were
+        min.value = '500';
+        min.dispatchEvent(new Event('change'));
+        expect(min.classList.contains('invalid')).toBe(true);
+        expect(realtime).toHaveBeenCalledTimes(2);
+        app.dispose();
+    });
+});
+
+// A plugin panel with one setting and one mapped channel
+class GainMeter extends CanvasVisualizer {
+    constructor() {
+        super();
+        this.gain = 1;
+        this.mappings = { level: new AxisMapping({ name: 'rms', label: 'RMS', range: [0, 1] }) };
+    }
+
+    setMapping(channel, mapping) {
+        this.mappings[channel] = mapping;
+    }
+
+    getSettingsSchema() {
+        return [{
+            key: 'gain', label: 'Gain', type: 'range', default: 1, min: 0, max: 4, step: 0.5,
+            apply: (value) => { this.gain = value; }
+        }];
+    }
+}
+
+describe('App session settings', () => {
+    beforeEach(() => {
+        visualizerRegistry.register({ name: 'gainMeter', title: 'GAIN', create: () => new GainMeter() });
+    });
+
+    afterEach(() => {
+        visualizerRegistry.unregister('gainMeter');
+    });
+
+    function setControl(control, value) {
+        control.value = value;
+        control.dispatchEvent(new Event(control.type === 'range' ? 'input' : 'change'));
+    }
+
+    it('saves each registered visualizer\'s schema settings under its name', () => {
+        loadPage(null);
+        const app = new App();
+        const gain = document.querySelector('[data-panel="gainMeter"] [data-setting="gain"]');
+        setControl(gain, '2.5');
+        setControl(document.getElementById('spectrogram-scale'), 'linear');
+        document.getElementById('toggle-grid').checked = false;
+
+        const settings = app.getSettings();
+        app.dispose();
+
+        expect(Object.keys(settings)).toEqual(visualizerRegistry.list().map(descriptor => descriptor.name));
+        expect(settings.gainMeter).toEqual({ gain: 2.5 });
+        expect(settings.spectrogram).toMatchObject({ scale: 'linear' });
+        expect(settings.manifold).toMatchObject({ grid: false, glow: true });
+
+        loadPage(null);
+        const restored = new App();
+        restored.applySettings(settings);
+
+        expect(restored.visualizers.gainMeter.gain).toBe(2.5);
+        expect(document.getElementById('spectrogram-scale').value).toBe('linear');
+        expect(restored.visualizers.manifold.scene.children.find(child => child.type === 'GridHelper').visible).toBe(false);
+        restored.dispose();
+    });
+
+    it('saves the axis mappings and restores them through the pickers', () => {
+        loadPage(null);
+        const app = new App();
+        // The Tone Map color and an unmapped Timbre Space color
+        app.axisPickers.toneMap.setMapping('color', { feature: 'rms', scale: 'log', auto: false, min: 0.01, max: 0.5 });
+        app.axisPickers.timbreSpace.setMapping('color', null);
+        app.axisPickers.gainMeter.setMapping('level', { feature: 'spectralCentroid', scale: 'linear', auto: true });
+
+        const axes = app.getAxisMappings();
+        app.dispose();
+
+        expect(axes.toneMap.color).toEqual({ feature: 'rms', scale: 'log', auto: false, min: 0.01, max: 0.5 });
+        expect(axes.timbreSpace.color).toBeNull();
+        expect(axes.gainMeter.level).toMatchObject({ feature: 'spectralCentroid', auto: true });
+
+        loadPage(null);
+        const restored = new App();
+        restored.applyAxisMappings(JSON.parse(JSON.stringify(axes)));
+
+        expect(restored.getAxisMappings()).toEqual(axes);
+        expect(restored.visualizers.toneMap.mappings.color).toBeInstanceOf(AxisMapping);
+        expect(document.getElementById('tone-map-subtitle').textContent).toBe(restored.visualizers.toneMap.mappings.color.label.toUpperCase());
+        // The picker rows show the restored mapping
+        const row = document.querySelectorAll('#tone-map-axes .axis-row')[2];
+        expect(row.querySelector('select').value).toBe('rms');
+        expect(row.querySelectorAll('select')[1].value).toBe('log');
+        restored.dispose();
+    });
+
+    it('gives a plugin panel with mappings its own AXES popover', () => {
+        loadPage(null);
+        const app = new App();
+        const panel = document.querySelector('[data-panel="gainMeter"]');
+        const button = panel.querySelector('[data-axes-toggle]');
+        const popover = panel.querySelector('.axis-panel');
+
+        expect(popover.querySelectorAll('.axis-row')).toHaveLength(1);
+        button.click();
+        expect(popover.classList.contains('hidden')).toBe(false);
+        app.dispose();
+    });
+
+    it('replays as much history as the longest visualizer keeps', () => {
+        loadPage(null);
+        const app = new App();
+        const lengths = Object.values(app.visualizers).map(visualizer => visualizer.historyLength);
+
+        expect(app.getReplayLength()).toBe(Math.max(...lengths));
+        expect(app.visualizers.gainMeter.historyLength).toBe(0);
+        app.dispose();
+    });
+});
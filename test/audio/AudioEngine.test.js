@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AudioEngine } from '../../src/audio/AudioEngine.js';
+
+/**
+ * The parts of an AudioContext the engine uses, recording how nodes are wired
+ */
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 3;
+        this.destination = createNode('destination');
+    }
+
+    createAnalyser() {
+        return Object.assign(createNode('analyser'), { frequencyBinCount: 1024, fftSize: 2048 });
+    }
+
+    createGain() {
+        return Object.assign(createNode('gain'), { gain: { value: 1 } });
+    }
+
+    createMediaStreamSource(stream) {
+        return Object.assign(createNode('stream-source'), { mediaStream: stream });
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+}
+
+function createNode(type) {
+    const node = {
+        type,
+        outputs: [],
+        connect: vi.fn((target) => node.outputs.push(target)),
+        disconnect: vi.fn(() => { node.outputs = []; })
+    };
+    return node;
+}
+
+function createFakeStream() {
+    const track = { kind: 'audio', readyState: 'live', stop: vi.fn(() => { track.readyState = 'ended'; }) };
+    return { track, getTracks: () => [track], getAudioTracks: () => [track] };
+}
+
+describe('AudioEngine live input', () => {
+    let stream;
+    let mediaDevices;
+    let engine;
+
+    beforeEach(() => {
+        vi.stubGlobal('window', { AudioContext: FakeAudioContext });
+        stream = createFakeStream();
+        mediaDevices = { getUserMedia: vi.fn(async () => stream) };
+        engine = new AudioEngine({ mediaDevices });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('connects the stream to the analyser with the monitor off', async () => {
+        await expect(engine.loadLiveInput()).resolves.toBe(stream);
+
+        expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({
+            audio: expect.objectContaining({ echoCancellation: false, noiseSuppression: false, autoGainControl: false })
+        });
+        expect(engine.source.mediaStream).toBe(stream);
+        expect(engine.source.outputs).toEqual([engine.analyser]);
+        expect(engine.isLive()).toBe(true);
+        expect(engine.isPlaying).toBe(true);
+        expect(engine.monitor).toBe(false);
+        expect(engine.outputGain.gain.value).toBe(0);
+    });
+
+    it('opens the requested device', async () => {
+        await engine.loadLiveInput({ deviceId: 'line-in', monitor: true });
+
+        expect(mediaDevices.getUserMedia.mock.calls[0][0].audio.deviceId).toEqual({ exact: 'line-in' });
+        expect(engine.outputGain.gain.value).toBe(1);
+    });
+
+    it('releases the device when unloaded', async () => {
+        await engine.loadLiveInput();
+        const source = engine.source;
+        engine.unload();
+
+        expect(stream.track.stop).toHaveBeenCalledOnce();
+        expect(source.disconnect).toHaveBeenCalled();
+        expect(engine.isLive()).toBe(false);
+        expect(engine.isPlaying).toBe(false);
+    });
+
+    it('leaves a stream passed to loadStream to its owner', async () => {
+        await engine.loadStream(stream);
+        engine.unload();
+
+        expect(stream.track.stop).not.toHaveBeenCalled();
+    });
+
+    it('releases the device when connecting it fails', async () => {
+        vi.spyOn(FakeAudioContext.prototype, 'createMediaStreamSource').mockImplementation(() => {
+            throw new Error('No audio track');
+        });
+
+        await expect(engine.loadLiveInput()).rejects.toThrow('No audio track');
+        expect(stream.track.stop).toHaveBeenCalledOnce();
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { exportTimeline, exportNPYColumns } from '../../src/audio/FeatureExport.js';
+import { FeatureRecorder } from '../../src/audio/FeatureRecorder.js';
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+import { createFeatures } from '../helpers/features.js';
+
+function recordTimeline(count) {
+    const recorder = new FeatureRecorder();
+    createFeatures(count).forEach((features, i) => recorder.record(i * 0.05, features));
+    return recorder;
+}
+
+// The header dict of a version 1.0 .npy file
+async function readNPYHeader(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const length = bytes[8] | (bytes[9] << 8);
+    return new TextDecoder().decode(bytes.subarray(10, 10 + length));
+}
+
+describe('.npy column sidecar', () => {
+    const registry = new AudioAnalyzer(null).registry;
+    const timeline = recordTimeline(4);
+
+    it('lists every column of the matrix, in order, with its unit', async () => {
+        const header = await readNPYHeader(exportTimeline(timeline, registry, 'npy'));
+        const { metadata, columns } = JSON.parse(await exportNPYColumns(timeline, registry, { source: 'a.wav' }).text());
+
+        expect(header).toContain(`'shape': (4, ${columns.length})`);
+        expect(columns[0]).toMatchObject({ name: 'time', unit: 's' });
+        expect(columns.map(column => column.name)).toContain('mfccs_12');
+        expect(columns.find(column => column.name === 'pitch').unit).toBe('Hz');
+        expect(columns.some(column => column.type === 'label')).toBe(false);
+        expect(metadata).toMatchObject({ frames: 4, source: 'a.wav', version: 1 });
+    });
+
+    it('describes the columns like the JSON export', async () => {
+        const sidecar = JSON.parse(await exportNPYColumns(timeline, registry).text());
+        const json = JSON.parse(await exportTimeline(timeline, registry, 'json').text());
+
+        expect(sidecar.columns).toEqual(json.columns.filter(column => column.type !== 'label'));
+    });
+});
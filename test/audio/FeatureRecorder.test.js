@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { FeatureRecorder } from '../../src/audio/FeatureRecorder.js';
+import { createFeatures } from '../helpers/features.js';
+
+describe('FeatureRecorder', () => {
+    it('drops the frames and sample flags after a backwards seek', () => {
+        const recorder = new FeatureRecorder();
+        const features = createFeatures(5);
+        features.forEach((frame, i) => recorder.record(i / 60, frame, i % 3 === 0));
+
+        recorder.record(0.05, features[0], false);
+
+        expect(recorder.times).toEqual([0, 1 / 60, 2 / 60, 0.05]);
+        expect(recorder.frames).toEqual([features[0], features[1], features[2], features[0]]);
+        expect(recorder.samples).toEqual([true, false, false, false]);
+    });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { OfflineAnalyzer } from '../../src/audio/OfflineAnalyzer.js';
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+
+const SAMPLE_RATE = 44100;
+const QUANTUM = 128;
+
+/**
+ * Renders a buffer in render quanta, enforcing the suspend() rules of the
+ * Web Audio spec: a suspend must fall after the current frame, before the end
+ * and not on a frame that already has one
+ */
+class FakeOfflineAudioContext {
+    constructor(channels, length, sampleRate) {
+        this.channels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.destination = {};
+        this.suspends = new Map();
+        this.rejectSuspend = FakeOfflineAudioContext.rejectSuspend;
+        FakeOfflineAudioContext.instance = this;
+    }
+
+    createBufferSource() {
+        return { buffer: null, connect() {}, start: vi.fn() };
+    }
+
+    createAnalyser() {
+        const context = this;
+        return {
+            fftSize: 2048,
+            smoothingTimeConstant: 0.8,
+            get frequencyBinCount() {
+                return this.fftSize / 2;
+            },
+            connect() {},
+            getFloatFrequencyData(output) {
+                output.fill(-60);
+            },
+            getFloatTimeDomainData(output) {
+                // The fftSize samples before the current frame
+                const end = Math.round(context.currentTime * context.sampleRate);
+                for (let i = 0; i < output.length; i++) {
+                    const index = end - output.length + i;
+                    output[i] = index >= 0 ? Math.sin(2 * Math.PI * 220 * index / context.sampleRate) : 0;
+                }
+            },
+            getByteFrequencyData(output) {
+                output.fill(0);
+            },
+            getByteTimeDomainData(output) {
+                output.fill(128);
+            }
+        };
+    }
+
+    suspend(time) {
+        // Truncated to a sample frame, then rounded up to a quantum, as Chrome does
+        const frame = Math.ceil(Math.floor(time * this.sampleRate) / QUANTUM) * QUANTUM;
+        if (frame <= 0 || frame >= this.length || this.suspends.has(frame) || time === this.rejectSuspend) {
+            return Promise.reject(new DOMException(`cannot schedule a suspend at ${time}`, 'InvalidStateError'));
+        }
+        return new Promise(resolve => this.suspends.set(frame, resolve));
+    }
+
+    resume() {
+        const resumed = this.resumed;
+        this.resumed = null;
+        if (resumed) resumed();
+        return Promise.resolve();
+    }
+
+    async startRendering() {
+        // Let the suspend() rejections settle first, as they do in a browser
+        await Promise.resolve();
+        const frames = [...this.suspends.keys()].sort((a, b) => a - b);
+        for (const frame of frames) {
+            this.currentTime = frame / this.sampleRate;
+            const resumed = new Promise(resolve => { this.resumed = resolve; });
+            this.suspends.get(frame)();
+            await resumed;
+        }
+        this.currentTime = this.length / this.sampleRate;
+        return {};
+    }
+}
+
+function createBuffer(duration) {
+    const length = Math.round(duration * SAMPLE_RATE);
+    return { numberOfChannels: 1, length, sampleRate: SAMPLE_RATE, duration: length / SAMPLE_RATE };
+}
+
+describe('OfflineAnalyzer', () => {
+    beforeEach(() => {
+        FakeOfflineAudioContext.rejectSuspend = null;
+        vi.stubGlobal('OfflineAudioContext', FakeOfflineAudioContext);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('samples every hop from t=0 and the partial hop at the end', async () => {
+        const buffer = createBuffer(1.03);
+        const progress = vi.fn();
+        const track = await new OfflineAnalyzer().analyzeBuffer(buffer, progress);
+
+        const hops = Array.from({ length: 21 }, (_, i) => i / 20);
+        expect(track.times).toEqual([...hops, buffer.duration]);
+        expect(track.frames[0].rms).toBeGreaterThan(0);
+        expect(track.frames[track.length - 1].rms).toBeGreaterThan(0.5);
+        expect(progress).toHaveBeenLastCalledWith(1);
+    });
+
+    it('leaves hops in the last render quantum to the final frame', async () => {
+        // The hop at 1 s (frame 44100) would suspend at frame 44160, past the end
+        const buffer = createBuffer(1 + 50 / SAMPLE_RATE);
+        const track = await new OfflineAnalyzer().analyzeBuffer(buffer);
+
+        expect(track.times).toHaveLength(21);
+        expect(track.times[19]).toBeCloseTo(0.95);
+        expect(track.times[20]).toBe(buffer.duration);
+    });
+
+    it('searches the configured pitch range', async () => {
+        const analyzer = new OfflineAnalyzer({ pitchRange: [300, 1000] });
+        const setPitchRange = vi.spyOn(AudioAnalyzer.prototype, 'setPitchRange');
+
+        const track = await analyzer.analyzeBuffer(createBuffer(0.3));
+        analyzer.setPitchRange(100, 400);
+        await analyzer.analyzeBuffer(createBuffer(0.3));
+
+        expect(setPitchRange.mock.calls).toEqual([[300, 1000], [100, 400]]);
+        // The 220 Hz tone is below the first range
+        const unrestricted = await new OfflineAnalyzer().analyzeBuffer(createBuffer(0.3));
+        expect(unrestricted.frames.some(features => features.voiced)).toBe(true);
+        expect(track.frames.every(features => !features.voiced)).toBe(true);
+    });
+
+    it('rejects when a suspend is refused', async () => {
+        const suspendAt = Math.ceil(0.5 * SAMPLE_RATE / QUANTUM) * QUANTUM / SAMPLE_RATE;
+        FakeOfflineAudioContext.rejectSuspend = suspendAt;
+
+        await expect(new OfflineAnalyzer().analyzeBuffer(createBuffer(1))).rejects.toThrow('cannot schedule a suspend');
+    });
+
+    it('rejects when a frame cannot be analyzed', async () => {
+        const getAllFeatures = AudioAnalyzer.prototype.getAllFeatures;
+        let calls = 0;
+        vi.spyOn(AudioAnalyzer.prototype, 'getAllFeatures').mockImplementation(function (frame) {
+            if (++calls === 3) throw new Error('Analysis failed');
+            return getAllFeatures.call(this, frame);
+        });
+
+        await expect(new OfflineAnalyzer().analyzeBuffer(createBuffer(1))).rejects.toThrow('Analysis failed');
+    });
+
+    it('renders a file at the sample rate of an encoder', async () => {
+        const analyzer = new OfflineAnalyzer();
+        const buffer = createBuffer(1.5);
+        vi.spyOn(analyzer, 'decode').mockResolvedValue(buffer);
+        const source = vi.spyOn(FakeOfflineAudioContext.prototype, 'createBufferSource');
+
+        await analyzer.render(new Blob(), 48000);
+
+        const context = FakeOfflineAudioContext.instance;
+        expect([context.channels, context.length, context.sampleRate]).toEqual([2, 72000, 48000]);
+        expect(source.mock.results[0].value.buffer).toBe(buffer);
+        expect(source.mock.results[0].value.start).toHaveBeenCalledWith(0);
+    });
+});
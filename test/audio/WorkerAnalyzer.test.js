@@ -0,0 +1,269 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WorkerAnalyzer } from '../../src/audio/WorkerAnalyzer.js';
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+import { AnalysisFrame } from '../../src/audio/AnalysisFrame.js';
+import { createFrame } from '../helpers/features.js';
+
+/**
+ * Run analysisWorker.js in this thread behind a Worker-like object; messages
+ * are cloned (and buffers transferred) as between real threads. Each call
+ * loads a separate copy of the worker module, as each Worker would.
+ * worker.hold() keeps its answers back until worker.release(), like a worker
+ * busy with a slow frame.
+ */
+async function createInProcessWorker() {
+    const scope = new EventTarget();
+    const worker = new EventTarget();
+    let held = null;
+    const answer = (copy) => setTimeout(() => worker.dispatchEvent(new MessageEvent('message', { data: copy })));
+    scope.postMessage = (data) => {
+        const copy = structuredClone(data);
+        if (held) {
+            held.push(copy);
+        } else {
+            answer(copy);
+        }
+    };
+    worker.hold = () => {
+        held = held || [];
+    };
+    worker.release = () => {
+        const answers = held || [];
+        held = null;
+        answers.forEach(answer);
+    };
+    worker.postMessage = (data, transfer = []) => {
+        const copy = structuredClone(data, { transfer });
+        setTimeout(() => {
+            // The module answers through the global self: this worker's scope
+            vi.stubGlobal('self', scope);
+            scope.dispatchEvent(new MessageEvent('message', { data: copy }));
+        });
+    };
+    worker.terminate = vi.fn();
+
+    vi.resetModules();
+    vi.stubGlobal('self', scope);
+    await import('../../src/audio/analysisWorker.js');
+    return worker;
+}
+
+/**
+ * Frames with a loud broadband hit every 10 frames (0.5 s, 120 BPM) over a quiet tone
+ */
+function createHits(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const frame = createFrame(i);
+        if (i % 10 === 0) frame.spectrum.fill(1);
+        return frame;
+    });
+}
+
+/**
+ * Engine replaying the given frames, one per capture
+ */
+function createEngine(frames) {
+    let index = 0;
+    let frame = frames[0];
+    return {
+        next() { frame = frames[index++]; },
+        getMagnitudeSpectrum: () => frame.spectrum,
+        getFloatTimeDomainData: () => frame.samples,
+        getSampleRate: () => frame.sampleRate,
+        getCurrentTime: () => frame.time
+    };
+}
+
+/**
+ * Analyze every frame, waiting for each result; returns the 'features' details and the rhythm events
+ */
+async function analyzeAll(analyzer, engine, count) {
+    const results = [];
+    const events = [];
+    const onFeatures = (e) => results.push(e.detail);
+    const onEvent = (e) => events.push({ type: e.type, time: e.detail.time });
+    analyzer.addEventListener('features', onFeatures);
+    analyzer.addEventListener('onset', onEvent);
+    analyzer.addEventListener('beat', onEvent);
+
+    for (let i = 0; i < count; i++) {
+        engine.next();
+        expect(analyzer.analyze(i * 50, { index: i })).toBe(true);
+        await vi.waitFor(() => expect(results).toHaveLength(i + 1));
+    }
+
+    analyzer.removeEventListener('features', onFeatures);
+    analyzer.removeEventListener('onset', onEvent);
+    analyzer.removeEventListener('beat', onEvent);
+    return { results, events };
+}
+
+/**
+ * The same frames through a plain AudioAnalyzer on this thread
+ */
+function analyzeInline(frames, configure = () => {}) {
+    const analyzer = new AudioAnalyzer(null);
+    configure(analyzer);
+    const events = [];
+    ['onset', 'beat'].forEach(type => analyzer.addEventListener(type, (e) => events.push({ type, time: e.detail.time })));
+    const features = frames.map(({ spectrum, samples, sampleRate, time }) =>
+        analyzer.getAllFeatures(new AnalysisFrame({ spectrum: spectrum.slice(), samples: samples.slice(), sampleRate, time })));
+    return { features, events };
+}
+
+describe('WorkerAnalyzer', () => {
+    let worker;
+
+    beforeEach(async () => {
+        vi.stubGlobal('Worker', class {});
+        worker = await createInProcessWorker();
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('computes the same features in the worker as on the main thread, timestamped', async () => {
+        const frames = createHits(30);
+        const engine = createEngine(frames);
+        const analyzer = new WorkerAnalyzer(engine, { createWorker: () => worker });
+        expect(analyzer.worker).toBe(worker);
+
+        const worked = await analyzeAll(analyzer, engine, frames.length);
+        const inline = analyzeInline(frames);
+
+        worked.results.forEach((detail, i) => {
+            expect(detail.features).toEqual(inline.features[i]);
+            expect(detail.time).toBe(frames[i].time);
+            expect(detail.timestamp).toBe(i * 50);
+            expect(detail.context).toEqual({ index: i });
+            expect(detail.spectrum).toEqual(frames[i].spectrum);
+        });
+    });
+
+    it('skips a frame while the previous one is in the worker', async () => {
+        const frames = createHits(2);
+        const engine = createEngine(frames);
+        const analyzer = new WorkerAnalyzer(engine, { createWorker: () => worker });
+
+        engine.next();
+        expect(analyzer.analyze(0)).toBe(true);
+        expect(analyzer.analyze(16)).toBe(false);
+    });
+
+    it('runs two analyzers independently, each at the pace of its own worker', async () => {
+        const framesA = createHits(20);
+        const framesB = createHits(20).map(frame => new AnalysisFrame({ ...frame, time: frame.time + 100 }));
+        const engineA = createEngine(framesA);
+        const engineB = createEngine(framesB);
+        const busy = await createInProcessWorker();
+        const analyzerA = new WorkerAnalyzer(engineA, { createWorker: () => busy });
+        const analyzerB = new WorkerAnalyzer(engineB, { createWorker: () => worker });
+
+        const arrivals = [];
+        analyzerA.addEventListener('features', (e) => arrivals.push({ series: 'A', detail: e.detail }));
+        analyzerB.addEventListener('features', (e) => arrivals.push({ series: 'B', detail: e.detail }));
+
+        // A's worker is stuck on its first frame while B's answers every one
+        busy.hold();
+        const sent = { A: [], B: [] };
+        for (let i = 0; i < 20; i++) {
+            engineA.next();
+            engineB.next();
+            if (analyzerA.analyze(i * 10)) sent.A.push(i);
+            if (analyzerB.analyze(i * 10)) sent.B.push(i);
+            await vi.waitFor(() => expect(analyzerB.pending).toBeNull());
+        }
+        busy.release();
+        await vi.waitFor(() => expect(analyzerA.pending).toBeNull());
+
+        const received = series => arrivals.filter(arrival => arrival.series === series).map(({ detail }) => detail);
+        expect(sent).toEqual({ A: [0], B: Array.from({ length: 20 }, (_, i) => i) });
+        expect(received('A').map(({ timestamp }) => timestamp / 10)).toEqual(sent.A);
+        expect(received('B').map(({ timestamp }) => timestamp / 10)).toEqual(sent.B);
+        expect(arrivals.at(-1).series).toBe('A');
+        // Each result is its own file's frame
+        received('A').forEach(({ time }, i) => expect(time).toBe(framesA[sent.A[i]].time));
+        received('B').forEach(({ time }, i) => expect(time).toBe(framesB[sent.B[i]].time));
+        expect(analyzerA.skippedFrames).toBe(19);
+        expect(analyzerB.skippedFrames).toBe(0);
+    });
+
+    it('re-dispatches the onset and beat events computed in the worker', async () => {
+        const frames = createHits(80);
+        const engine = createEngine(frames);
+        const { events } = await analyzeAll(new WorkerAnalyzer(engine, { createWorker: () => worker }), engine, frames.length);
+        const inline = analyzeInline(frames);
+
+        expect(inline.events.some(({ type }) => type === 'onset')).toBe(true);
+        expect(inline.events.some(({ type }) => type === 'beat')).toBe(true);
+        expect(events).toEqual(inline.events);
+    });
+
+    it('forwards the onset and beat events when analyzing on the main thread', async () => {
+        const frames = createHits(80);
+        const engine = createEngine(frames);
+        // A custom feature keeps the analysis on the main thread
+        const registry = new AudioAnalyzer(null).registry;
+        registry.register({ name: 'custom', compute: () => 1 });
+        const analyzer = new WorkerAnalyzer(engine, { registry, createWorker: () => worker });
+        expect(analyzer.worker).toBeNull();
+
+        const { results, events } = await analyzeAll(analyzer, engine, frames.length);
+
+        expect(results[0].features.custom).toBe(1);
+        expect(events).toEqual(analyzeInline(frames).events);
+    });
+
+    it('sends pitch range changes to the worker', async () => {
+        const frames = createHits(4);
+        const engine = createEngine(frames);
+        const analyzer = new WorkerAnalyzer(engine, { createWorker: () => worker });
+        analyzer.setPitchRange(300, 1000);
+
+        const { results } = await analyzeAll(analyzer, engine, frames.length);
+        const inline = analyzeInline(frames, (reference) => reference.setPitchRange(300, 1000));
+        const unconfigured = analyzeInline(frames);
+
+        expect(results.map(({ features }) => features.pitch)).toEqual(inline.features.map(({ pitch }) => pitch));
+        expect(inline.features.map(({ pitch }) => pitch)).not.toEqual(unconfigured.features.map(({ pitch }) => pitch));
+        expect(analyzer.analyzer.pitchTracker.minFrequency).toBe(300);
+    });
+
+    it('resets the frame-to-frame state in the worker and drops the frame in flight', async () => {
+        const frames = createHits(30);
+        const engine = createEngine(frames);
+        const analyzer = new WorkerAnalyzer(engine, { createWorker: () => worker });
+        await analyzeAll(analyzer, engine, 20);
+
+        // The answer to this frame is ignored after the reset
+        const results = [];
+        analyzer.addEventListener('features', (e) => results.push(e.detail));
+        engine.next();
+        analyzer.analyze(1000);
+        analyzer.reset();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(results).toEqual([]);
+
+        // As from a fresh analyzer: no previous spectrum, so no flux
+        const rest = await analyzeAll(analyzer, engine, 9);
+        const fresh = analyzeInline(frames.slice(21));
+        expect(rest.results.map(({ features }) => features)).toEqual(fresh.features);
+        expect(rest.results[0].features.spectralFlux).toBe(0);
+    });
+
+    it('falls back to the main thread when the worker fails', async () => {
+        const frames = createHits(3);
+        const engine = createEngine(frames);
+        const analyzer = new WorkerAnalyzer(engine, { createWorker: () => worker });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        worker.dispatchEvent(Object.assign(new Event('error'), { message: 'boom' }));
+
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(analyzer.worker).toBeNull();
+        const { results } = await analyzeAll(analyzer, engine, frames.length);
+        expect(results.map(({ features }) => features)).toEqual(analyzeInline(frames).features);
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * OrbitControls stand-in (vi.mock target): listens on its element like the real
+ * controls and records every instance
+ */
+import { vi } from 'vitest';
+import * as THREE from 'three';
+
+export const instances = [];
+
+export class OrbitControls {
+    constructor(camera, domElement) {
+        this.object = camera;
+        this.domElement = domElement;
+        this.target = new THREE.Vector3();
+        this.onPointerDown = () => {};
+        this.onWheel = () => {};
+        domElement.addEventListener('pointerdown', this.onPointerDown);
+        domElement.addEventListener('wheel', this.onWheel, { passive: false });
+        this.update = vi.fn();
+        this.dispose = vi.fn(() => {
+            domElement.removeEventListener('pointerdown', this.onPointerDown);
+            domElement.removeEventListener('wheel', this.onWheel);
+        });
+        instances.push(this);
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Browser pieces jsdom lacks or leaves out
+ */
+
+/**
+ * Record every listener added to an EventTarget until it is removed (or its
+ * signal aborts). Call before the code under test adds any.
+ * @returns {{live: Set, on: Function, restore: Function}}
+ */
+export function trackListeners() {
+    const proto = EventTarget.prototype;
+    const add = proto.addEventListener;
+    const remove = proto.removeEventListener;
+    const live = new Set();
+
+    const capture = options => (typeof options === 'boolean' ? options : Boolean(options && options.capture));
+    const find = (target, type, listener, useCapture) => [...live].find(entry =>
+        entry.target === target && entry.type === type && entry.listener === listener && entry.capture === useCapture);
+
+    let internal = false;
+
+    proto.addEventListener = function (type, listener, options) {
+        add.call(this, type, listener, options);
+        const signal = options && typeof options === 'object' ? options.signal : null;
+        if (internal || !listener || (signal && signal.aborted) || find(this, type, listener, capture(options))) return;
+
+        const entry = { target: this, type, listener, capture: capture(options) };
+        live.add(entry);
+        if (signal) {
+            // The signal may be Node's rather than jsdom's; don't track this listener either way
+            internal = true;
+            signal.addEventListener('abort', () => live.delete(entry), { once: true });
+            internal = false;
+        }
+    };
+    proto.removeEventListener = function (type, listener, options) {
+        remove.call(this, type, listener, options);
+        const entry = find(this, type, listener, capture(options));
+        if (entry) live.delete(entry);
+    };
+
+    return {
+        live,
+        // Live listeners on exactly these targets
+        on(...targets) {
+            return [...live].filter(({ target }) => targets.includes(target));
+        },
+        // Live listeners on these elements or their descendants
+        inside(...elements) {
+            return [...live].filter(({ target }) => target.nodeType && elements.some(element => element.contains(target)));
+        },
+        restore() {
+            proto.addEventListener = add;
+            proto.removeEventListener = remove;
+        }
+    };
+}
+
+/**
+ * A CanvasRenderingContext2D that accepts any call (jsdom has no canvas backend)
+ */
+export function stubCanvasContext() {
+    const anything = new Proxy(function () {}, {
+        get: (target, key) => (key === Symbol.toPrimitive ? () => 0 : anything),
+        set: () => true,
+        apply: () => anything
+    });
+    HTMLCanvasElement.prototype.getContext = function () {
+        return new Proxy({ canvas: this }, {
+            get: (target, key) => (key in target ? target[key] : anything),
+            set: (target, key, value) => { target[key] = value; return true; }
+        });
+    };
+}
@@ -0,0 +1,27 @@
+/**
+ * Real analyzer features computed from a synthetic frame
+ */
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+import { AnalysisFrame } from '../../src/audio/AnalysisFrame.js';
+
+export function createFrame(index, { sampleRate = 44100, size = 2048 } = {}) {
+    const frequency = 220 + 20 * index;
+    const samples = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        samples[i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    const spectrum = new Float32Array(size / 2);
+    for (let i = 0; i < spectrum.length; i++) {
+        spectrum[i] = Math.exp(-Math.abs(i - frequency / (sampleRate / size))) + 0.01 * ((i * 7 + index) % 5);
+    }
+    return new AnalysisFrame({ spectrum, samples, sampleRate, time: index * 0.05 });
+}
+
+/**
+ * @param {number} count
+ * @returns {Object[]} Feature objects of consecutive frames
+ */
+export function createFeatures(count) {
+    const analyzer = new AudioAnalyzer(null);
+    return Array.from({ length: count }, (_, i) => analyzer.getAllFeatures(createFrame(i)));
+}
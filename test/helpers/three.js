@@ -0,0 +1,47 @@
+/**
+ * Stand-ins for the WebGL parts of the 3D visualizers
+ */
+import { vi } from 'vitest';
+
+/**
+ * A WebGLRenderer without a WebGL context: records calls, owns a canvas
+ */
+export function createMockRenderer() {
+    const size = { width: 0, height: 0 };
+    let pixelRatio = 1;
+    return {
+        domElement: document.createElement('canvas'),
+        autoClear: true,
+        setPixelRatio: vi.fn(ratio => { pixelRatio = ratio; }),
+        getPixelRatio: () => pixelRatio,
+        setSize: vi.fn((width, height) => Object.assign(size, { width, height })),
+        getSize: target => target.set(size.width, size.height),
+        setClearColor: vi.fn(),
+        setScissorTest: vi.fn(),
+        setViewport: vi.fn(),
+        setScissor: vi.fn(),
+        clear: vi.fn(),
+        render: vi.fn(),
+        dispose: vi.fn(),
+        forceContextLoss: vi.fn()
+    };
+}
+
+/**
+ * Every geometry and material reachable from an object, each watched for dispose()
+ * @returns {{geometries: Set, materials: Set, undisposed: () => number}}
+ */
+export function watchDisposal(root) {
+    const geometries = new Set();
+    const materials = new Set();
+    root.traverse(object => {
+        if (object.geometry) geometries.add(object.geometry);
+        if (object.material) {
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+        }
+    });
+
+    const pending = new Set([...geometries, ...materials]);
+    pending.forEach(resource => resource.addEventListener('dispose', () => pending.delete(resource)));
+    return { geometries, materials, undisposed: () => pending.size };
+}
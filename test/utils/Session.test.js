@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { FeatureRecorder } from '../../src/audio/FeatureRecorder.js';
+import { serializeSession, readSession, SESSION_FORMAT, SESSION_VERSION } from '../../src/utils/Session.js';
+import { createFeatures } from '../helpers/features.js';
+
+// A real-time recording: every ~60 fps frame, every third one a history sample
+function recordLive(count) {
+    const recorder = new FeatureRecorder();
+    createFeatures(count).forEach((features, i) => recorder.record(i / 60, features, i % 3 === 0));
+    return recorder;
+}
+
+describe('Session sample flags', () => {
+    it('keeps which frames were history samples', async () => {
+        const recorder = recordLive(12);
+        const { track } = await readSession(serializeSession({ timeline: recorder, frameRate: 60, sampleRate: 44100, position: 0 }));
+
+        expect(track.length).toBe(12);
+        expect(track.samples).toEqual(recorder.samples);
+        expect(track.samples.filter(Boolean)).toHaveLength(4);
+    });
+
+    it('rejects a timeline without sample flags', async () => {
+        const session = {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            timeline: { frameRate: 20, sampleRate: 44100, times: [0, 0.05], frames: [{ rms: 0.1 }, { rms: 0.2 }] }
+        };
+
+        await expect(readSession(new Blob([JSON.stringify(session)]))).rejects.toThrow('no sample flags');
+    });
+});
+
+describe('Session visualizer state', () => {
+    it('keeps the settings, axis mappings and cameras by visualizer name', async () => {
+        const settings = { pitchMap: { pitchMin: 80, target: 'A4' }, manifold: { grid: false } };
+        const axes = { toneMap: { color: { feature: 'rms', scale: 'log', auto: false, min: 0.01, max: 0.5 }, size: null } };
+        const cameras = { manifold: { position: [0, 1, 2], target: [0, 0, 0] } };
+
+        const session = await readSession(serializeSession({ timeline: recordLive(3), frameRate: 60, sampleRate: 44100, position: 0, settings, axes, cameras }));
+
+        expect(session).toMatchObject({ settings, axes, cameras });
+    });
+});
+
@@ -0,0 +1,141 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { SharedRenderer } from '../../src/utils/SharedRenderer.js';
+import { createMockRenderer } from '../helpers/three.js';
+
+/**
+ * A panel with a 1px border at a fixed on-screen rectangle, containing one view
+ */
+function createPanel(shared, rect) {
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.style.backgroundColor = 'rgba(12, 12, 15, 0.95)';
+    panel.getBoundingClientRect = () => ({ ...rect, right: rect.left + rect.width, bottom: rect.top + rect.height });
+    Object.defineProperties(panel, {
+        clientLeft: { value: 1 },
+        clientTop: { value: 1 },
+        clientWidth: { get: () => Math.max(0, rect.width - 2) },
+        clientHeight: { get: () => Math.max(0, rect.height - 2) }
+    });
+    document.body.appendChild(panel);
+
+    const view = shared.createView();
+    view.setClearColor(0x0a0000, 0.3);
+    panel.appendChild(view.domElement);
+    return { panel, view };
+}
+
+function place(element, left, top, width, height) {
+    element.getBoundingClientRect = () => ({ left, top, width, height, right: left + width, bottom: top + height });
+}
+
+describe('SharedRenderer', () => {
+    let renderer;
+    let shared;
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        window.innerWidth = 1000;
+        window.innerHeight = 800;
+        renderer = createMockRenderer();
+        shared = new SharedRenderer(document.body, { createRenderer: () => renderer });
+    });
+
+    it('sizes the canvas to the window and clears it', () => {
+        shared.render();
+
+        expect(document.body.firstChild).toBe(renderer.domElement);
+        expect(renderer.domElement.classList.contains('shared-renderer')).toBe(true);
+        expect(renderer.setSize).toHaveBeenCalledWith(1000, 800, false);
+        expect(renderer.setScissorTest).toHaveBeenNthCalledWith(1, false);
+        expect(renderer.clear).toHaveBeenCalledOnce();
+    });
+
+    it('draws a scene in its panel, with y measured from the bottom of the window', () => {
+        const { panel, view } = createPanel(shared, { left: 10, top: 20, width: 300, height: 200 });
+        place(view.domElement, 11, 50, 298, 169);
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera();
+        view.render(scene, camera);
+
+        shared.render();
+
+        // Panel background inside the border (21 + 198 = 219 from the top, so y = 800 - 219)
+        expect(renderer.setViewport).toHaveBeenNthCalledWith(1, 11, 581, 298, 198);
+        expect(renderer.setScissor).toHaveBeenNthCalledWith(1, 11, 581, 298, 198);
+        // Scene area (50 + 169 = 219 from the top)
+        expect(renderer.setViewport).toHaveBeenNthCalledWith(2, 11, 581, 298, 169);
+        expect(renderer.setScissor).toHaveBeenNthCalledWith(2, 11, 581, 298, 169);
+        expect(renderer.render).toHaveBeenCalledWith(scene, camera);
+        expect(renderer.setViewport.mock.invocationCallOrder[1]).toBeLessThan(renderer.render.mock.invocationCallOrder[0]);
+        expect(panel.classList.contains('shared-view-panel')).toBe(true);
+    });
+
+    it('clears the scene area with its color composited over the panel background', () => {
+        const { view } = createPanel(shared, { left: 0, top: 0, width: 100, height: 100 });
+        place(view.domElement, 1, 1, 98, 98);
+        view.render(new THREE.Scene(), new THREE.PerspectiveCamera());
+
+        shared.render();
+
+        const [color, alpha] = renderer.setClearColor.mock.calls[2];
+        expect(alpha).toBeCloseTo(0.3 + 0.95 * 0.7);
+        // (10 * 0.3 + 12 * 0.665) / 0.965 in sRGB
+        expect(color.getHex(THREE.SRGBColorSpace) >> 16).toBe(11);
+    });
+
+    it('keeps the header of a collapsed panel but skips its scene', () => {
+        const { view } = createPanel(shared, { left: 0, top: 0, width: 300, height: 34 });
+        place(view.domElement, 0, 0, 0, 0);
+        view.render(new THREE.Scene(), new THREE.PerspectiveCamera());
+
+        shared.render();
+
+        expect(renderer.setViewport).toHaveBeenCalledOnce();
+        expect(renderer.render).not.toHaveBeenCalled();
+    });
+
+    it('skips removed panels, views with nothing to draw and disposed views', () => {
+        const removed = createPanel(shared, { left: 0, top: 0, width: 0, height: 0 });
+        removed.view.render(new THREE.Scene(), new THREE.PerspectiveCamera());
+        createPanel(shared, { left: 0, top: 0, width: 100, height: 100 });
+        const disposed = createPanel(shared, { left: 0, top: 0, width: 100, height: 100 });
+        disposed.view.render(new THREE.Scene(), new THREE.PerspectiveCamera());
+        disposed.view.dispose();
+
+        shared.render();
+
+        expect(renderer.setViewport).not.toHaveBeenCalled();
+        expect(disposed.panel.classList.contains('shared-view-panel')).toBe(false);
+    });
+
+    it('draws a maximized panel after the panels it covers', () => {
+        const maximized = createPanel(shared, { left: 8, top: 8, width: 984, height: 784 });
+        maximized.panel.classList.add('maximized');
+        place(maximized.view.domElement, 9, 9, 982, 782);
+        const other = createPanel(shared, { left: 0, top: 0, width: 100, height: 100 });
+        place(other.view.domElement, 1, 1, 98, 98);
+        const maximizedScene = new THREE.Scene();
+        const otherScene = new THREE.Scene();
+        maximized.view.render(maximizedScene, new THREE.PerspectiveCamera());
+        other.view.render(otherScene, new THREE.PerspectiveCamera());
+
+        shared.render();
+
+        expect(renderer.render.mock.calls.map(([scene]) => scene)).toEqual([otherScene, maximizedScene]);
+    });
+
+    it('frees its context and canvas on dispose', () => {
+        const { panel } = createPanel(shared, { left: 0, top: 0, width: 100, height: 100 });
+        shared.render();
+
+        shared.dispose();
+
+        expect(renderer.dispose).toHaveBeenCalledOnce();
+        expect(renderer.forceContextLoss).toHaveBeenCalledOnce();
+        expect(renderer.domElement.isConnected).toBe(false);
+        expect(shared.views.size).toBe(0);
+        expect(panel.classList.contains('shared-view-panel')).toBe(false);
+    });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TimelineVideoWriter, AUDIO_SAMPLE_RATE } from '../../src/utils/TimelineVideoWriter.js';
+
+class FakeEncodedChunk {
+    constructor({ type, timestamp, duration, data }) {
+        this.type = type;
+        this.timestamp = timestamp;
+        this.duration = duration;
+        this.data = data;
+        this.byteLength = data.length;
+    }
+
+    copyTo(destination) {
+        destination.set(this.data);
+    }
+}
+
+class EncodedVideoChunk extends FakeEncodedChunk {}
+class EncodedAudioChunk extends FakeEncodedChunk {}
+
+class VideoFrame {
+    constructor(source, { timestamp, duration }) {
+        this.timestamp = timestamp;
+        this.duration = duration;
+    }
+
+    close() {}
+}
+
+class AudioData {
+    constructor(init) {
+        Object.assign(this, init);
+    }
+
+    close() {}
+}
+
+// Encodes every frame at once, unless encodeQueueSize says otherwise
+class VideoEncoder extends EventTarget {
+    static supported = ['vp8'];
+
+    static async isConfigSupported(config) {
+        return { supported: VideoEncoder.supported.includes(config.codec), config };
+    }
+
+    constructor({ output, error }) {
+        super();
+        this.output = output;
+        this.error = error;
+        this.state = 'unconfigured';
+        this.encodeQueueSize = 0;
+        this.frames = [];
+        VideoEncoder.instance = this;
+    }
+
+    configure(config) {
+        this.config = config;
+        this.state = 'configured';
+    }
+
+    encode(frame, { keyFrame }) {
+        this.frames.push({ timestamp: frame.timestamp, duration: frame.duration, keyFrame });
+        const type = keyFrame ? 'key' : 'delta';
+        this.output(
+            new EncodedVideoChunk({ type, timestamp: frame.timestamp, duration: frame.duration, data: new Uint8Array([1, 2, 3]) }),
+            keyFrame ? { decoderConfig: { codec: this.config.codec } } : undefined
+        );
+    }
+
+    async flush() {}
+
+    close() {
+        this.state = 'closed';
+    }
+}
+
+class AudioEncoder {
+    constructor({ output }) {
+        this.output = output;
+        this.data = [];
+        AudioEncoder.instance = this;
+    }
+
+    configure(config) {
+        this.config = config;
+    }
+
+    encode(audioData) {
+        this.data.push(audioData);
+        const duration = Math.round(audioData.numberOfFrames / audioData.sampleRate * 1e6);
+        this.output(
+            new EncodedAudioChunk({ type: 'key', timestamp: audioData.timestamp, duration, data: new Uint8Array([4, 5]) }),
+            this.data.length === 1 ? { decoderConfig: { codec: 'opus', description: new Uint8Array(19) } } : undefined
+        );
+    }
+
+    async flush() {}
+
+    close() {}
+}
+
+// Two seconds of stereo: left 0.25, right -0.5
+function createSoundtrack() {
+    const length = 2 * AUDIO_SAMPLE_RATE;
+    const channels = [new Float32Array(length).fill(0.25), new Float32Array(length).fill(-0.5)];
+    return { numberOfChannels: 2, sampleRate: AUDIO_SAMPLE_RATE, length, getChannelData: i => channels[i] };
+}
+
+async function isWebM(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return [...bytes.subarray(0, 4)].every((byte, i) => byte === [0x1a, 0x45, 0xdf, 0xa3][i]);
+}
+
+describe('TimelineVideoWriter', () => {
+    const canvas = { width: 640, height: 360 };
+
+    beforeEach(() => {
+        vi.stubGlobal('VideoEncoder', VideoEncoder);
+        vi.stubGlobal('AudioEncoder', AudioEncoder);
+        vi.stubGlobal('VideoFrame', VideoFrame);
+        vi.stubGlobal('AudioData', AudioData);
+        vi.stubGlobal('EncodedVideoChunk', EncodedVideoChunk);
+        vi.stubGlobal('EncodedAudioChunk', EncodedAudioChunk);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('stamps each frame with its timeline time, however long it took to render', async () => {
+        const writer = new TimelineVideoWriter(canvas, { frameRate: 30 });
+        await writer.start();
+        for (let i = 0; i < 65; i++) {
+            // A few slow frames
+            if (i % 20 === 7) await new Promise(resolve => setTimeout(resolve, 20));
+            await writer.addFrame(i / 30);
+        }
+        const blob = await writer.finish();
+
+        const { frames, config } = VideoEncoder.instance;
+        expect(config).toMatchObject({ codec: 'vp8', width: 640, height: 360, framerate: 30 });
+        expect(frames.map(frame => frame.timestamp)).toEqual(Array.from({ length: 65 }, (_, i) => Math.round(i / 30 * 1e6)));
+        expect(frames.every(frame => frame.duration === 33333)).toBe(true);
+        expect(frames.filter(frame => frame.keyFrame).map(frame => frame.timestamp)).toEqual([0, 2000000]);
+        expect(blob.type).toBe('video/webm');
+        expect(await isWebM(blob)).toBe(true);
+        expect(VideoEncoder.instance.state).toBe('closed');
+    });
+
+    it('encodes the soundtrack up to the end of the last frame', async () => {
+        const writer = new TimelineVideoWriter(canvas, { frameRate: 30, audio: createSoundtrack() });
+        await writer.start();
+        for (let i = 0; i < 30; i++) await writer.addFrame(i / 30);
+        expect(await isWebM(await writer.finish())).toBe(true);
+
+        const { config, data } = AudioEncoder.instance;
+        expect(config).toMatchObject({ codec: 'opus', numberOfChannels: 2, sampleRate: 48000 });
+        expect(data.reduce((sum, audioData) => sum + audioData.numberOfFrames, 0)).toBe(48000);
+        expect(data.map(audioData => audioData.timestamp)).toEqual(Array.from({ length: 10 }, (_, i) => i * 100000));
+        // Planar: the left channel's samples, then the right's
+        expect(data[0].format).toBe('f32-planar');
+        expect(data[0].data[4799]).toBe(0.25);
+        expect(data[0].data[4800]).toBe(-0.5);
+    });
+
+    it('waits for the encoder when frames queue up', async () => {
+        const writer = new TimelineVideoWriter(canvas);
+        await writer.start();
+        const encoder = VideoEncoder.instance;
+        encoder.encodeQueueSize = 10;
+
+        let added = false;
+        const adding = writer.addFrame(0).then(() => { added = true; });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(added).toBe(false);
+
+        encoder.encodeQueueSize = 0;
+        encoder.dispatchEvent(new Event('dequeue'));
+        await adding;
+        expect(encoder.frames).toHaveLength(1);
+    });
+
+    it('ends a wait for the encoder when closed', async () => {
+        const writer = new TimelineVideoWriter(canvas);
+        await writer.start();
+        VideoEncoder.instance.encodeQueueSize = 10;
+
+        const adding = writer.addFrame(0);
+        writer.close();
+
+        await expect(adding).rejects.toThrow('closed');
+    });
+
+    it('reports encoder errors', async () => {
+        const writer = new TimelineVideoWriter(canvas);
+        await writer.start();
+        VideoEncoder.instance.error(new Error('Encoding failed'));
+
+        await expect(writer.addFrame(0)).rejects.toThrow('Encoding failed');
+        await expect(writer.finish()).rejects.toThrow('Encoding failed');
+    });
+
+    it('needs WebCodecs and a WebM codec', async () => {
+        VideoEncoder.supported = [];
+        await expect(new TimelineVideoWriter(canvas).start()).rejects.toThrow('No WebM video codec');
+        VideoEncoder.supported = ['vp8'];
+
+        vi.stubGlobal('VideoEncoder', undefined);
+        await expect(new TimelineVideoWriter(canvas).start()).rejects.toThrow('not supported');
+    });
+});
@@ -0,0 +1,104 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createMockRenderer, watchDisposal } from '../helpers/three.js';
+import { instances as controls } from '../helpers/MockOrbitControls.js';
+import { trackListeners } from '../helpers/dom.js';
+import { createFeatures } from '../helpers/features.js';
+
+vi.mock('three/examples/jsm/controls/OrbitControls.js', () => import('../helpers/MockOrbitControls.js'));
+
+const { Manifold3D } = await import('../../src/visualizers/Manifold3D.js');
+const { ToneEvolution } = await import('../../src/visualizers/ToneEvolution.js');
+const { TimbreSpace } = await import('../../src/visualizers/TimbreSpace.js');
+
+describe.each([
+    ['Manifold3D', Manifold3D],
+    ['ToneEvolution', ToneEvolution],
+    ['TimbreSpace', TimbreSpace]
+])('%s dispose()', (name, Visualizer) => {
+    let listeners;
+    let container;
+    let renderers;
+
+    beforeEach(() => {
+        listeners = trackListeners();
+        controls.length = 0;
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        renderers = [];
+    });
+
+    afterEach(() => {
+        listeners.restore();
+        container.remove();
+    });
+
+    function mountWithData() {
+        const visualizer = new Visualizer({
+            createRenderer: () => {
+                const renderer = createMockRenderer();
+                renderers.push(renderer);
+                return renderer;
+            }
+        });
+        visualizer.mount(container);
+        visualizer.resize();
+
+        createFeatures(40).forEach((features, i) => {
+            visualizer.onFrame(features, i * 0.05, { series: 0, sample: true, spectrum: null, sampleRate: 44100 });
+        });
+        visualizer.render();
+        return visualizer;
+    }
+
+    it('frees the renderer and its WebGL context', () => {
+        const visualizer = mountWithData();
+        expect(renderers).toHaveLength(1);
+        const [renderer] = renderers;
+        expect(container.contains(renderer.domElement)).toBe(true);
+
+        visualizer.dispose();
+
+        expect(renderer.dispose).toHaveBeenCalledOnce();
+        expect(renderer.forceContextLoss).toHaveBeenCalledOnce();
+        expect(container.contains(renderer.domElement)).toBe(false);
+        expect(visualizer.renderer).toBeNull();
+    });
+
+    it('disposes the orbit controls', () => {
+        const visualizer = mountWithData();
+        expect(controls).toHaveLength(1);
+
+        visualizer.dispose();
+
+        expect(controls[0].dispose).toHaveBeenCalledOnce();
+    });
+
+    it('disposes every geometry and material of the scene', () => {
+        const visualizer = mountWithData();
+        const watched = watchDisposal(visualizer.scene);
+        expect(watched.geometries.size).toBeGreaterThan(0);
+        expect(watched.materials.size).toBeGreaterThan(0);
+
+        visualizer.dispose();
+
+        expect(watched.undisposed()).toBe(0);
+    });
+
+    it('removes every canvas, window and document listener', () => {
+        const visualizer = mountWithData();
+        expect(listeners.inside(container).length).toBeGreaterThan(0);
+
+        visualizer.dispose();
+
+        expect(listeners.inside(container, renderers[0].domElement)).toEqual([]);
+        expect(listeners.on(window, document)).toEqual([]);
+    });
+
+    it('can be disposed twice', () => {
+        const visualizer = mountWithData();
+        visualizer.dispose();
+        expect(() => visualizer.dispose()).not.toThrow();
+        expect(renderers[0].dispose).toHaveBeenCalledOnce();
+    });
+});